@@ -2,10 +2,14 @@ const express = require("express")
 const path = require("path")
 const bodyParser = require("body-parser")
 const session = require("express-session")
+const MongoStore = require("connect-mongo")
 const bcrypt = require("bcrypt")
 const multer = require("multer")
 const fs = require("fs")
+const crypto = require("crypto")
 const mongoose = require("mongoose")
+const QRCode = require("qrcode")
+const archiver = require("archiver")
 require('dotenv').config()
 
 // Connect to MongoDB
@@ -21,7 +25,7 @@ const UserSchema = new Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  type: { type: String, required: true, enum: ['user', 'employer'] },
+  type: { type: String, required: true, enum: ['user', 'employer', 'admin'] },
   profile_picture: String,
   phone: String,
   location: String,
@@ -31,62 +35,472 @@ const UserSchema = new Schema({
   company_name: String,
   company_description: String,
   website: String,
+  // Employers belong to the company they created; its page is edited under /employer/company
+  company_id: { type: Schema.Types.ObjectId, ref: 'Company' },
+  password_reset_token: String,
+  password_reset_expires: Date,
+  // When the last reset link was mailed; further requests wait out PASSWORD_RESET_COOLDOWN
+  password_reset_sent_at: Date,
+  // Accounts created before verification was introduced have no value and count as verified
+  email_verified: Boolean,
+  email_verification_token: String,
+  email_verification_expires: Date,
+  totp_enabled: { type: Boolean, default: false },
+  totp_secret: String,
+  totp_pending_secret: String,
+  totp_last_step: Number,
+  recovery_codes: [String],
+  suspended_at: Date,
+  suspended_reason: String,
+  // Self-service deletion: the account is purged once the grace period ends unless cancelled
+  deletion_requested_at: Date,
+  deletion_scheduled_for: Date,
+  // Coordinates of location, used as the default origin for distance searches
+  location_point: { type: { type: String, enum: ['Point'] }, coordinates: { type: [Number], default: undefined } },
+  // When the startup backfill last failed to place location (see GEOCODE_RETRY_INTERVAL)
+  geocode_failed_at: Date,
+  // Identity provider account linked for OpenID Connect sign-in
+  oidc_issuer: String,
+  oidc_subject: String,
 }, {
   timestamps: true,
   toObject: { virtuals: true },
   toJSON: { virtuals: true }
 });
 
+// One portal account per identity provider account
+UserSchema.index(
+  { oidc_issuer: 1, oidc_subject: 1 },
+  { unique: true, partialFilterExpression: { oidc_subject: { $exists: true } } }
+);
+
 // Jobs Schema
 const JobSchema = new Schema({
   title: { type: String, required: true },
   description: { type: String, required: true },
   company: { type: String, required: true },
+  // Linked when the posting is for the employer's own company (see companyIdForJob)
+  company_id: { type: Schema.Types.ObjectId, ref: 'Company' },
   location: String,
+  // Geocoded from location whenever it changes; missing for places the geocoder doesn't know
+  location_point: { type: { type: String, enum: ['Point'] }, coordinates: { type: [Number], default: undefined } },
+  // When the startup backfill last failed to place location (see GEOCODE_RETRY_INTERVAL)
+  geocode_failed_at: Date,
+  // Postings created before these fields existed were all treated as full-time
+  employment_type: { type: String, enum: ['full-time', 'part-time', 'contract', 'internship', 'temporary'], default: 'full-time' },
+  salary_min: { type: Number, min: 0 },
+  salary_max: { type: Number, min: 0 },
+  salary_currency: { type: String, uppercase: true, match: /^[A-Z]{3}$/ },
+  salary_period: { type: String, enum: ['hour', 'day', 'week', 'month', 'year'] },
+  remote_policy: { type: String, enum: ['onsite', 'hybrid', 'remote'] },
+  seniority: { type: String, enum: ['internship', 'entry', 'mid', 'senior', 'lead', 'executive'] },
+  skills: [{ type: String, trim: true }],
   posted_by: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  // Set when a moderator removes the posting; it then disappears from listings
+  taken_down_at: Date,
+  taken_down_by: { type: Schema.Types.ObjectId, ref: 'User' },
+  taken_down_reason: String,
+  // Set when the employer stops accepting applications; existing applications are kept
+  closed_at: Date,
+  // Who may apply again after withdrawing or being rejected, and how many days later
+  reapply_policy: { type: String, enum: ['none', 'withdrawn', 'any'], default: 'withdrawn' },
+  reapply_after_days: { type: Number, min: 0, max: 365, default: 0 },
+  // Lifecycle: drafts with a publish_at are published by the scheduler, and published jobs expire at expires_at
+  status: { type: String, enum: ['draft', 'published', 'expired'], default: 'published' },
+  publish_at: Date,
+  published_at: Date,
+  expires_at: Date,
+  expiry_reminder_sent_at: Date,
+}, {
+  timestamps: true,
+  toObject: { virtuals: true },
+  toJSON: { virtuals: true }
+});
+
+// Postings stay live for 30 days unless renewed
+const JOB_LIFETIME = 30 * 24 * 60 * 60 * 1000;
+
+// Shareable detail page link, e.g. /jobs/64f1c2...-senior-software-engineer
+JobSchema.virtual('url_path').get(function () {
+  const slug = slugify(this.title);
+  return `/jobs/${this._id}${slug ? `-${slug}` : ''}`;
+});
+
+// Keyword search for the public job listings
+JobSchema.index(
+  { title: 'text', company: 'text', description: 'text' },
+  { name: 'job_search_text', weights: { title: 10, company: 5, description: 1 } }
+);
+JobSchema.index({ published_at: -1, _id: -1 });
+JobSchema.index({ location_point: '2dsphere' });
+
+JobSchema.pre('save', async function () {
+  if (this.isModified('location')) {
+    this.location_point = await geocodePoint(this.location);
+    this.geocode_failed_at = undefined;
+  }
+  if (this.isModified('company') || this.isModified('posted_by')) {
+    this.company_id = await companyIdForJob(this.posted_by, this.company);
+  }
+});
+
+JobSchema.pre('validate', function (next) {
+  if (this.status === 'published' && (this.isNew || this.isModified('status'))) {
+    this.published_at = this.published_at || new Date();
+    if (!this.expires_at || this.expires_at <= new Date()) {
+      this.expires_at = new Date(this.published_at.getTime() + JOB_LIFETIME);
+    }
+  }
+  if (this.salary_min != null && this.salary_max != null && this.salary_max < this.salary_min) {
+    this.invalidate('salary_max', 'Maximum salary must not be lower than the minimum salary', this.salary_max);
+  }
+  if (this.salary_min == null && this.salary_max == null) {
+    // Forms always submit a currency and period; without an amount they mean nothing
+    this.salary_currency = undefined;
+    this.salary_period = undefined;
+  } else if (!this.salary_currency || !this.salary_period) {
+    this.invalidate('salary_currency', 'A salary needs a currency and a pay period');
+  }
+  next();
+});
+
+// Companies Schema: public employer profiles listed under /companies
+const CompanySchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  // Set once from the name so shared links keep working after a rename
+  slug: { type: String, unique: true },
+  logo: String,
+  description: String,
+  website: String,
+  size: { type: String, enum: ['1-10', '11-50', '51-200', '201-500', '501-1000', '1001-5000', '5000+'] },
+  industry: { type: String, trim: true },
+  headquarters: { type: String, trim: true },
 }, { timestamps: true });
 
+CompanySchema.index({ name: 1 });
+
+CompanySchema.pre('validate', async function () {
+  if (this.slug) return;
+  const base = slugify(this.name) || 'company';
+  let slug = base;
+  for (let n = 2; await this.constructor.exists({ slug }); n++) {
+    slug = `${base}-${n}`;
+  }
+  this.slug = slug;
+});
+
+// Lowercase ASCII words joined by hyphens, e.g. "Café Déjà Vu!" -> "cafe-deja-vu"
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+}
+
+// Hiring pipeline: each status lists the ones an employer can move an application to next
+const APPLICATION_PIPELINE = {
+  Pending: ['Reviewed', 'Rejected'],
+  Reviewed: ['Shortlisted', 'Rejected'],
+  Shortlisted: ['Interview', 'Rejected'],
+  Interview: ['Offer', 'Rejected'],
+  Offer: ['Hired', 'Rejected'],
+  Hired: [],
+  Rejected: [],
+  // Only the applicant can withdraw, from any status before Hired or Rejected
+  Withdrawn: []
+};
+
 // Applications Schema
 const ApplicationSchema = new Schema({
   user_id: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   job_id: { type: Schema.Types.ObjectId, ref: 'Job', required: true },
   resume_url: { type: String, required: true },
-  status: { type: String, default: 'Pending' }
+  status: { type: String, enum: Object.keys(APPLICATION_PIPELINE), default: 'Pending' },
+  withdrawal_reason: { type: String, trim: true, maxlength: 500 },
+  // Withdrawn and rejected applicants reapply by resubmitting the same application
+  reapplied_at: Date,
+  // Every status change after the application was submitted, oldest first
+  status_history: [{
+    _id: false,
+    status: { type: String, enum: Object.keys(APPLICATION_PIPELINE), required: true },
+    changed_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    changed_at: { type: Date, default: Date.now }
+  }]
 }, { timestamps: true });
 
 // Add a compound unique index to prevent duplicate applications
 ApplicationSchema.index({ user_id: 1, job_id: 1 }, { unique: true });
 
+// Saved Jobs Schema: postings a job seeker bookmarked to come back to
+const SavedJobSchema = new Schema({
+  user_id: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  job_id: { type: Schema.Types.ObjectId, ref: 'Job', required: true }
+}, { timestamps: true });
+
+SavedJobSchema.index({ user_id: 1, job_id: 1 }, { unique: true });
+
+// Saved Searches Schema: job searches a job seeker can rerun and get email alerts for
+const SavedSearchSchema = new Schema({
+  user_id: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  // Filters in the /api/jobs query string format, e.g. "q=designer&near=Berlin&radius_km=25"
+  query: { type: String, default: '' },
+  frequency: { type: String, enum: ['immediate', 'daily', 'weekly', 'off'], default: 'daily' },
+  // Jobs published after this are new to the next alert
+  last_checked_at: { type: Date, default: Date.now },
+  last_sent_at: Date,
+  unsubscribe_token: { type: String, required: true, unique: true },
+}, { timestamps: true });
+
+SavedSearchSchema.index({ frequency: 1, last_checked_at: 1 });
+
+// Job Alert Deliveries Schema: every job emailed to a user, so no alert ever repeats one
+const JobAlertDeliverySchema = new Schema({
+  user_id: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  job_id: { type: Schema.Types.ObjectId, ref: 'Job', required: true },
+  saved_search_id: { type: Schema.Types.ObjectId, ref: 'SavedSearch' }
+}, { timestamps: true });
+
+JobAlertDeliverySchema.index({ user_id: 1, job_id: 1 }, { unique: true });
+
+// Login Throttle Schema: failed sign-in counters keyed by account email or client IP
+const LoginThrottleSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  first_failure_at: Date,
+  next_attempt_at: Date,
+  locked_until: Date,
+}, { timestamps: true });
+
+// Counters nobody has touched for a day are removed automatically
+LoginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Lockout Events Schema: audit trail of temporary lockouts, kept so an admin can review and lift them
+const LockoutEventSchema = new Schema({
+  scope: { type: String, required: true, enum: ['account', 'ip'] },
+  key: { type: String, required: true },
+  user_id: { type: Schema.Types.ObjectId, ref: 'User' },
+  ip: String,
+  failures: Number,
+  locked_until: { type: Date, required: true },
+  unlocked_at: Date,
+  unlocked_by: { type: Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+// User Sessions Schema: one entry per signed-in browser, linked to its express-session id
+const UserSessionSchema = new Schema({
+  sid: { type: String, required: true, unique: true },
+  user_id: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  user_agent: String,
+  ip: String,
+  last_activity: { type: Date, default: Date.now },
+}, { timestamps: true });
+
+// Entries outlive their session by at most the session lifetime
+UserSessionSchema.index({ last_activity: 1 }, { expireAfterSeconds: 14 * 24 * 60 * 60 });
+
+// Platform Settings Schema: admin-controlled policies stored as key/value pairs
+const SettingSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+  value: Schema.Types.Mixed,
+}, { timestamps: true });
+
+// API Tokens Schema: personal access tokens for scripted access; only a SHA-256 hash of the token is stored
+const ApiTokenSchema = new Schema({
+  user_id: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true },
+  token_hash: { type: String, required: true, unique: true },
+  token_prefix: { type: String, required: true },
+  scopes: [{ type: String, enum: ['jobs:read', 'jobs:write', 'applicants:read', 'applicants:write', 'saved_jobs:read', 'saved_jobs:write'] }],
+  expires_at: Date,
+  last_used_at: Date,
+  revoked_at: Date,
+}, { timestamps: true });
+
+// Job Imports Schema: validated rows from a bulk import upload, waiting for the employer to confirm
+const JobImportSchema = new Schema({
+  user_id: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  file_name: String,
+  rows: [Schema.Types.Mixed],
+}, { timestamps: true });
+
+// Previews nobody confirmed are removed after an hour
+JobImportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+// Admin Actions Schema: audit log of every moderation action
+const AdminActionSchema = new Schema({
+  admin_id: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, required: true },
+  target_type: { type: String, enum: ['user', 'job', 'application', 'lockout', 'setting'] },
+  target_id: String,
+  details: String,
+  ip: String,
+}, { timestamps: true });
+
 // Create Models
 const User = mongoose.model("User", UserSchema)
 const Job = mongoose.model("Job", JobSchema)
+const Company = mongoose.model("Company", CompanySchema)
 const Application = mongoose.model("Application", ApplicationSchema)
+const SavedJob = mongoose.model("SavedJob", SavedJobSchema)
+const SavedSearch = mongoose.model("SavedSearch", SavedSearchSchema)
+const JobAlertDelivery = mongoose.model("JobAlertDelivery", JobAlertDeliverySchema)
+const LoginThrottle = mongoose.model("LoginThrottle", LoginThrottleSchema)
+const LockoutEvent = mongoose.model("LockoutEvent", LockoutEventSchema)
+const Setting = mongoose.model("Setting", SettingSchema)
+const UserSession = mongoose.model("UserSession", UserSessionSchema)
+const AdminAction = mongoose.model("AdminAction", AdminActionSchema)
+const ApiToken = mongoose.model("ApiToken", ApiTokenSchema)
+const JobImport = mongoose.model("JobImport", JobImportSchema)
 
 const app = express()
 const PORT = 3000
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`
 
 // Middleware
 app.use(bodyParser.urlencoded({ extended: false }))
 app.use(bodyParser.json())
 app.use(express.static(path.join(__dirname, "public")))
+
+// Sessions are stored in MongoDB so they survive restarts and can be listed per user
+const SESSION_TTL = 14 * 24 * 60 * 60 * 1000 // 14 days
+const SESSION_ACTIVITY_INTERVAL = 60 * 1000 // how often last activity is written back
+
+if (!process.env.SESSION_SECRET) {
+  console.warn("⚠️ SESSION_SECRET is not set; using a random secret, so sessions won't survive a restart")
+}
+
+const sessionStore = MongoStore.create({
+  clientPromise: mongoose.connection.asPromise().then((connection) => connection.getClient()),
+  collectionName: "sessions",
+  ttl: SESSION_TTL / 1000,
+})
+
 app.use(
   session({
-    secret: "jobPortalSecret",
+    secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex"),
+    store: sessionStore,
     resave: false,
-    saveUninitialized: true,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: APP_URL.startsWith("https://"),
+      maxAge: SESSION_TTL,
+    },
   }),
 )
 
+// When the admin policy requires 2FA, employers must enroll before using the rest of the portal
+app.use(async (req, res, next) => {
+  const user = req.session.user
+  if (!user || user.type !== "employer" || user.totp_enabled) return next()
+  if (req.path.startsWith("/profile/2fa") || req.path === "/logout") return next()
+
+  try {
+    if (await isTwoFactorRequired(user)) {
+      return res.redirect("/profile/2fa/setup")
+    }
+  } catch (err) {
+    console.error("Failed to check 2FA policy:", err)
+  }
+  next()
+})
+
+// Refresh the device list entry for signed-in sessions, at most once per interval
+app.use((req, res, next) => {
+  if (!req.session.user) return next()
+  // Sessions from before the field whitelist still carry the full user document
+  if (req.session.user.password) req.session.user = sessionUser(req.session.user)
+
+  const now = Date.now()
+  if (req.session.last_activity && now - req.session.last_activity < SESSION_ACTIVITY_INTERVAL) return next()
+  req.session.last_activity = now
+
+  UserSession.updateOne(
+    { sid: req.sessionID },
+    {
+      $set: { last_activity: new Date(now), ip: req.ip, user_agent: req.get("user-agent") },
+      $setOnInsert: { user_id: req.session.user._id },
+    },
+    { upsert: true },
+  ).catch((err) => console.error("Failed to record session activity:", err))
+  next()
+})
+
+// Bearer token authentication for /api/* routes. Requests without an Authorization header
+// fall through to the normal session; a bad or expired token is rejected outright.
+app.use("/api", async (req, res, next) => {
+  const match = (req.get("authorization") || "").match(/^Bearer\s+(\S+)$/i)
+  if (!match) return next()
+
+  try {
+    const apiToken = await ApiToken.findOne({ token_hash: hashToken(match[1]), revoked_at: null })
+    if (!apiToken || (apiToken.expires_at && apiToken.expires_at < new Date())) {
+      return res.status(401).json({ error: "Invalid or expired API token" })
+    }
+
+    const user = await User.findById(apiToken.user_id)
+    if (!user || user.suspended_at) {
+      return res.status(401).json({ error: "Invalid or expired API token" })
+    }
+
+    ApiToken.updateOne({ _id: apiToken._id }, { last_used_at: new Date() }).catch(() => {})
+    req.apiToken = apiToken
+    req.apiUser = user
+    next()
+  } catch (err) {
+    res.status(500).json({ error: "Failed to authenticate API token" })
+  }
+})
+
+// CSRF Protection (synchronizer token)
+// HTML responses get the session's token added to their POST forms (and a csrf-token meta tag
+// for scripts), and every state-changing request must send it back as _csrf or X-CSRF-Token.
+app.use((req, res, next) => {
+  const send = res.send.bind(res)
+  res.send = (body) => {
+    const contentType = res.get("Content-Type")
+    if (typeof body === "string" && (!contentType || contentType.includes("text/html"))) {
+      body = injectCsrfToken(req, body)
+    }
+    return send(body)
+  }
+  next()
+})
+
+// Upload routes whose multipart bodies aren't parsed yet; each runs verifyCsrf right after multer.
+// Multipart requests to any other path are checked here like the rest and fail without a header token.
+const MULTIPART_CSRF_ROUTES = [/^\/profile\/edit$/, /^\/apply\/[^/]+$/, /^\/employer\/company$/, /^\/employer\/jobs\/import$/]
+
+app.use((req, res, next) => {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return next()
+  // Browsers never attach bearer tokens on their own, so token-authenticated API calls are safe
+  if (req.apiToken) return next()
+  if (req.method === "POST" && req.is("multipart/form-data") && MULTIPART_CSRF_ROUTES.some((route) => route.test(req.path))) {
+    return next()
+  }
+  // One-click unsubscribe links from alert emails are authorized by their own token
+  if (req.path.startsWith("/alerts/unsubscribe/")) return next()
+  verifyCsrf(req, res, next)
+})
+
 // View Engine
 app.set("views", path.join(__dirname, "views"))
 app.set("view engine", "html")
 
-// Enhanced Upload Config for Resume and Profile Pictures
+// Enhanced Upload Config for Resumes, Profile Pictures and Company Logos
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     let uploadPath
     if (file.fieldname === "profilePicture") {
       uploadPath = path.join(__dirname, "public/uploads/profiles")
+    } else if (file.fieldname === "companyLogo") {
+      uploadPath = path.join(__dirname, "public/uploads/logos")
     } else {
       uploadPath = path.join(__dirname, "public/uploads/resumes")
     }
@@ -114,6 +528,12 @@ const upload = multer({
       } else {
         cb(new Error("Only image files are allowed for profile pictures"))
       }
+    } else if (file.fieldname === "companyLogo") {
+      if (file.mimetype.startsWith("image/")) {
+        cb(null, true)
+      } else {
+        cb(new Error("Only image files are allowed for company logos"))
+      }
     } else if (file.fieldname === "resume") {
       if (file.mimetype === "application/pdf") {
         cb(null, true)
@@ -126,1832 +546,9166 @@ const upload = multer({
   },
 })
 
-// Helper function to get default avatar SVG
-function getDefaultAvatar(size = 32) {
-  return `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='${size}' height='${size}' viewBox='0 0 24 24' fill='%23666'%3E%3Cpath d='M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z'/%3E%3C/svg%3E`
+// Mail Transport
+// MAIL_TRANSPORT picks the delivery method: "console" (default) prints messages,
+// "file" writes each one as JSON into MAIL_OUTBOX_DIR for local development and tests.
+// Any other value is loaded as a module exporting an async send(message) function.
+const MAIL_FROM = process.env.MAIL_FROM || "JobPortal <no-reply@jobportal.local>"
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "mail-outbox")
+
+const mailTransports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`)
+  },
+  file: async (message) => {
+    if (!fs.existsSync(MAIL_OUTBOX_DIR)) {
+      fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true })
+    }
+    const filename = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`
+    await fs.promises.writeFile(path.join(MAIL_OUTBOX_DIR, filename), JSON.stringify(message, null, 2))
+  },
 }
 
-// Helper function to generate enhanced HTML template with professional navbar
-function generateEnhancedHTML(title, content, user = null) {
+function getMailTransport() {
+  const name = process.env.MAIL_TRANSPORT || "console"
+  if (!mailTransports[name]) {
+    mailTransports[name] = require(path.resolve(__dirname, name))
+  }
+  return mailTransports[name]
+}
+
+// headers carries extra message headers such as List-Unsubscribe for transports that support them
+async function sendMail({ to, subject, text, html, headers }) {
+  const send = getMailTransport()
+  await send({ from: MAIL_FROM, to, subject, text, html, headers, date: new Date().toISOString() })
+}
+
+// Geocoding
+// GEOCODER picks how place names become coordinates: "gazetteer" (default) looks them up in the
+// offline city list in data/gazetteer.json. Any other value is loaded as a module exporting
+// an async function (query) => ({ lat, lng, label }) or null.
+const GAZETTEER = require("./data/gazetteer.json")
+
+function normalizePlaceName(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+}
+
+// Every name and alias, longest first so "navi mumbai" wins over "mumbai"
+const gazetteerIndex = GAZETTEER.flatMap((place) =>
+  [place.name, ...place.aliases].map((name) => ({ key: normalizePlaceName(name), place })),
+).sort((a, b) => b.key.length - a.key.length)
+
+const geocoders = {
+  gazetteer: async (query) => {
+    const [city] = String(query).split(",")
+    const cityKey = normalizePlaceName(city)
+    let match = gazetteerIndex.find((entry) => entry.key === cityKey)
+
+    // Fall back to a known place mentioned anywhere in the text, e.g. "Pune (Hybrid)"
+    if (!match) {
+      const text = ` ${normalizePlaceName(query)} `
+      match = gazetteerIndex.find((entry) => entry.key.length >= 4 && text.includes(` ${entry.key} `))
+    }
+    if (!match) return null
+    return { lat: match.place.lat, lng: match.place.lng, label: `${match.place.name}, ${match.place.country}` }
+  },
+}
+
+function getGeocoder() {
+  const name = process.env.GEOCODER || "gazetteer"
+  if (!geocoders[name]) {
+    geocoders[name] = require(path.resolve(__dirname, name))
+  }
+  return geocoders[name]
+}
+
+// Returns a GeoJSON point for a free-text location, or undefined when it can't be placed
+async function geocodePoint(location) {
+  if (!location || !String(location).trim()) return undefined
+  try {
+    const result = await getGeocoder()(String(location).trim())
+    return result ? { type: "Point", coordinates: [result.lng, result.lat] } : undefined
+  } catch (err) {
+    console.error("Geocoding failed:", err)
+    return undefined
+  }
+}
+
+// Great-circle distance in kilometres between two [lng, lat] pairs
+function distanceKm([lng1, lat1], [lng2, lat2]) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180
+  const dLat = toRadians(lat2 - lat1)
+  const dLng = toRadians(lng2 - lng1)
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+const EARTH_RADIUS_KM = 6378.1
+
+// Helper functions for single-use tokens sent by email; only the SHA-256 hash is stored
+function generateToken() {
+  return crypto.randomBytes(32).toString("hex")
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+const PASSWORD_RESET_TTL = 60 * 60 * 1000 // 1 hour
+const PASSWORD_RESET_COOLDOWN = 5 * 60 * 1000 // at most one reset mail per address this often
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000 // 24 hours
+
+// Helper function to issue a fresh verification token and email the confirmation link
+async function sendVerificationEmail(user) {
+  const token = generateToken()
+  user.email_verification_token = hashToken(token)
+  user.email_verification_expires = new Date(Date.now() + EMAIL_VERIFICATION_TTL)
+  await user.save()
+
+  const verifyUrl = `${APP_URL}/verify-email/${token}`
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your JobPortal email address",
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${verifyUrl}\n\nThis link expires in 24 hours. If you didn't create a JobPortal account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${verifyUrl}">Confirm my email</a></p><p>This link expires in 24 hours. If you didn't create a JobPortal account, you can ignore this email.</p>`,
+  })
+}
+
+// Helper function to check verification, re-reading the user in case the link was opened in another browser
+async function isEmailVerified(req) {
+  if (req.session.user.email_verified !== false) return true
+
+  const user = await User.findById(req.session.user._id)
+  if (!user) return false
+  req.session.user = sessionUser(user)
+  return user.email_verified !== false
+}
+
+function verifyEmailRequiredContent(action) {
   return `
-    <!DOCTYPE html>
-    <html lang="en" data-theme="light">
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>${title} - JobPortal</title>
-      <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
-      <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css" rel="stylesheet">
-      <link rel="stylesheet" href="/styles.css">
-    </head>
-    <body>
-      <!-- Professional Navbar -->
-      <nav class="navbar navbar-expand-lg navbar-custom fixed-top">
-        <div class="container">
-          <!-- Brand Logo -->
-          <a class="navbar-brand d-flex align-items-center" href="/">
-            <div class="brand-logo me-2">
-              <i class="fas fa-briefcase"></i>
-            </div>
-            <span class="brand-text">JobPortal</span>
-          </a>
-          
-          <!-- Mobile Toggle Button -->
-          <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarContent">
-            <span class="navbar-toggler-icon"></span>
+    <div class="text-center">
+      <i class="fas fa-envelope fa-3x text-warning mb-3"></i>
+      <h2 class="fw-bold text-warning mb-3">Email Not Verified</h2>
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        <strong>Please confirm your email address!</strong><br>
+        You need to verify your email before you can ${action}. Check your inbox for the confirmation link.
+      </div>
+      <div class="d-flex justify-content-center gap-3">
+        <form action="/verify-email/resend" method="POST">
+          <button type="submit" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-paper-plane me-2"></i>Resend Verification Email
           </button>
-          
-          <!-- Navbar Content -->
-          <div class="collapse navbar-collapse" id="navbarContent">
-            <!-- Main Navigation -->
-            <ul class="navbar-nav me-auto">
-              <li class="nav-item">
-                <a class="nav-link ${title === "Home" ? "active" : ""}" href="/">
-                  <i class="fas fa-home me-1"></i>Home
-                </a>
-              </li>
-              
-              ${
-                user
-                  ? `
-                <li class="nav-item">
-                  <a class="nav-link ${title === "Dashboard" ? "active" : ""}" href="/dashboard">
-                    <i class="fas fa-tachometer-alt me-1"></i>Dashboard
-                  </a>
-                </li>
-                
-                ${
-                  user.type === "user"
-                    ? `
-                  <li class="nav-item dropdown">
-                    <a class="nav-link dropdown-toggle" href="#" role="button" data-bs-toggle="dropdown">
-                      <i class="fas fa-search me-1"></i>Jobs
-                    </a>
-                    <ul class="dropdown-menu">
-                      <li><a class="dropdown-item" href="/jobs">
-                        <i class="fas fa-list me-2"></i>Browse All Jobs
-                      </a></li>
-                      <li><a class="dropdown-item" href="/my-applications">
-                        <i class="fas fa-file-alt me-2"></i>My Applications
-                      </a></li>
-                      <li><hr class="dropdown-divider"></li>
-                      <li><a class="dropdown-item" href="/jobs?category=remote">
-                        <i class="fas fa-home me-2"></i>Remote Jobs
-                      </a></li>
-                    </ul>
-                  </li>
-                `
-                    : `
-                  <li class="nav-item dropdown">
-                    <a class="nav-link dropdown-toggle" href="#" role="button" data-bs-toggle="dropdown">
-                      <i class="fas fa-building me-1"></i>Employer
-                    </a>
-                    <ul class="dropdown-menu">
-                      <li><a class="dropdown-item" href="/post-job">
-                        <i class="fas fa-plus me-2"></i>Post New Job
-                      </a></li>
-                      <li><a class="dropdown-item" href="/employer/applicants">
-                        <i class="fas fa-users me-2"></i>View Applicants
-                      </a></li>
-                      <li><hr class="dropdown-divider"></li>
-                      <li><a class="dropdown-item" href="/employer/jobs">
-                        <i class="fas fa-briefcase me-2"></i>My Job Posts
-                      </a></li>
-                    </ul>
-                  </li>
-                `
-                }
-              `
-                  : `
-                <li class="nav-item">
-                  <a class="nav-link" href="/jobs">
-                    <i class="fas fa-search me-1"></i>Browse Jobs
-                  </a>
-                </li>
-              `
-              }
-              
-              <li class="nav-item">
-                <a class="nav-link ${title === "About Us" ? "active" : ""}" href="/about">
-                  <i class="fas fa-info-circle me-1"></i>About
-                </a>
-              </li>
-              
-              <li class="nav-item">
-                <a class="nav-link ${title === "Contact Us" ? "active" : ""}" href="/contact">
-                  <i class="fas fa-envelope me-1"></i>Contact
-                </a>
-              </li>
-            </ul>
-            
-            <!-- Right Side Navigation -->
-            <ul class="navbar-nav align-items-center">
-              <!-- Theme Toggle -->
-              <li class="nav-item me-2">
-                <button class="btn btn-theme-toggle" onclick="toggleTheme()" id="themeToggle">
-                  <span class="theme-icon">🌙</span>
-                </button>
-              </li>
-              
-              ${
-                user
-                  ? `
-                <!-- User Profile Dropdown -->
-                <li class="nav-item dropdown">
-                  <a class="nav-link dropdown-toggle user-dropdown" href="#" role="button" data-bs-toggle="dropdown">
-                    <img src="${user.profile_picture || getDefaultAvatar(32)}" 
-                         alt="Profile" class="user-avatar me-2">
-                    <span class="user-name d-none d-lg-inline">${user.name}</span>
-                  </a>
-                  <ul class="dropdown-menu dropdown-menu-end user-menu">
-                    <li class="dropdown-header">
-                      <div class="user-info">
-                        <img src="${user.profile_picture || getDefaultAvatar(40)}" 
-                             alt="Profile" class="user-avatar-large">
-                        <div class="user-details">
-                          <div class="user-name-large">${user.name}</div>
-                          <div class="user-role">${user.type === "employer" ? "Employer" : "Job Seeker"}</div>
-                        </div>
-                      </div>
-                    </li>
-                    <li><hr class="dropdown-divider"></li>
-                    <li><a class="dropdown-item" href="/profile">
-                      <i class="fas fa-user me-2"></i>My Profile
-                    </a></li>
-                    <li><a class="dropdown-item" href="/settings">
-                      <i class="fas fa-cog me-2"></i>Settings
-                    </a></li>
-                    ${
-                      user.type === "employer"
-                        ? `
-                      <li><a class="dropdown-item" href="/employer/billing">
-                        <i class="fas fa-credit-card me-2"></i>Billing
-                      </a></li>
-                    `
-                        : `
-                      <li><a class="dropdown-item" href="/saved-jobs">
-                        <i class="fas fa-bookmark me-2"></i>Saved Jobs
-                      </a></li>
-                    `
-                    }
-                    <li><hr class="dropdown-divider"></li>
-                    <li><a class="dropdown-item text-danger" href="/logout">
-                      <i class="fas fa-sign-out-alt me-2"></i>Sign Out
-                    </a></li>
-                  </ul>
-                </li>
-              `
-                  : `
-                <!-- Guest Navigation -->
-                <li class="nav-item me-2">
-                  <a class="btn btn-outline-primary btn-nav" href="/login">
-                    <i class="fas fa-sign-in-alt me-1"></i>Sign In
-                  </a>
-                </li>
-                <li class="nav-item">
-                  <a class="btn btn-primary btn-nav" href="/register">
-                    <i class="fas fa-user-plus me-1"></i>Get Started
-                  </a>
-                </li>
-              `
-              }
-            </ul>
-          </div>
-        </div>
-      </nav>
-
-      <!-- Floating Background Elements -->
-      <div class="floating-shapes">
-        <div class="floating-shape"></div>
-        <div class="floating-shape"></div>
-        <div class="floating-shape"></div>
+        </form>
+        <a href="/dashboard" class="btn btn-secondary-custom btn-custom">
+          <i class="fas fa-home me-2"></i>Back to Dashboard
+        </a>
       </div>
+    </div>
+  `
+}
 
-      <!-- Main Content with proper spacing for fixed navbar -->
-      <main class="main-content">
-        <div class="container">
-          <div class="main-container">
-            ${content}
-          </div>
-        </div>
-      </main>
+// Login Throttling
+// Each failed sign-in bumps a counter for the submitted email and one for the client IP.
+// After a few free attempts the account counter imposes a growing delay, and both counters
+// lock out further attempts for a while once their threshold is reached.
+const LOGIN_FAILURE_WINDOW = 60 * 60 * 1000 // failures older than this start a fresh count
+const LOGIN_FREE_ATTEMPTS = 3
+const LOGIN_MAX_DELAY = 60 * 1000
+const ACCOUNT_LOCKOUT_THRESHOLD = 10
+const IP_LOCKOUT_THRESHOLD = 50
+const LOCKOUT_DURATION = 15 * 60 * 1000
 
-      <!-- Footer -->
-      <footer class="footer-custom">
-        <div class="container">
-          <div class="row">
-            <div class="col-md-4">
-              <div class="footer-brand">
-                <div class="brand-logo me-2">
-                  <i class="fas fa-briefcase"></i>
-                </div>
-                <span class="brand-text">JobPortal</span>
-              </div>
-              <p class="footer-description">
-                Connecting talented professionals with amazing opportunities worldwide.
-              </p>
-              <div class="social-links">
-                <a href="#" class="social-link"><i class="fab fa-facebook"></i></a>
-                <a href="#" class="social-link"><i class="fab fa-twitter"></i></a>
-                <a href="#" class="social-link"><i class="fab fa-linkedin"></i></a>
-                <a href="#" class="social-link"><i class="fab fa-instagram"></i></a>
-              </div>
-            </div>
-            <div class="col-md-2">
-              <h6 class="footer-title">For Job Seekers</h6>
-              <ul class="footer-links">
-                <li><a href="/jobs">Browse Jobs</a></li>
-                <li><a href="/companies">Companies</a></li>
-                <li><a href="/career-advice">Career Advice</a></li>
-                <li><a href="/resume-builder">Resume Builder</a></li>
-              </ul>
-            </div>
-            <div class="col-md-2">
-              <h6 class="footer-title">For Employers</h6>
-              <ul class="footer-links">
-                <li><a href="/post-job">Post a Job</a></li>
-                <li><a href="/pricing">Pricing</a></li>
-                <li><a href="/talent-search">Talent Search</a></li>
-                <li><a href="/employer-resources">Resources</a></li>
-              </ul>
-            </div>
-            <div class="col-md-2">
-              <h6 class="footer-title">Company</h6>
-              <ul class="footer-links">
-                <li><a href="/about">About Us</a></li>
-                <li><a href="/contact">Contact</a></li>
-                <li><a href="/careers">Careers</a></li>
-                <li><a href="/press">Press</a></li>
-              </ul>
-            </div>
-            <div class="col-md-2">
-              <h6 class="footer-title">Support</h6>
-              <ul class="footer-links">
-                <li><a href="/help">Help Center</a></li>
-                <li><a href="/privacy">Privacy Policy</a></li>
-                <li><a href="/terms">Terms of Service</a></li>
-                <li><a href="/security">Security</a></li>
-              </ul>
-            </div>
-          </div>
-          <hr class="footer-divider">
-          <div class="row align-items-center">
-            <div class="col-md-6">
-              <p class="footer-copyright">
-                © 2024 JobPortal. All rights reserved.
-              </p>
-            </div>
-            <div class="col-md-6 text-md-end">
-              <div class="footer-meta">
-                <span class="me-3">Made with ❤️ for job seekers</span>
-                <span class="version">v2.0</span>
-              </div>
-            </div>
-          </div>
-        </div>
-      </footer>
+// Compared against when the email is unknown, so both failure cases take as long as a real check
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("jobportal-dummy-password", 10)
 
-      <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
-      <script>
-        // Theme Management
-        function toggleTheme() {
-          const html = document.documentElement;
-          const themeIcon = document.querySelector('.theme-icon');
-          
-          const currentTheme = html.getAttribute('data-theme');
-          const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-          
-          html.setAttribute('data-theme', newTheme);
-          localStorage.setItem('theme', newTheme);
-          
-          if (newTheme === 'dark') {
-            themeIcon.textContent = '☀️';
-          } else {
-            themeIcon.textContent = '🌙';
-          }
-        }
+function accountThrottleKey(email) {
+  return `account:${String(email || "").trim().toLowerCase()}`
+}
 
-        // Load saved theme
-        document.addEventListener('DOMContentLoaded', function() {
-          const savedTheme = localStorage.getItem('theme') || 'light';
-          const html = document.documentElement;
-          const themeIcon = document.querySelector('.theme-icon');
-          
-          html.setAttribute('data-theme', savedTheme);
-          
-          if (savedTheme === 'dark') {
-            themeIcon.textContent = '☀️';
-          }
+function ipThrottleKey(ip) {
+  return `ip:${ip}`
+}
 
-          // Add entrance animation
-          const mainContainer = document.querySelector('.main-container');
-          if (mainContainer) {
-            mainContainer.style.opacity = '0';
-            mainContainer.style.transform = 'translateY(20px)';
-            setTimeout(() => {
-              mainContainer.style.opacity = '1';
-              mainContainer.style.transform = 'translateY(0)';
-            }, 100);
-          }
+// Returns how many milliseconds the caller must wait before another attempt (0 if allowed)
+async function getLoginRetryDelay(email, ip) {
+  const now = Date.now()
+  const throttles = await LoginThrottle.find({ key: { $in: [accountThrottleKey(email), ipThrottleKey(ip)] } })
 
-          // Navbar scroll effect
-          window.addEventListener('scroll', function() {
-            const navbar = document.querySelector('.navbar-custom');
-            if (window.scrollY > 50) {
-              navbar.classList.add('navbar-scrolled');
-            } else {
-              navbar.classList.remove('navbar-scrolled');
-            }
-          });
+  return throttles.reduce((wait, throttle) => {
+    const blockedUntil = Math.max(
+      throttle.locked_until ? throttle.locked_until.getTime() : 0,
+      throttle.next_attempt_at ? throttle.next_attempt_at.getTime() : 0,
+    )
+    return Math.max(wait, blockedUntil - now)
+  }, 0)
+}
 
-          // Close mobile menu when clicking outside
-          document.addEventListener('click', function(e) {
-            const navbar = document.querySelector('.navbar-collapse');
-            const toggler = document.querySelector('.navbar-toggler');
-            
-            if (!navbar.contains(e.target) && !toggler.contains(e.target)) {
-              const bsCollapse = new bootstrap.Collapse(navbar, {toggle: false});
-              bsCollapse.hide();
-            }
-          });
-        });
-      </script>
-    </body>
-    </html>
-  `
+// Every step is a single atomic update, so parallel wrong guesses each see their own count
+async function recordLoginFailure(email, ip, user) {
+  const now = new Date()
+  const counters = [
+    { scope: "account", key: accountThrottleKey(email), threshold: ACCOUNT_LOCKOUT_THRESHOLD, progressive: true },
+    { scope: "ip", key: ipThrottleKey(ip), threshold: IP_LOCKOUT_THRESHOLD, progressive: false },
+  ]
+
+  for (const counter of counters) {
+    // Start a new window when the last one has run out (or was cleared by a lockout)
+    await LoginThrottle.updateOne(
+      {
+        key: counter.key,
+        $or: [{ first_failure_at: null }, { first_failure_at: { $lte: new Date(now.getTime() - LOGIN_FAILURE_WINDOW) } }],
+      },
+      { $set: { failures: 0, first_failure_at: now } },
+    )
+
+    const increment = () =>
+      LoginThrottle.findOneAndUpdate(
+        { key: counter.key },
+        { $inc: { failures: 1 }, $setOnInsert: { first_failure_at: now } },
+        { upsert: true, new: true },
+      )
+    // Two first failures at once can both try to insert the counter; the loser just increments it
+    const throttle = await increment().catch((err) => {
+      if (err.code !== 11000) throw err
+      return increment()
+    })
+
+    if (counter.progressive && throttle.failures > LOGIN_FREE_ATTEMPTS) {
+      const delay = Math.min(1000 * 2 ** (throttle.failures - LOGIN_FREE_ATTEMPTS - 1), LOGIN_MAX_DELAY)
+      await LoginThrottle.updateOne({ key: counter.key }, { $max: { next_attempt_at: new Date(now.getTime() + delay) } })
+    }
+
+    if (throttle.failures >= counter.threshold) {
+      // Only the request that takes the counter past the threshold locks it, then counting starts again
+      const lockedUntil = new Date(now.getTime() + LOCKOUT_DURATION)
+      const locked = await LoginThrottle.findOneAndUpdate(
+        { key: counter.key, failures: { $gte: counter.threshold } },
+        { $set: { failures: 0, locked_until: lockedUntil }, $unset: { first_failure_at: 1 } },
+      )
+      if (locked) {
+        await LockoutEvent.create({
+          scope: counter.scope,
+          key: counter.key,
+          user_id: counter.scope === "account" && user ? user._id : undefined,
+          ip,
+          failures: locked.failures,
+          locked_until: lockedUntil,
+        })
+      }
+    }
+  }
 }
 
-// Routes
+async function clearAccountLoginFailures(email) {
+  await LoginThrottle.deleteOne({ key: accountThrottleKey(email) })
+}
 
-app.get("/", (req, res) => {
-  // Check if user is logged in and redirect to a logged-in version
-  if (req.session.user) {
-    const user = req.session.user
-    const content = `
-      <div class="hero-section-logged-in">
-        <div class="container">
-          <div class="text-center">
-            <img src="${user.profile_picture || getDefaultAvatar(100)}" 
-                 alt="Profile" class="rounded-circle mb-3" width="100" height="100"
-                 style="object-fit: cover; border: 4px solid var(--primary-color);">
-            <h1 class="hero-title">Welcome back, ${user.name}!</h1>
-            <p class="hero-subtitle">
-              Ready to ${user.type === "employer" ? "find great talent" : "find your next opportunity"}?
-            </p>
-            <div class="d-flex justify-content-center gap-4 flex-wrap">
+// Helper function to describe a wait in words for lockout messages
+function formatDuration(ms) {
+  const seconds = Math.ceil(ms / 1000)
+  if (seconds < 60) return `${seconds} second${seconds !== 1 ? "s" : ""}`
+  const minutes = Math.ceil(seconds / 60)
+  return `${minutes} minute${minutes !== 1 ? "s" : ""}`
+}
+
+// Session Helpers
+// The user fields kept in the session for rendering pages. Passwords, 2FA secrets, recovery codes
+// and token hashes stay in the database only.
+const SESSION_USER_FIELDS = [
+  "_id",
+  "name",
+  "email",
+  "type",
+  "profile_picture",
+  "phone",
+  "location",
+  "location_point",
+  "bio",
+  "skills",
+  "experience",
+  "company_name",
+  "company_description",
+  "website",
+  "company_id",
+  "email_verified",
+  "totp_enabled",
+  "deletion_scheduled_for",
+]
+
+function sessionUser(user) {
+  const data = typeof user.toObject === "function" ? user.toObject() : user
+  return Object.fromEntries(SESSION_USER_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]]))
+}
+
+// Signs the user in on a fresh session id (so a pre-login id can't be fixed by an attacker)
+// and records the device so it shows up under Settings > Devices & sessions.
+async function startUserSession(req, user) {
+  await new Promise((resolve, reject) => {
+    req.session.regenerate((err) => (err ? reject(err) : resolve()))
+  })
+  req.session.user = sessionUser(user)
+  req.session.last_activity = Date.now()
+  req.session.signed_in_at = Date.now()
+  await UserSession.create({
+    sid: req.sessionID,
+    user_id: user._id,
+    user_agent: req.get("user-agent"),
+    ip: req.ip,
+    last_activity: new Date(),
+  })
+}
+
+// Destroys the stored sessions matching the filter, signing those browsers out
+async function revokeUserSessions(filter) {
+  const userSessions = await UserSession.find(filter)
+  await Promise.all(
+    userSessions.map(
+      (userSession) =>
+        new Promise((resolve, reject) => {
+          sessionStore.destroy(userSession.sid, (err) => (err ? reject(err) : resolve()))
+        }),
+    ),
+  )
+  await UserSession.deleteMany({ _id: { $in: userSessions.map((userSession) => userSession._id) } })
+  return userSessions.length
+}
+
+// Helper function to turn a user agent string into something like "Chrome on Windows"
+function describeUserAgent(userAgent = "") {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ]
+  const systems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+  ]
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))
+  if (!browser && !system) return userAgent ? "Unknown browser" : "Unknown device"
+  return `${browser ? browser[0] : "Browser"} on ${system ? system[0] : "unknown OS"}`
+}
+
+// API Tokens
+const API_TOKEN_SCOPES = {
+  "jobs:read": { label: "Read jobs", description: "List job postings, including your own", types: ["user", "employer", "admin"] },
+  "jobs:write": { label: "Write jobs", description: "Create and update your job postings", types: ["employer"] },
+  "applicants:read": { label: "Read applicants", description: "List applications to your jobs", types: ["employer"] },
+  "applicants:write": { label: "Update applicants", description: "Move applications through the hiring pipeline", types: ["employer"] },
+  "saved_jobs:read": { label: "Read saved jobs", description: "List the jobs you've saved", types: ["user"] },
+  "saved_jobs:write": { label: "Write saved jobs", description: "Save and unsave jobs", types: ["user"] },
+}
+const API_TOKEN_EXPIRY_DAYS = [30, 90, 365]
+
+// Route middleware for API endpoints: bearer tokens need the scope, signed-in sessions pass as they are
+function requireApiScope(scope) {
+  return (req, res, next) => {
+    if (req.apiToken) {
+      if (!req.apiToken.scopes.includes(scope)) {
+        return res.status(403).json({ error: `This token is missing the ${scope} scope` })
+      }
+      return next()
+    }
+    if (req.session.user) {
+      req.apiUser = req.session.user
+      return next()
+    }
+    res.status(401).json({ error: "Authentication required" })
+  }
+}
+
+// Platform Settings
+// Values stored in the settings collection win; otherwise the default below applies.
+const SETTING_DEFAULTS = {
+  require_employer_2fa: process.env.REQUIRE_EMPLOYER_2FA === "true",
+}
+
+async function getSetting(key) {
+  const setting = await Setting.findOne({ key })
+  return setting ? setting.value : SETTING_DEFAULTS[key]
+}
+
+// Two-Factor Authentication (TOTP, RFC 6238: HMAC-SHA1, 6 digits, 30 second steps)
+const TOTP_ISSUER = "JobPortal"
+const TOTP_STEP_SECONDS = 30
+const RECOVERY_CODE_COUNT = 10
+const PENDING_2FA_TTL = 5 * 60 * 1000 // time allowed between the password and code steps
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+function base32Encode(buffer) {
+  let bits = ""
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0")
+  let output = ""
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)]
+  }
+  return output
+}
+
+function base32Decode(input) {
+  let bits = ""
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error("Invalid base32 character")
+    bits += index.toString(2).padStart(5, "0")
+  }
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2))
+  }
+  return Buffer.from(bytes)
+}
+
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, "0")
+}
+
+// Returns the matching time step (allowing one step of clock drift) or null.
+// Steps at or before lastStep are rejected so a code can't be replayed.
+function verifyTotp(secret, code, lastStep) {
+  const normalized = String(code || "").replace(/\s+/g, "")
+  if (!/^\d{6}$/.test(normalized)) return null
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS)
+  for (let step = currentStep - 1; step <= currentStep + 1; step++) {
+    if (lastStep != null && step <= lastStep) continue
+    if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(normalized))) {
+      return step
+    }
+  }
+  return null
+}
+
+function getTotpProvisioningUri(secret, email) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`)
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=6&period=${TOTP_STEP_SECONDS}`
+}
+
+// Helper function to create recovery codes; returns the plain codes to show once and their hashes to store
+async function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(code, 10)))
+  return { codes, hashes }
+}
+
+// Checks a TOTP or recovery code for an enrolled user and records its use. Returns true if accepted.
+async function consumeSecondFactor(user, code) {
+  const step = verifyTotp(user.totp_secret, code, user.totp_last_step)
+  if (step !== null) {
+    user.totp_last_step = step
+    await user.save()
+    return true
+  }
+
+  const normalized = String(code || "").trim().toLowerCase()
+  for (let i = 0; i < (user.recovery_codes || []).length; i++) {
+    if (await bcrypt.compare(normalized, user.recovery_codes[i])) {
+      user.recovery_codes.splice(i, 1)
+      await user.save()
+      return true
+    }
+  }
+  return false
+}
+
+async function isTwoFactorRequired(user) {
+  return user.type === "employer" && (await getSetting("require_employer_2fa")) === true
+}
+
+// CSRF Helpers
+function getCsrfToken(req) {
+  if (!req.session.csrf_token) {
+    req.session.csrf_token = crypto.randomBytes(32).toString("hex")
+  }
+  return req.session.csrf_token
+}
+
+const POST_FORM_PATTERN = /<form\b[^>]*\bmethod=["']?post["']?[^>]*>/gi
+
+function injectCsrfToken(req, html) {
+  const hasPostForm = POST_FORM_PATTERN.test(html)
+  POST_FORM_PATTERN.lastIndex = 0
+  // Only pages that can submit something need a token; this avoids a session for every visitor
+  if (!hasPostForm && !req.session.user) return html
+
+  const token = getCsrfToken(req)
+  return html
+    .replace(POST_FORM_PATTERN, (form) => `${form}\n<input type="hidden" name="_csrf" value="${token}">`)
+    .replace(/<\/head>/i, `  <meta name="csrf-token" content="${token}">\n</head>`)
+}
+
+function verifyCsrf(req, res, next) {
+  const expected = req.session.csrf_token
+  const provided = (req.body && req.body._csrf) || req.get("x-csrf-token")
+
+  if (
+    expected &&
+    typeof provided === "string" &&
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+  ) {
+    return next()
+  }
+
+  // Don't keep files uploaded with a rejected request (in-memory uploads have no path)
+  if (req.file && req.file.path) fs.unlink(req.file.path, () => {})
+
+  if (req.path.startsWith("/api/") || !req.accepts("html")) {
+    return res.status(403).json({ error: "Invalid or missing CSRF token" })
+  }
+
+  const content = `
+    <div class="text-center">
+      <i class="fas fa-shield-alt fa-3x text-danger mb-3"></i>
+      <h2 class="fw-bold text-danger mb-3">Request Blocked</h2>
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        <strong>Security check failed!</strong><br>
+        This form couldn't be verified, possibly because your session expired or the request came from another site.
+        Please go back, reload the page and try again.
+      </div>
+      <div class="d-flex justify-content-center gap-3">
+        <a href="javascript:history.back()" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-arrow-left me-2"></i>Go Back
+        </a>
+        <a href="/" class="btn btn-secondary-custom btn-custom">
+          <i class="fas fa-home me-2"></i>Go Home
+        </a>
+      </div>
+    </div>
+  `
+  res.status(403).send(generateEnhancedHTML("Request Blocked", content, req.session.user))
+}
+
+// Helper function to send one of the static pages in views/ (responses pass through CSRF injection).
+// An optional transform can fill in server-side parts of the page before it is sent.
+function sendView(res, name, transform = (html) => html) {
+  fs.readFile(path.join(__dirname, "views", name), "utf8", (err, html) => {
+    if (err) return res.status(500).send("Failed to load page")
+    res.send(transform(html))
+  })
+}
+
+// Background Jobs
+// Runs fn every intervalMs once MongoDB is connected; a run is skipped while the previous one is still going.
+function scheduleBackgroundJob(name, intervalMs, fn) {
+  let running = false
+  const run = async () => {
+    if (running) return
+    running = true
+    try {
+      await fn()
+    } catch (err) {
+      console.error(`❌ Background job "${name}" failed:`, err)
+    } finally {
+      running = false
+    }
+  }
+
+  mongoose.connection.once("open", () => {
+    run()
+    setInterval(run, intervalMs)
+  })
+}
+
+// Helper function to delete a file saved under public/uploads, given its public URL
+async function removeUpload(url) {
+  if (!url || !url.startsWith("/uploads/")) return
+  const uploadsDir = path.join(__dirname, "public/uploads")
+  const filePath = path.join(__dirname, "public", url)
+  if (!filePath.startsWith(uploadsDir + path.sep)) return
+  await fs.promises.unlink(filePath).catch(() => {})
+}
+
+// Helper function to escape user-provided text before inserting it into HTML
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+// Helper function to escape user input for use inside a RegExp search
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+function getRoleLabel(type) {
+  return { user: "Job Seeker", employer: "Employer", admin: "Administrator" }[type] || "Member"
+}
+
+// Helper function to get default avatar SVG
+function getDefaultAvatar(size = 32) {
+  return `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='${size}' height='${size}' viewBox='0 0 24 24' fill='%23666'%3E%3Cpath d='M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z'/%3E%3C/svg%3E`
+}
+
+// Helper function to generate enhanced HTML template with professional navbar
+function generateEnhancedHTML(title, content, user = null) {
+  return `
+    <!DOCTYPE html>
+    <html lang="en" data-theme="light">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title} - JobPortal</title>
+      <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+      <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css" rel="stylesheet">
+      <link rel="stylesheet" href="/styles.css">
+    </head>
+    <body>
+      <!-- Professional Navbar -->
+      <nav class="navbar navbar-expand-lg navbar-custom fixed-top">
+        <div class="container">
+          <!-- Brand Logo -->
+          <a class="navbar-brand d-flex align-items-center" href="/">
+            <div class="brand-logo me-2">
+              <i class="fas fa-briefcase"></i>
+            </div>
+            <span class="brand-text">JobPortal</span>
+          </a>
+          
+          <!-- Mobile Toggle Button -->
+          <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarContent">
+            <span class="navbar-toggler-icon"></span>
+          </button>
+          
+          <!-- Navbar Content -->
+          <div class="collapse navbar-collapse" id="navbarContent">
+            <!-- Main Navigation -->
+            <ul class="navbar-nav me-auto">
+              <li class="nav-item">
+                <a class="nav-link ${title === "Home" ? "active" : ""}" href="/">
+                  <i class="fas fa-home me-1"></i>Home
+                </a>
+              </li>
+              
               ${
-                user.type === "employer"
+                user
                   ? `
-                <a href="/post-job" class="btn btn-primary btn-lg btn-custom hover-lift">
-                  <i class="fas fa-plus me-2"></i>Post a Job
-                </a>
-                <a href="/employer/applicants" class="btn btn-outline-primary btn-lg btn-custom hover-lift">
-                  <i class="fas fa-users me-2"></i>View Applicants
-                </a>
+                <li class="nav-item">
+                  <a class="nav-link ${title === "Dashboard" ? "active" : ""}" href="/dashboard">
+                    <i class="fas fa-tachometer-alt me-1"></i>Dashboard
+                  </a>
+                </li>
+                
+                ${
+                  user.type === "user"
+                    ? `
+                  <li class="nav-item dropdown">
+                    <a class="nav-link dropdown-toggle" href="#" role="button" data-bs-toggle="dropdown">
+                      <i class="fas fa-search me-1"></i>Jobs
+                    </a>
+                    <ul class="dropdown-menu">
+                      <li><a class="dropdown-item" href="/jobs">
+                        <i class="fas fa-list me-2"></i>Browse All Jobs
+                      </a></li>
+                      <li><a class="dropdown-item" href="/my-applications">
+                        <i class="fas fa-file-alt me-2"></i>My Applications
+                      </a></li>
+                      <li><hr class="dropdown-divider"></li>
+                      <li><a class="dropdown-item" href="/jobs?category=remote">
+                        <i class="fas fa-home me-2"></i>Remote Jobs
+                      </a></li>
+                    </ul>
+                  </li>
+                `
+                    : user.type === "admin"
+                      ? `
+                  <li class="nav-item dropdown">
+                    <a class="nav-link dropdown-toggle" href="#" role="button" data-bs-toggle="dropdown">
+                      <i class="fas fa-user-shield me-1"></i>Admin
+                    </a>
+                    <ul class="dropdown-menu">
+                      <li><a class="dropdown-item" href="/admin">
+                        <i class="fas fa-chart-pie me-2"></i>Overview
+                      </a></li>
+                      <li><a class="dropdown-item" href="/admin/users">
+                        <i class="fas fa-users me-2"></i>Users
+                      </a></li>
+                      <li><a class="dropdown-item" href="/admin/jobs">
+                        <i class="fas fa-briefcase me-2"></i>Jobs
+                      </a></li>
+                      <li><a class="dropdown-item" href="/admin/applications">
+                        <i class="fas fa-file-alt me-2"></i>Applications
+                      </a></li>
+                      <li><hr class="dropdown-divider"></li>
+                      <li><a class="dropdown-item" href="/admin/audit-log">
+                        <i class="fas fa-history me-2"></i>Audit Log
+                      </a></li>
+                    </ul>
+                  </li>
+                `
+                      : `
+                  <li class="nav-item dropdown">
+                    <a class="nav-link dropdown-toggle" href="#" role="button" data-bs-toggle="dropdown">
+                      <i class="fas fa-building me-1"></i>Employer
+                    </a>
+                    <ul class="dropdown-menu">
+                      <li><a class="dropdown-item" href="/post-job">
+                        <i class="fas fa-plus me-2"></i>Post New Job
+                      </a></li>
+                      <li><a class="dropdown-item" href="/employer/applicants">
+                        <i class="fas fa-users me-2"></i>View Applicants
+                      </a></li>
+                      <li><hr class="dropdown-divider"></li>
+                      <li><a class="dropdown-item" href="/employer/jobs">
+                        <i class="fas fa-briefcase me-2"></i>My Job Posts
+                      </a></li>
+                      <li><a class="dropdown-item" href="/employer/company">
+                        <i class="fas fa-building me-2"></i>Company Page
+                      </a></li>
+                    </ul>
+                  </li>
+                `
+                }
               `
                   : `
-                <a href="/jobs" class="btn btn-primary btn-lg btn-custom hover-lift">
-                  <i class="fas fa-search me-2"></i>Browse Jobs
-                </a>
-                <a href="/my-applications" class="btn btn-outline-primary btn-lg btn-custom hover-lift">
-                  <i class="fas fa-file-alt me-2"></i>My Applications
-                </a>
+                <li class="nav-item">
+                  <a class="nav-link" href="/jobs">
+                    <i class="fas fa-search me-1"></i>Browse Jobs
+                  </a>
+                </li>
               `
               }
-            </div>
+              
+              <li class="nav-item">
+                <a class="nav-link ${title === "Companies" ? "active" : ""}" href="/companies">
+                  <i class="fas fa-building me-1"></i>Companies
+                </a>
+              </li>
+              
+              <li class="nav-item">
+                <a class="nav-link ${title === "About Us" ? "active" : ""}" href="/about">
+                  <i class="fas fa-info-circle me-1"></i>About
+                </a>
+              </li>
+              
+              <li class="nav-item">
+                <a class="nav-link ${title === "Contact Us" ? "active" : ""}" href="/contact">
+                  <i class="fas fa-envelope me-1"></i>Contact
+                </a>
+              </li>
+            </ul>
+            
+            <!-- Right Side Navigation -->
+            <ul class="navbar-nav align-items-center">
+              <!-- Theme Toggle -->
+              <li class="nav-item me-2">
+                <button class="btn btn-theme-toggle" onclick="toggleTheme()" id="themeToggle">
+                  <span class="theme-icon">🌙</span>
+                </button>
+              </li>
+              
+              ${
+                user
+                  ? `
+                <!-- User Profile Dropdown -->
+                <li class="nav-item dropdown">
+                  <a class="nav-link dropdown-toggle user-dropdown" href="#" role="button" data-bs-toggle="dropdown">
+                    <img src="${user.profile_picture || getDefaultAvatar(32)}" 
+                         alt="Profile" class="user-avatar me-2">
+                    <span class="user-name d-none d-lg-inline">${user.name}</span>
+                  </a>
+                  <ul class="dropdown-menu dropdown-menu-end user-menu">
+                    <li class="dropdown-header">
+                      <div class="user-info">
+                        <img src="${user.profile_picture || getDefaultAvatar(40)}" 
+                             alt="Profile" class="user-avatar-large">
+                        <div class="user-details">
+                          <div class="user-name-large">${user.name}</div>
+                          <div class="user-role">${getRoleLabel(user.type)}</div>
+                        </div>
+                      </div>
+                    </li>
+                    <li><hr class="dropdown-divider"></li>
+                    <li><a class="dropdown-item" href="/profile">
+                      <i class="fas fa-user me-2"></i>My Profile
+                    </a></li>
+                    <li><a class="dropdown-item" href="/settings">
+                      <i class="fas fa-cog me-2"></i>Settings
+                    </a></li>
+                    ${
+                      user.type === "employer"
+                        ? `
+                      <li><a class="dropdown-item" href="/employer/billing">
+                        <i class="fas fa-credit-card me-2"></i>Billing
+                      </a></li>
+                    `
+                        : user.type === "user"
+                          ? `
+                      <li><a class="dropdown-item" href="/saved-jobs">
+                        <i class="fas fa-bookmark me-2"></i>Saved Jobs
+                      </a></li>
+                      <li><a class="dropdown-item" href="/saved-searches">
+                        <i class="fas fa-bell me-2"></i>Saved Searches
+                      </a></li>
+                    `
+                          : ""
+                    }
+                    <li><hr class="dropdown-divider"></li>
+                    <li><a class="dropdown-item text-danger" href="/logout">
+                      <i class="fas fa-sign-out-alt me-2"></i>Sign Out
+                    </a></li>
+                  </ul>
+                </li>
+              `
+                  : `
+                <!-- Guest Navigation -->
+                <li class="nav-item me-2">
+                  <a class="btn btn-outline-primary btn-nav" href="/login">
+                    <i class="fas fa-sign-in-alt me-1"></i>Sign In
+                  </a>
+                </li>
+                <li class="nav-item">
+                  <a class="btn btn-primary btn-nav" href="/register">
+                    <i class="fas fa-user-plus me-1"></i>Get Started
+                  </a>
+                </li>
+              `
+              }
+            </ul>
+          </div>
+        </div>
+      </nav>
+
+      <!-- Floating Background Elements -->
+      <div class="floating-shapes">
+        <div class="floating-shape"></div>
+        <div class="floating-shape"></div>
+        <div class="floating-shape"></div>
+      </div>
+
+      <!-- Main Content with proper spacing for fixed navbar -->
+      <main class="main-content">
+        <div class="container">
+          <div class="main-container">
+            ${content}
+          </div>
+        </div>
+      </main>
+
+      <!-- Footer -->
+      <footer class="footer-custom">
+        <div class="container">
+          <div class="row">
+            <div class="col-md-4">
+              <div class="footer-brand">
+                <div class="brand-logo me-2">
+                  <i class="fas fa-briefcase"></i>
+                </div>
+                <span class="brand-text">JobPortal</span>
+              </div>
+              <p class="footer-description">
+                Connecting talented professionals with amazing opportunities worldwide.
+              </p>
+              <div class="social-links">
+                <a href="#" class="social-link"><i class="fab fa-facebook"></i></a>
+                <a href="#" class="social-link"><i class="fab fa-twitter"></i></a>
+                <a href="#" class="social-link"><i class="fab fa-linkedin"></i></a>
+                <a href="#" class="social-link"><i class="fab fa-instagram"></i></a>
+              </div>
+            </div>
+            <div class="col-md-2">
+              <h6 class="footer-title">For Job Seekers</h6>
+              <ul class="footer-links">
+                <li><a href="/jobs">Browse Jobs</a></li>
+                <li><a href="/companies">Companies</a></li>
+                <li><a href="/career-advice">Career Advice</a></li>
+                <li><a href="/resume-builder">Resume Builder</a></li>
+              </ul>
+            </div>
+            <div class="col-md-2">
+              <h6 class="footer-title">For Employers</h6>
+              <ul class="footer-links">
+                <li><a href="/post-job">Post a Job</a></li>
+                <li><a href="/pricing">Pricing</a></li>
+                <li><a href="/talent-search">Talent Search</a></li>
+                <li><a href="/employer-resources">Resources</a></li>
+              </ul>
+            </div>
+            <div class="col-md-2">
+              <h6 class="footer-title">Company</h6>
+              <ul class="footer-links">
+                <li><a href="/about">About Us</a></li>
+                <li><a href="/contact">Contact</a></li>
+                <li><a href="/careers">Careers</a></li>
+                <li><a href="/press">Press</a></li>
+              </ul>
+            </div>
+            <div class="col-md-2">
+              <h6 class="footer-title">Support</h6>
+              <ul class="footer-links">
+                <li><a href="/help">Help Center</a></li>
+                <li><a href="/privacy">Privacy Policy</a></li>
+                <li><a href="/terms">Terms of Service</a></li>
+                <li><a href="/security">Security</a></li>
+              </ul>
+            </div>
+          </div>
+          <hr class="footer-divider">
+          <div class="row align-items-center">
+            <div class="col-md-6">
+              <p class="footer-copyright">
+                © 2024 JobPortal. All rights reserved.
+              </p>
+            </div>
+            <div class="col-md-6 text-md-end">
+              <div class="footer-meta">
+                <span class="me-3">Made with ❤️ for job seekers</span>
+                <span class="version">v2.0</span>
+              </div>
+            </div>
+          </div>
+        </div>
+      </footer>
+
+      <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
+      <script>
+        // Theme Management
+        function toggleTheme() {
+          const html = document.documentElement;
+          const themeIcon = document.querySelector('.theme-icon');
+          
+          const currentTheme = html.getAttribute('data-theme');
+          const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+          
+          html.setAttribute('data-theme', newTheme);
+          localStorage.setItem('theme', newTheme);
+          
+          if (newTheme === 'dark') {
+            themeIcon.textContent = '☀️';
+          } else {
+            themeIcon.textContent = '🌙';
+          }
+        }
+
+        // Load saved theme
+        document.addEventListener('DOMContentLoaded', function() {
+          const savedTheme = localStorage.getItem('theme') || 'light';
+          const html = document.documentElement;
+          const themeIcon = document.querySelector('.theme-icon');
+          
+          html.setAttribute('data-theme', savedTheme);
+          
+          if (savedTheme === 'dark') {
+            themeIcon.textContent = '☀️';
+          }
+
+          // Add entrance animation
+          const mainContainer = document.querySelector('.main-container');
+          if (mainContainer) {
+            mainContainer.style.opacity = '0';
+            mainContainer.style.transform = 'translateY(20px)';
+            setTimeout(() => {
+              mainContainer.style.opacity = '1';
+              mainContainer.style.transform = 'translateY(0)';
+            }, 100);
+          }
+
+          // Navbar scroll effect
+          window.addEventListener('scroll', function() {
+            const navbar = document.querySelector('.navbar-custom');
+            if (window.scrollY > 50) {
+              navbar.classList.add('navbar-scrolled');
+            } else {
+              navbar.classList.remove('navbar-scrolled');
+            }
+          });
+
+          // Close mobile menu when clicking outside
+          document.addEventListener('click', function(e) {
+            const navbar = document.querySelector('.navbar-collapse');
+            const toggler = document.querySelector('.navbar-toggler');
+            
+            if (!navbar.contains(e.target) && !toggler.contains(e.target)) {
+              const bsCollapse = new bootstrap.Collapse(navbar, {toggle: false});
+              bsCollapse.hide();
+            }
+          });
+        });
+      </script>
+    </body>
+    </html>
+  `
+}
+
+// Routes
+
+app.get("/", (req, res) => {
+  // Check if user is logged in and redirect to a logged-in version
+  if (req.session.user) {
+    const user = req.session.user
+    const content = `
+      <div class="hero-section-logged-in">
+        <div class="container">
+          <div class="text-center">
+            <img src="${user.profile_picture || getDefaultAvatar(100)}" 
+                 alt="Profile" class="rounded-circle mb-3" width="100" height="100"
+                 style="object-fit: cover; border: 4px solid var(--primary-color);">
+            <h1 class="hero-title">Welcome back, ${user.name}!</h1>
+            <p class="hero-subtitle">
+              Ready to ${user.type === "employer" ? "find great talent" : "find your next opportunity"}?
+            </p>
+            <div class="d-flex justify-content-center gap-4 flex-wrap">
+              ${
+                user.type === "employer"
+                  ? `
+                <a href="/post-job" class="btn btn-primary btn-lg btn-custom hover-lift">
+                  <i class="fas fa-plus me-2"></i>Post a Job
+                </a>
+                <a href="/employer/applicants" class="btn btn-outline-primary btn-lg btn-custom hover-lift">
+                  <i class="fas fa-users me-2"></i>View Applicants
+                </a>
+              `
+                  : `
+                <a href="/jobs" class="btn btn-primary btn-lg btn-custom hover-lift">
+                  <i class="fas fa-search me-2"></i>Browse Jobs
+                </a>
+                <a href="/my-applications" class="btn btn-outline-primary btn-lg btn-custom hover-lift">
+                  <i class="fas fa-file-alt me-2"></i>My Applications
+                </a>
+              `
+              }
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <!-- Quick Stats Section -->
+      <div class="container my-5">
+        <div class="row g-4">
+          <div class="col-md-4">
+            <div class="card-custom text-center hover-lift">
+              <div class="card-body-custom">
+                <i class="fas fa-briefcase fa-2x text-primary mb-3"></i>
+                <h5 class="fw-bold">1,000+</h5>
+                <p class="text-muted">Active Jobs</p>
+              </div>
+            </div>
+          </div>
+          <div class="col-md-4">
+            <div class="card-custom text-center hover-lift">
+              <div class="card-body-custom">
+                <i class="fas fa-users fa-2x text-success mb-3"></i>
+                <h5 class="fw-bold">5,000+</h5>
+                <p class="text-muted">Job Seekers</p>
+              </div>
+            </div>
+          </div>
+          <div class="col-md-4">
+            <div class="card-custom text-center hover-lift">
+              <div class="card-body-custom">
+                <i class="fas fa-building fa-2x text-warning mb-3"></i>
+                <h5 class="fw-bold">500+</h5>
+                <p class="text-muted">Companies</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `
+    return res.send(generateEnhancedHTML("Home", content, user))
+  }
+
+  sendView(res, "index.html")
+})
+
+app.get("/about", (req, res) => {
+  const content = `
+    <div class="text-center mb-5">
+      <i class="fas fa-info-circle fa-3x text-primary mb-3"></i>
+      <h1 class="fw-bold mb-3">About JobPortal</h1>
+      <p class="lead text-muted">Connecting talent with opportunity since 2024</p>
+    </div>
+
+    <div class="row g-5">
+      <div class="col-lg-6">
+        <div class="card-custom h-100">
+          <div class="card-body-custom">
+            <h3 class="fw-bold mb-4">Our Mission</h3>
+            <p class="text-muted mb-4">
+              At JobPortal, we believe that everyone deserves to find meaningful work that aligns with their skills, 
+              passions, and career goals. Our mission is to bridge the gap between talented professionals and 
+              innovative companies looking for the right fit.
+            </p>
+            <p class="text-muted">
+              We're committed to creating a platform that not only connects job seekers with employers but also 
+              provides the tools and resources needed to build successful, long-lasting professional relationships.
+            </p>
+          </div>
+        </div>
+      </div>
+      
+      <div class="col-lg-6">
+        <div class="card-custom h-100">
+          <div class="card-body-custom">
+            <h3 class="fw-bold mb-4">Our Story</h3>
+            <p class="text-muted mb-4">
+              Founded in 2024, JobPortal started as a simple idea: make job searching and hiring more efficient, 
+              transparent, and human-centered. Our founders, experienced professionals from the tech and HR industries, 
+              recognized the need for a platform that prioritizes quality connections over quantity.
+            </p>
+            <p class="text-muted">
+              Today, we're proud to serve thousands of job seekers and hundreds of companies worldwide, 
+              facilitating meaningful career moves and helping businesses find the talent they need to grow.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <div class="row g-4 mt-5">
+      <div class="col-md-4">
+        <div class="text-center">
+          <div class="mb-3">
+            <div style="width: 80px; height: 80px; background: linear-gradient(135deg, #3b82f6, #8b5cf6); border-radius: 50%; display: flex; align-items: center; justify-content: center; margin: 0 auto;">
+              <i class="fas fa-eye fa-2x text-white"></i>
+            </div>
+          </div>
+          <h5 class="fw-bold mb-3">Our Vision</h5>
+          <p class="text-muted">
+            To become the world's most trusted platform for career advancement and talent acquisition.
+          </p>
+        </div>
+      </div>
+      
+      <div class="col-md-4">
+        <div class="text-center">
+          <div class="mb-3">
+            <div style="width: 80px; height: 80px; background: linear-gradient(135deg, #10b981, #06b6d4); border-radius: 50%; display: flex; align-items: center; justify-content: center; margin: 0 auto;">
+              <i class="fas fa-heart fa-2x text-white"></i>
+            </div>
+          </div>
+          <h5 class="fw-bold mb-3">Our Values</h5>
+          <p class="text-muted">
+            Transparency, integrity, innovation, and putting people first in everything we do.
+          </p>
+        </div>
+      </div>
+      
+      <div class="col-md-4">
+        <div class="text-center">
+          <div class="mb-3">
+            <div style="width: 80px; height: 80px; background: linear-gradient(135deg, #f59e0b, #ef4444); border-radius: 50%; display: flex; align-items: center; justify-content: center; margin: 0 auto;">
+              <i class="fas fa-rocket fa-2x text-white"></i>
+            </div>
+          </div>
+          <h5 class="fw-bold mb-3">Our Impact</h5>
+          <p class="text-muted">
+            Over 10,000 successful job placements and counting, with 95% satisfaction rate.
+          </p>
+        </div>
+      </div>
+    </div>
+
+    <div class="card-custom mt-5">
+      <div class="card-body-custom text-center">
+        <h3 class="fw-bold mb-4">Join Our Community</h3>
+        <p class="text-muted mb-4">
+          Whether you're looking for your next career opportunity or searching for talented professionals 
+          to join your team, JobPortal is here to help you succeed.
+        </p>
+        <div class="d-flex justify-content-center gap-3">
+          ${
+            req.session.user
+              ? `
+            <a href="/dashboard" class="btn btn-primary-custom btn-custom">
+              <i class="fas fa-tachometer-alt me-2"></i>Go to Dashboard
+            </a>
+          `
+              : `
+            <a href="/register" class="btn btn-primary-custom btn-custom">
+              <i class="fas fa-user-plus me-2"></i>Get Started Today
+            </a>
+            <a href="/contact" class="btn btn-secondary-custom btn-custom">
+              <i class="fas fa-envelope me-2"></i>Contact Us
+            </a>
+          `
+          }
+        </div>
+      </div>
+    </div>
+  `
+
+  res.send(generateEnhancedHTML("About Us", content, req.session.user))
+})
+
+app.get("/contact", (req, res) => {
+  const content = `
+    <div class="text-center mb-5">
+      <i class="fas fa-envelope fa-3x text-primary mb-3"></i>
+      <h1 class="fw-bold mb-3">Contact Us</h1>
+      <p class="lead text-muted">We'd love to hear from you. Get in touch with our team.</p>
+    </div>
+
+    <div class="row g-5">
+      <div class="col-lg-8">
+        <div class="card-custom">
+          <div class="card-header-custom">
+            <h4 class="mb-0">
+              <i class="fas fa-paper-plane me-2"></i>Send us a Message
+            </h4>
+          </div>
+          <div class="card-body-custom">
+            <form id="contactForm">
+              <div class="row g-3">
+                <div class="col-md-6">
+                  <label class="form-label-custom">
+                    <i class="fas fa-user me-2"></i>Full Name
+                  </label>
+                  <input type="text" class="form-control form-control-custom" required 
+                         placeholder="Your full name" ${req.session.user ? `value="${req.session.user.name}"` : ""}>
+                </div>
+                
+                <div class="col-md-6">
+                  <label class="form-label-custom">
+                    <i class="fas fa-envelope me-2"></i>Email Address
+                  </label>
+                  <input type="email" class="form-control form-control-custom" required 
+                         placeholder="Your email address" ${req.session.user ? `value="${escapeHtml(req.session.user.email)}"` : ""}>
+                </div>
+                
+                <div class="col-12">
+                  <label class="form-label-custom">
+                    <i class="fas fa-tag me-2"></i>Subject
+                  </label>
+                  <select class="form-select form-select-custom" required>
+                    <option value="">Select a subject</option>
+                    <option value="general">General Inquiry</option>
+                    <option value="support">Technical Support</option>
+                    <option value="billing">Billing Question</option>
+                    <option value="partnership">Partnership Opportunity</option>
+                    <option value="feedback">Feedback</option>
+                    <option value="other">Other</option>
+                  </select>
+                </div>
+                
+                <div class="col-12">
+                  <label class="form-label-custom">
+                    <i class="fas fa-comment me-2"></i>Message
+                  </label>
+                  <textarea class="form-control form-control-custom" rows="5" required 
+                            placeholder="Tell us how we can help you..."></textarea>
+                </div>
+                
+                <div class="col-12">
+                  <button type="submit" class="btn btn-primary-custom btn-custom">
+                    <i class="fas fa-paper-plane me-2"></i>Send Message
+                  </button>
+                </div>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+      
+      <div class="col-lg-4">
+        <div class="card-custom mb-4">
+          <div class="card-body-custom">
+            <h5 class="fw-bold mb-3">
+              <i class="fas fa-map-marker-alt me-2 text-primary"></i>Our Office
+            </h5>
+            <p class="text-muted mb-0">
+              123 Business Street<br>
+              Tech District, TD 12345<br>
+              United States
+            </p>
+          </div>
+        </div>
+        
+        <div class="card-custom mb-4">
+          <div class="card-body-custom">
+            <h5 class="fw-bold mb-3">
+              <i class="fas fa-phone me-2 text-success"></i>Phone
+            </h5>
+            <p class="text-muted mb-0">
+              <a href="tel:+1234567890" class="text-decoration-none">+1 (234) 567-8900</a><br>
+              <small>Monday - Friday, 9 AM - 6 PM EST</small>
+            </p>
+          </div>
+        </div>
+        
+        <div class="card-custom mb-4">
+          <div class="card-body-custom">
+            <h5 class="fw-bold mb-3">
+              <i class="fas fa-envelope me-2 text-warning"></i>Email
+            </h5>
+            <p class="text-muted mb-0">
+              <a href="mailto:support@jobportal.com" class="text-decoration-none">support@jobportal.com</a><br>
+              <small>We'll respond within 24 hours</small>
+            </p>
+          </div>
+        </div>
+        
+        <div class="card-custom">
+          <div class="card-body-custom">
+            <h5 class="fw-bold mb-3">
+              <i class="fas fa-clock me-2 text-info"></i>Business Hours
+            </h5>
+            <div class="text-muted">
+              <div class="d-flex justify-content-between">
+                <span>Monday - Friday:</span>
+                <span>9:00 AM - 6:00 PM</span>
+              </div>
+              <div class="d-flex justify-content-between">
+                <span>Saturday:</span>
+                <span>10:00 AM - 4:00 PM</span>
+              </div>
+              <div class="d-flex justify-content-between">
+                <span>Sunday:</span>
+                <span>Closed</span>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <div class="card-custom mt-5">
+      <div class="card-body-custom text-center">
+        <h4 class="fw-bold mb-3">Frequently Asked Questions</h4>
+        <p class="text-muted mb-4">
+          Before reaching out, you might find your answer in our FAQ section.
+        </p>
+        <a href="/faq" class="btn btn-secondary-custom btn-custom">
+          <i class="fas fa-question-circle me-2"></i>View FAQ
+        </a>
+      </div>
+    </div>
+
+    <script>
+      document.getElementById('contactForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        
+        // Show success message
+        const formContainer = e.target.parentElement;
+        formContainer.innerHTML = \`
+          <div class="text-center py-5">
+            <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
+            <h4 class="fw-bold text-success mb-3">Message Sent Successfully!</h4>
+            <p class="text-muted mb-4">
+              Thank you for contacting us. We'll get back to you within 24 hours.
+            </p>
+            <button onclick="location.reload()" class="btn btn-primary-custom btn-custom">
+              <i class="fas fa-redo me-2"></i>Send Another Message
+            </button>
+          </div>
+        \`;
+      });
+    </script>
+  `
+
+  res.send(generateEnhancedHTML("Contact Us", content, req.session.user))
+})
+
+app.get("/register", (req, res) => {
+  sendView(res, "register.html")
+})
+
+app.post("/register", async (req, res) => {
+  const { name, email, password, type } = req.body
+  try {
+    // Admin accounts can't be self-registered
+    if (!["user", "employer"].includes(type)) {
+      throw new Error("Invalid account type")
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10)
+    const user = await User.create({ name, email, password: hashedPassword, type, email_verified: false })
+
+    try {
+      await sendVerificationEmail(user)
+    } catch (mailErr) {
+      // The account exists either way; the user can resend the link after signing in
+      console.error("Failed to send verification email:", mailErr)
+    }
+
+    const content = `
+        <div class="text-center">
+          <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
+          <h2 class="fw-bold text-success mb-3">Registration Successful!</h2>
+          <div class="alert alert-success-custom">
+            <i class="fas fa-party-horn me-2"></i>
+            <strong>Welcome to JobPortal!</strong><br>
+            Your account has been created successfully. We've sent a confirmation link to <strong>${escapeHtml(email)}</strong> &mdash; please verify your email before posting jobs or applying.
+          </div>
+          <div class="d-flex justify-content-center gap-3">
+            <a href="/login" class="btn btn-success-custom btn-custom">
+              <i class="fas fa-sign-in-alt me-2"></i>Sign In Now
+            </a>
+          </div>
+        </div>
+      `
+    res.send(generateEnhancedHTML("Registration Successful", content))
+  } catch (err) {
+    let content
+    if (err.code === 11000) {
+      content = `
+          <div class="text-center">
+            <i class="fas fa-user-times fa-3x text-warning mb-3"></i>
+            <h2 class="fw-bold text-warning mb-3">Registration Failed</h2>
+            <div class="alert alert-danger-custom">
+              <i class="fas fa-exclamation-triangle me-2"></i>
+              <strong>Account Creation Failed!</strong><br>
+              This email address is already registered. Please try with a different email or sign in to your existing account.
+            </div>
+            <div class="d-flex justify-content-center gap-3 flex-wrap">
+              <a href="/register" class="btn btn-primary-custom btn-custom">
+                <i class="fas fa-user-plus me-2"></i>Try Different Email
+              </a>
+              <a href="/login" class="btn btn-success-custom btn-custom">
+                <i class="fas fa-sign-in-alt me-2"></i>Sign In Instead
+              </a>
+            </div>
+          </div>
+        `
+    } else {
+      content = `
+        <div class="text-center">
+          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+          <h2 class="fw-bold text-danger mb-3">Registration Failed</h2>
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-times-circle me-2"></i>
+            <strong>Error:</strong> An unexpected error occurred. Please try again.
+          </div>
+          <div class="d-flex justify-content-center gap-3">
+            <a href="/register" class="btn btn-primary-custom btn-custom">
+              <i class="fas fa-redo me-2"></i>Try Again
+            </a>
+            <a href="/" class="btn btn-secondary-custom btn-custom">
+              <i class="fas fa-home me-2"></i>Go Home
+            </a>
+          </div>
+        </div>
+      `
+    }
+    return res.send(generateEnhancedHTML("Registration Failed", content))
+  }
+})
+
+function accountSuspendedContent() {
+  return `
+    <div class="text-center">
+      <i class="fas fa-user-lock fa-3x text-danger mb-3"></i>
+      <h2 class="fw-bold text-danger mb-3">Account Suspended</h2>
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-ban me-2"></i>
+        <strong>This account has been suspended.</strong><br>
+        Please contact support if you believe this is a mistake.
+      </div>
+      <a href="/contact" class="btn btn-primary-custom btn-custom">
+        <i class="fas fa-envelope me-2"></i>Contact Support
+      </a>
+    </div>
+  `
+}
+
+app.get("/login", (req, res) => {
+  sendView(res, "login.html", (html) => html.replace("<!-- oidc-login -->", oidcLoginButton()))
+})
+
+app.post("/login", async (req, res) => {
+  const { email, password } = req.body
+  try {
+    const retryDelay = await getLoginRetryDelay(email, req.ip)
+    if (retryDelay > 0) {
+      const content = `
+        <div class="text-center">
+          <i class="fas fa-hourglass-half fa-3x text-warning mb-3"></i>
+          <h2 class="fw-bold text-warning mb-3">Too Many Attempts</h2>
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-shield-alt me-2"></i>
+            <strong>Sign-in temporarily blocked!</strong><br>
+            There have been too many failed sign-in attempts. Please wait ${formatDuration(retryDelay)} before trying again, or reset your password.
+          </div>
+          <div class="d-flex justify-content-center gap-3 flex-wrap">
+            <a href="/login" class="btn btn-primary-custom btn-custom">
+              <i class="fas fa-redo me-2"></i>Try Again Later
+            </a>
+            <a href="/forgot-password" class="btn btn-secondary-custom btn-custom">
+              <i class="fas fa-key me-2"></i>Reset Password
+            </a>
+          </div>
+        </div>
+      `
+      return res.status(429).send(generateEnhancedHTML("Too Many Attempts", content))
+    }
+
+    const user = await User.findOne({ email })
+    const isMatch = await bcrypt.compare(password || "", user ? user.password : DUMMY_PASSWORD_HASH)
+
+    if (!user || !isMatch) {
+      await recordLoginFailure(email, req.ip, user)
+
+      // One message for unknown emails and wrong passwords, so accounts can't be enumerated
+      const content = `
+        <div class="text-center">
+          <i class="fas fa-user-slash fa-3x text-danger mb-3"></i>
+          <h2 class="fw-bold text-danger mb-3">Login Failed</h2>
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-exclamation-triangle me-2"></i>
+            <strong>Invalid Credentials!</strong><br>
+            The email or password you entered is incorrect. Please check your credentials and try again.
+          </div>
+          <div class="d-flex justify-content-center gap-3 flex-wrap">
+            <a href="/login" class="btn btn-primary-custom btn-custom">
+              <i class="fas fa-redo me-2"></i>Try Again
+            </a>
+            <a href="/forgot-password" class="btn btn-secondary-custom btn-custom">
+              <i class="fas fa-key me-2"></i>Forgot Password?
+            </a>
+            <a href="/register" class="btn btn-success-custom btn-custom">
+              <i class="fas fa-user-plus me-2"></i>Create Account
+            </a>
+          </div>
+        </div>
+      `
+      return res.send(generateEnhancedHTML("Login Failed", content))
+    }
+
+    if (user.suspended_at) {
+      return res.status(403).send(generateEnhancedHTML("Account Suspended", accountSuspendedContent()))
+    }
+
+    if (user.totp_enabled) {
+      // Password is correct; hold the sign-in until the second factor is checked
+      req.session.pending_2fa = { user_id: String(user._id), expires: Date.now() + PENDING_2FA_TTL }
+      return res.redirect("/login/2fa")
+    }
+
+    await clearAccountLoginFailures(email)
+    await startUserSession(req, user)
+    res.redirect("/dashboard")
+  } catch (err) {
+    const content = `
+        <div class="text-center">
+          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+          <h2 class="fw-bold text-danger mb-3">Login Error</h2>
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-times-circle me-2"></i>
+            <strong>Server Error!</strong> An unexpected error occurred. Please try again later.
+          </div>
+          <div class="d-flex justify-content-center gap-3">
+            <a href="/login" class="btn btn-primary-custom btn-custom">
+              <i class="fas fa-redo me-2"></i>Try Again
+            </a>
+          </div>
+        </div>
+      `
+    res.send(generateEnhancedHTML("Login Error", content))
+  }
+})
+
+// Two-Factor Login Step
+app.get("/login/2fa", (req, res) => {
+  const pending = req.session.pending_2fa
+  if (!pending || pending.expires < Date.now()) {
+    delete req.session.pending_2fa
+    return res.redirect("/login")
+  }
+
+  const content = `
+    <div class="row justify-content-center">
+      <div class="col-md-8 col-lg-6">
+        <div class="text-center mb-4">
+          <i class="fas fa-shield-alt fa-3x text-primary mb-3"></i>
+          <h2 class="fw-bold">Two-Factor Authentication</h2>
+          <p class="text-muted">Enter the 6-digit code from your authenticator app, or one of your recovery codes</p>
+        </div>
+
+        ${
+          req.query.error
+            ? `
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-exclamation-triangle me-2"></i>
+            ${req.query.error === "throttled" ? "Too many failed attempts. Please wait a moment before trying again." : "That code wasn't valid. Please try again."}
+          </div>
+        `
+            : ""
+        }
+
+        <form action="/login/2fa" method="POST">
+          <div class="mb-4">
+            <label class="form-label-custom">
+              <i class="fas fa-key me-2"></i>Authentication Code
+            </label>
+            <input type="text" name="code" class="form-control form-control-custom" required
+                   autocomplete="one-time-code" autofocus placeholder="123456 or recovery code">
+          </div>
+
+          <div class="d-grid gap-2">
+            <button type="submit" class="btn btn-success-custom btn-custom">
+              <i class="fas fa-sign-in-alt me-2"></i>Verify & Sign In
+            </button>
+          </div>
+
+          <div class="text-center mt-3">
+            <a href="/login" class="text-decoration-none fw-semibold">Start Over</a>
+          </div>
+        </form>
+      </div>
+    </div>
+  `
+  res.send(generateEnhancedHTML("Two-Factor Authentication", content))
+})
+
+app.post("/login/2fa", async (req, res) => {
+  const pending = req.session.pending_2fa
+  if (!pending || pending.expires < Date.now()) {
+    delete req.session.pending_2fa
+    return res.redirect("/login")
+  }
+
+  try {
+    const user = await User.findById(pending.user_id)
+    if (!user || !user.totp_enabled || user.suspended_at) {
+      delete req.session.pending_2fa
+      return res.redirect("/login")
+    }
+
+    if ((await getLoginRetryDelay(user.email, req.ip)) > 0) {
+      return res.redirect("/login/2fa?error=throttled")
+    }
+
+    if (!(await consumeSecondFactor(user, req.body.code))) {
+      await recordLoginFailure(user.email, req.ip, user)
+      return res.redirect("/login/2fa?error=invalid")
+    }
+
+    await clearAccountLoginFailures(user.email)
+    await startUserSession(req, user)
+    res.redirect("/dashboard")
+  } catch (err) {
+    res.redirect("/login")
+  }
+})
+
+app.get("/logout", async (req, res) => {
+  await UserSession.deleteOne({ sid: req.sessionID }).catch(() => {})
+  req.session.destroy()
+  const content = `
+    <div class="text-center">
+      <i class="fas fa-sign-out-alt fa-3x text-info mb-3"></i>
+      <h2 class="fw-bold mb-3">Successfully Logged Out</h2>
+      <div class="alert alert-info-custom">
+        <i class="fas fa-check-circle me-2"></i>
+        <strong>See you soon!</strong><br>
+        You have been successfully logged out of your JobPortal account.
+      </div>
+      <div class="d-flex justify-content-center gap-3">
+        <a href="/login" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-sign-in-alt me-2"></i>Sign In Again
+        </a>
+        <a href="/" class="btn btn-secondary-custom btn-custom">
+          <i class="fas fa-home me-2"></i>Go Home
+        </a>
+      </div>
+    </div>
+  `
+  res.send(generateEnhancedHTML("Logged Out", content))
+})
+
+// OpenID Connect Login Routes
+// Authorization code flow with PKCE against any provider that publishes a discovery document.
+// Enabled when OIDC_ISSUER and OIDC_CLIENT_ID are set; the provider must redirect back to
+// OIDC_REDIRECT_URI (default APP_URL/auth/oidc/callback).
+const OIDC_CONFIG =
+  process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID
+    ? {
+        issuer: process.env.OIDC_ISSUER.replace(/\/+$/, ""),
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET || "",
+        redirectUri: process.env.OIDC_REDIRECT_URI || `${APP_URL}/auth/oidc/callback`,
+        scopes: process.env.OIDC_SCOPES || "openid email profile",
+        providerName: process.env.OIDC_PROVIDER_NAME || "Single Sign-On",
+      }
+    : null
+const OIDC_LOGIN_TTL = 10 * 60 * 1000 // time allowed at the provider and for choosing an account type
+const OIDC_METADATA_TTL = 60 * 60 * 1000
+const OIDC_CLOCK_SKEW = 60 // seconds
+
+// Signature algorithms accepted for ID tokens and how to check them with node:crypto
+const OIDC_SIGNATURE_ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: "sha384", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: "sha512", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+  ES512: { hash: "sha512", dsaEncoding: "ieee-p1363" },
+  EdDSA: { hash: null },
+  HS256: { hmac: "sha256" },
+  HS384: { hmac: "sha384" },
+  HS512: { hmac: "sha512" },
+}
+
+let oidcMetadataCache = null
+let oidcJwksCache = null
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) })
+  const body = await response.json().catch(() => null)
+  if (!response.ok || !body) {
+    throw new Error(`Request to ${url} failed with status ${response.status}${body && body.error ? ` (${body.error})` : ""}`)
+  }
+  return body
+}
+
+async function getOidcMetadata() {
+  if (oidcMetadataCache && oidcMetadataCache.expires > Date.now()) return oidcMetadataCache.metadata
+
+  const metadata = await fetchJson(`${OIDC_CONFIG.issuer}/.well-known/openid-configuration`)
+  if (metadata.issuer.replace(/\/+$/, "") !== OIDC_CONFIG.issuer) {
+    throw new Error(`Discovery document is for issuer ${metadata.issuer}, expected ${OIDC_CONFIG.issuer}`)
+  }
+  oidcMetadataCache = { metadata, expires: Date.now() + OIDC_METADATA_TTL }
+  return metadata
+}
+
+// Finds the provider key for a token header, refetching the key set once in case the keys were rotated
+async function getOidcSigningKey(header) {
+  const metadata = await getOidcMetadata()
+  const findKey = (keys) =>
+    keys.find(
+      (key) => (!header.kid || key.kid === header.kid) && (!key.use || key.use === "sig") && (!key.alg || key.alg === header.alg),
+    )
+
+  let key = oidcJwksCache && oidcJwksCache.expires > Date.now() ? findKey(oidcJwksCache.keys) : null
+  if (!key) {
+    const jwks = await fetchJson(metadata.jwks_uri)
+    oidcJwksCache = { keys: jwks.keys || [], expires: Date.now() + OIDC_METADATA_TTL }
+    key = findKey(oidcJwksCache.keys)
+  }
+  if (!key) throw new Error("No matching signing key for ID token")
+  return crypto.createPublicKey({ key, format: "jwk" })
+}
+
+// Verifies the ID token's signature and standard claims (OpenID Connect Core, section 3.1.3.7)
+async function verifyIdToken(idToken, nonce) {
+  const [encodedHeader, encodedPayload, encodedSignature] = String(idToken).split(".")
+  if (!encodedHeader || !encodedPayload || !encodedSignature) throw new Error("Malformed ID token")
+
+  const header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString())
+  const claims = JSON.parse(Buffer.from(encodedPayload, "base64url").toString())
+  const algorithm = OIDC_SIGNATURE_ALGORITHMS[header.alg]
+  if (!algorithm) throw new Error(`Unsupported ID token algorithm ${header.alg}`)
+
+  const signedData = Buffer.from(`${encodedHeader}.${encodedPayload}`)
+  const signature = Buffer.from(encodedSignature, "base64url")
+  let valid
+  if (algorithm.hmac) {
+    if (!OIDC_CONFIG.clientSecret) throw new Error(`${header.alg} ID tokens need a client secret`)
+    const expected = crypto.createHmac(algorithm.hmac, OIDC_CONFIG.clientSecret).update(signedData).digest()
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature)
+  } else {
+    const key = await getOidcSigningKey(header)
+    valid = crypto.verify(
+      algorithm.hash,
+      signedData,
+      { key, padding: algorithm.padding, dsaEncoding: algorithm.dsaEncoding, saltLength: algorithm.padding ? crypto.constants.RSA_PSS_SALTLEN_DIGEST : undefined },
+      signature,
+    )
+  }
+  if (!valid) throw new Error("ID token signature is invalid")
+
+  const now = Math.floor(Date.now() / 1000)
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud]
+  if (String(claims.iss).replace(/\/+$/, "") !== OIDC_CONFIG.issuer) throw new Error("ID token issuer mismatch")
+  if (!audiences.includes(OIDC_CONFIG.clientId)) throw new Error("ID token audience mismatch")
+  if (audiences.length > 1 && claims.azp && claims.azp !== OIDC_CONFIG.clientId) throw new Error("ID token authorized party mismatch")
+  if (typeof claims.exp !== "number" || claims.exp + OIDC_CLOCK_SKEW < now) throw new Error("ID token has expired")
+  if (typeof claims.iat === "number" && claims.iat - OIDC_CLOCK_SKEW > now) throw new Error("ID token issued in the future")
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch")
+  if (!claims.sub) throw new Error("ID token has no subject")
+
+  return claims
+}
+
+// Exchanges the authorization code, authenticating with the client secret when there is one
+async function exchangeOidcCode(metadata, code, codeVerifier) {
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: OIDC_CONFIG.redirectUri,
+    code_verifier: codeVerifier,
+  })
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" }
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ["client_secret_basic"]
+
+  if (OIDC_CONFIG.clientSecret && !authMethods.includes("client_secret_basic") && authMethods.includes("client_secret_post")) {
+    params.set("client_id", OIDC_CONFIG.clientId)
+    params.set("client_secret", OIDC_CONFIG.clientSecret)
+  } else if (OIDC_CONFIG.clientSecret) {
+    const credentials = `${encodeURIComponent(OIDC_CONFIG.clientId)}:${encodeURIComponent(OIDC_CONFIG.clientSecret)}`
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`
+  } else {
+    params.set("client_id", OIDC_CONFIG.clientId)
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: "POST", headers, body: params })
+}
+
+// Email and name may only be available from the userinfo endpoint
+async function getOidcProfile(metadata, tokens, claims) {
+  let profile = claims
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: "application/json" },
+    })
+    // Userinfo must describe the same person as the ID token
+    if (userinfo.sub === claims.sub) profile = { ...userinfo, ...claims }
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: profile.email ? String(profile.email).toLowerCase() : "",
+    emailVerified: profile.email_verified === true || profile.email_verified === "true",
+    name: profile.name || [profile.given_name, profile.family_name].filter(Boolean).join(" ") || profile.preferred_username || "",
+  }
+}
+
+function oidcLoginButton() {
+  if (!OIDC_CONFIG) return ""
+  return `
+            <div class="d-flex align-items-center my-3">
+              <hr class="flex-grow-1">
+              <span class="px-3 text-muted small">or</span>
+              <hr class="flex-grow-1">
+            </div>
+            <div class="d-grid gap-2">
+              <a href="/auth/oidc" class="btn btn-secondary-custom btn-custom">
+                <i class="fas fa-building me-2"></i>Sign in with ${escapeHtml(OIDC_CONFIG.providerName)}
+              </a>
+            </div>`
+}
+
+function oidcErrorContent(message) {
+  return `
+    <div class="text-center">
+      <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+      <h2 class="fw-bold text-danger mb-3">Sign-In Failed</h2>
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-times-circle me-2"></i>${message}
+      </div>
+      <div class="d-flex justify-content-center gap-3 flex-wrap">
+        <a href="/login" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-redo me-2"></i>Back to Sign In
+        </a>
+      </div>
+    </div>
+  `
+}
+
+// Same checks as a password sign-in once the identity provider has vouched for the user
+async function completeOidcSignIn(req, res, user) {
+  if (user.suspended_at) {
+    return res.status(403).send(generateEnhancedHTML("Account Suspended", accountSuspendedContent()))
+  }
+
+  if (user.totp_enabled) {
+    req.session.pending_2fa = { user_id: String(user._id), expires: Date.now() + PENDING_2FA_TTL }
+    return res.redirect("/login/2fa")
+  }
+
+  await startUserSession(req, user)
+  res.redirect("/dashboard")
+}
+
+app.use("/auth/oidc", (req, res, next) => {
+  if (!OIDC_CONFIG) {
+    return res.status(404).send(generateEnhancedHTML("Sign-In Failed", oidcErrorContent("Single sign-on is not configured.")))
+  }
+  next()
+})
+
+app.get("/auth/oidc", async (req, res) => {
+  try {
+    const metadata = await getOidcMetadata()
+    const state = generateToken()
+    const nonce = generateToken()
+    const codeVerifier = crypto.randomBytes(32).toString("base64url")
+    req.session.oidc = { state, nonce, code_verifier: codeVerifier, expires: Date.now() + OIDC_LOGIN_TTL }
+
+    const url = new URL(metadata.authorization_endpoint)
+    url.search = new URLSearchParams({
+      ...Object.fromEntries(url.searchParams),
+      response_type: "code",
+      client_id: OIDC_CONFIG.clientId,
+      redirect_uri: OIDC_CONFIG.redirectUri,
+      scope: OIDC_CONFIG.scopes,
+      state,
+      nonce,
+      code_challenge: crypto.createHash("sha256").update(codeVerifier).digest("base64url"),
+      code_challenge_method: "S256",
+    }).toString()
+    res.redirect(url.toString())
+  } catch (err) {
+    console.error("OIDC sign-in could not start:", err)
+    res.status(502).send(generateEnhancedHTML("Sign-In Failed", oidcErrorContent("The identity provider is not reachable right now. Please try again later.")))
+  }
+})
+
+app.get("/auth/oidc/callback", async (req, res) => {
+  const pending = req.session.oidc
+  delete req.session.oidc
+
+  if (req.query.error) {
+    const message =
+      req.query.error === "access_denied"
+        ? "Sign-in was cancelled at the identity provider."
+        : `The identity provider returned an error: ${escapeHtml(req.query.error_description || req.query.error)}`
+    return res.status(400).send(generateEnhancedHTML("Sign-In Failed", oidcErrorContent(message)))
+  }
+
+  if (!pending || pending.expires < Date.now() || !req.query.state || req.query.state !== pending.state || !req.query.code) {
+    return res
+      .status(400)
+      .send(generateEnhancedHTML("Sign-In Failed", oidcErrorContent("This sign-in link is invalid or has expired. Please start again.")))
+  }
+
+  try {
+    const metadata = await getOidcMetadata()
+    const tokens = await exchangeOidcCode(metadata, String(req.query.code), pending.code_verifier)
+    const claims = await verifyIdToken(tokens.id_token, pending.nonce)
+    const profile = await getOidcProfile(metadata, tokens, claims)
+
+    let user = await User.findOne({ oidc_issuer: OIDC_CONFIG.issuer, oidc_subject: profile.subject })
+
+    if (!user) {
+      // Without a verified address we can't tell whose portal account this is
+      if (!profile.email || !profile.emailVerified) {
+        return res
+          .status(403)
+          .send(
+            generateEnhancedHTML(
+              "Sign-In Failed",
+              oidcErrorContent("Your identity provider did not confirm a verified email address, so we can't sign you in with it."),
+            ),
+          )
+      }
+
+      user = await User.findOne({ email: new RegExp(`^${escapeRegExp(profile.email)}$`, "i") })
+      if (user) {
+        // Link the existing account; the provider has proven ownership of its email address
+        user.oidc_issuer = OIDC_CONFIG.issuer
+        user.oidc_subject = profile.subject
+        user.email_verified = true
+        user.email_verification_token = undefined
+        user.email_verification_expires = undefined
+        await user.save()
+      } else {
+        req.session.oidc_signup = {
+          subject: profile.subject,
+          email: profile.email,
+          name: profile.name,
+          expires: Date.now() + OIDC_LOGIN_TTL,
+        }
+        return res.redirect("/auth/oidc/complete")
+      }
+    }
+
+    await completeOidcSignIn(req, res, user)
+  } catch (err) {
+    console.error("OIDC sign-in failed:", err)
+    res.status(502).send(generateEnhancedHTML("Sign-In Failed", oidcErrorContent("We couldn't complete sign-in with your identity provider. Please try again.")))
+  }
+})
+
+// First sign-in with a new identity: choose the account type before the account is created
+app.get("/auth/oidc/complete", (req, res) => {
+  const signup = req.session.oidc_signup
+  if (!signup || signup.expires < Date.now()) {
+    delete req.session.oidc_signup
+    return res.redirect("/login")
+  }
+
+  const content = `
+    <div class="row justify-content-center">
+      <div class="col-md-8 col-lg-6">
+        <div class="text-center mb-4">
+          <i class="fas fa-user-plus fa-3x text-primary mb-3"></i>
+          <h2 class="fw-bold">Finish Creating Your Account</h2>
+          <p class="text-muted">
+            Signed in with ${escapeHtml(OIDC_CONFIG.providerName)} as <strong>${escapeHtml(signup.email)}</strong>
+          </p>
+        </div>
+        <div class="card-custom">
+          <div class="card-body-custom">
+            <form action="/auth/oidc/complete" method="POST">
+              <div class="mb-3">
+                <label class="form-label-custom">
+                  <i class="fas fa-user me-2"></i>Full Name
+                </label>
+                <input type="text" name="name" class="form-control form-control-custom" required
+                       value="${escapeHtml(signup.name)}" placeholder="Enter your full name">
+              </div>
+              <div class="mb-4">
+                <label class="form-label-custom">
+                  <i class="fas fa-users me-2"></i>Account Type
+                </label>
+                <select name="type" class="form-select form-select-custom" required>
+                  <option value="">Select account type</option>
+                  <option value="user">Job Seeker</option>
+                  <option value="employer">Employer</option>
+                </select>
+              </div>
+              <div class="d-grid gap-2">
+                <button type="submit" class="btn btn-primary-custom btn-custom">
+                  <i class="fas fa-user-plus me-2"></i>Create Account
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  `
+  res.send(generateEnhancedHTML("Finish Creating Your Account", content))
+})
+
+app.post("/auth/oidc/complete", async (req, res) => {
+  const signup = req.session.oidc_signup
+  if (!signup || signup.expires < Date.now()) {
+    delete req.session.oidc_signup
+    return res.redirect("/login")
+  }
+
+  const { name, type } = req.body
+  // Admin accounts can't be self-registered
+  if (!["user", "employer"].includes(type) || !String(name || "").trim()) {
+    return res.redirect("/auth/oidc/complete")
+  }
+
+  try {
+    // The account has no usable password until the user sets one through "Forgot your password?"
+    const user = await User.create({
+      name: String(name).trim(),
+      email: signup.email,
+      password: await bcrypt.hash(generateToken(), 10),
+      type,
+      email_verified: true,
+      oidc_issuer: OIDC_CONFIG.issuer,
+      oidc_subject: signup.subject,
+    })
+    delete req.session.oidc_signup
+
+    await completeOidcSignIn(req, res, user)
+  } catch (err) {
+    console.error("OIDC sign-up failed:", err)
+    res.send(generateEnhancedHTML("Sign-In Failed", oidcErrorContent("We couldn't create your account. Please try again.")))
+  }
+})
+
+// Password Reset Routes
+app.get("/forgot-password", (req, res) => {
+  const content = `
+    <div class="row justify-content-center">
+      <div class="col-md-8 col-lg-6">
+        <div class="text-center mb-4">
+          <i class="fas fa-key fa-3x text-primary mb-3"></i>
+          <h2 class="fw-bold">Forgot Password</h2>
+          <p class="text-muted">Enter your account email and we'll send you a link to reset your password</p>
+        </div>
+
+        <form action="/forgot-password" method="POST">
+          <div class="mb-4">
+            <label class="form-label-custom">
+              <i class="fas fa-envelope me-2"></i>Email Address
+            </label>
+            <input type="email" name="email" class="form-control form-control-custom" required
+                   placeholder="Enter your email">
+          </div>
+
+          <div class="d-grid gap-2">
+            <button type="submit" class="btn btn-primary-custom btn-custom">
+              <i class="fas fa-paper-plane me-2"></i>Send Reset Link
+            </button>
+          </div>
+
+          <div class="text-center mt-3">
+            <a href="/login" class="text-decoration-none fw-semibold">Back to Sign In</a>
+          </div>
+        </form>
+      </div>
+    </div>
+  `
+  res.send(generateEnhancedHTML("Forgot Password", content, req.session.user))
+})
+
+app.post("/forgot-password", async (req, res) => {
+  const email = (req.body.email || "").trim()
+
+  try {
+    // Claiming the cooldown atomically means repeated requests can't flood the address with mail
+    const now = new Date()
+    const user = await User.findOneAndUpdate(
+      { email, password_reset_sent_at: { $not: { $gt: new Date(now.getTime() - PASSWORD_RESET_COOLDOWN) } } },
+      { password_reset_sent_at: now },
+      { new: true },
+    )
+
+    if (user) {
+      const token = generateToken()
+      user.password_reset_token = hashToken(token)
+      user.password_reset_expires = new Date(Date.now() + PASSWORD_RESET_TTL)
+      await user.save()
+
+      const resetUrl = `${APP_URL}/reset-password/${token}`
+      await sendMail({
+        to: user.email,
+        subject: "Reset your JobPortal password",
+        text: `Hi ${user.name},\n\nWe received a request to reset your JobPortal password. Open the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in 1 hour and can only be used once. If you didn't ask for a reset, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your JobPortal password. Click the link below to choose a new one:</p><p><a href="${resetUrl}">Reset my password</a></p><p>This link expires in 1 hour and can only be used once. If you didn't ask for a reset, you can ignore this email.</p>`,
+      })
+    }
+  } catch (err) {
+    console.error("Password reset request failed:", err)
+  }
+
+  // Same response whether or not the account exists, so emails can't be probed
+  const content = `
+    <div class="text-center">
+      <i class="fas fa-envelope-open-text fa-3x text-info mb-3"></i>
+      <h2 class="fw-bold mb-3">Check Your Email</h2>
+      <div class="alert alert-info-custom">
+        <i class="fas fa-info-circle me-2"></i>
+        If an account exists for that address, we've sent a link to reset your password. The link expires in 1 hour.
+      </div>
+      <div class="d-flex justify-content-center gap-3">
+        <a href="/login" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-sign-in-alt me-2"></i>Back to Sign In
+        </a>
+      </div>
+    </div>
+  `
+  res.send(generateEnhancedHTML("Check Your Email", content, req.session.user))
+})
+
+// Helper function to look up the user holding a valid, unexpired reset token
+function findUserByResetToken(token) {
+  return User.findOne({
+    password_reset_token: hashToken(token),
+    password_reset_expires: { $gt: new Date() },
+  })
+}
+
+function invalidResetLinkContent() {
+  return `
+    <div class="text-center">
+      <i class="fas fa-unlink fa-3x text-warning mb-3"></i>
+      <h2 class="fw-bold text-warning mb-3">Invalid Reset Link</h2>
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        <strong>Link expired or already used!</strong><br>
+        Password reset links are valid for 1 hour and can only be used once. Please request a new one.
+      </div>
+      <div class="d-flex justify-content-center gap-3">
+        <a href="/forgot-password" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-redo me-2"></i>Request New Link
+        </a>
+      </div>
+    </div>
+  `
+}
+
+app.get("/reset-password/:token", async (req, res) => {
+  try {
+    const user = await findUserByResetToken(req.params.token)
+    if (!user) {
+      return res.send(generateEnhancedHTML("Invalid Reset Link", invalidResetLinkContent()))
+    }
+
+    const content = `
+      <div class="row justify-content-center">
+        <div class="col-md-8 col-lg-6">
+          <div class="text-center mb-4">
+            <i class="fas fa-lock fa-3x text-primary mb-3"></i>
+            <h2 class="fw-bold">Choose a New Password</h2>
+            <p class="text-muted">Resetting the password for ${escapeHtml(user.email)}</p>
+          </div>
+
+          <form action="/reset-password/${req.params.token}" method="POST">
+            <div class="mb-3">
+              <label class="form-label-custom">
+                <i class="fas fa-lock me-2"></i>New Password
+              </label>
+              <input type="password" name="password" class="form-control form-control-custom" required
+                     placeholder="Create a strong password" minlength="6">
+            </div>
+
+            <div class="mb-4">
+              <label class="form-label-custom">
+                <i class="fas fa-lock me-2"></i>Confirm Password
+              </label>
+              <input type="password" name="confirmPassword" class="form-control form-control-custom" required
+                     placeholder="Repeat your new password" minlength="6">
+            </div>
+
+            <div class="d-grid gap-2">
+              <button type="submit" class="btn btn-success-custom btn-custom">
+                <i class="fas fa-save me-2"></i>Reset Password
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Reset Password", content))
+  } catch (err) {
+    res.send(generateEnhancedHTML("Invalid Reset Link", invalidResetLinkContent()))
+  }
+})
+
+app.post("/reset-password/:token", async (req, res) => {
+  const { password, confirmPassword } = req.body
+
+  try {
+    const user = await findUserByResetToken(req.params.token)
+    if (!user) {
+      return res.send(generateEnhancedHTML("Invalid Reset Link", invalidResetLinkContent()))
+    }
+
+    if (!password || password.length < 6 || password !== confirmPassword) {
+      const content = `
+        <div class="text-center">
+          <i class="fas fa-exclamation-triangle fa-3x text-warning mb-3"></i>
+          <h2 class="fw-bold text-warning mb-3">Password Not Updated</h2>
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-times-circle me-2"></i>
+            Passwords must match and be at least 6 characters long.
+          </div>
+          <a href="/reset-password/${req.params.token}" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-redo me-2"></i>Try Again
+          </a>
+        </div>
+      `
+      return res.send(generateEnhancedHTML("Password Not Updated", content))
+    }
+
+    user.password = await bcrypt.hash(password, 10)
+    user.password_reset_token = undefined
+    user.password_reset_expires = undefined
+    await user.save()
+
+    // Proving access to the mailbox also lifts any lockout on the account,
+    // and anyone still signed in with the old password is signed out
+    await clearAccountLoginFailures(user.email)
+    await revokeUserSessions({ user_id: user._id })
+
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
+        <h2 class="fw-bold text-success mb-3">Password Reset!</h2>
+        <div class="alert alert-success-custom">
+          <i class="fas fa-key me-2"></i>
+          Your password has been updated. You can now sign in with your new password.
+        </div>
+        <a href="/login" class="btn btn-success-custom btn-custom">
+          <i class="fas fa-sign-in-alt me-2"></i>Sign In Now
+        </a>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Password Reset", content))
+  } catch (err) {
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+        <h2 class="fw-bold text-danger mb-3">Reset Error</h2>
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-times-circle me-2"></i>
+          <strong>Server Error!</strong> An unexpected error occurred. Please try again later.
+        </div>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Reset Error", content))
+  }
+})
+
+// Email Verification Routes
+app.get("/verify-email/:token", async (req, res) => {
+  try {
+    const user = await User.findOne({
+      email_verification_token: hashToken(req.params.token),
+      email_verification_expires: { $gt: new Date() },
+    })
+
+    if (!user) {
+      const content = `
+        <div class="text-center">
+          <i class="fas fa-unlink fa-3x text-warning mb-3"></i>
+          <h2 class="fw-bold text-warning mb-3">Invalid Verification Link</h2>
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-exclamation-triangle me-2"></i>
+            <strong>Link expired or already used!</strong><br>
+            Verification links are valid for 24 hours. Sign in and request a new one from your dashboard.
+          </div>
+          <a href="/dashboard" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-tachometer-alt me-2"></i>Go to Dashboard
+          </a>
+        </div>
+      `
+      return res.send(generateEnhancedHTML("Invalid Verification Link", content, req.session.user))
+    }
+
+    user.email_verified = true
+    user.email_verification_token = undefined
+    user.email_verification_expires = undefined
+    await user.save()
+
+    if (req.session.user && String(req.session.user._id) === String(user._id)) {
+      req.session.user = sessionUser(user)
+    }
+
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
+        <h2 class="fw-bold text-success mb-3">Email Verified!</h2>
+        <div class="alert alert-success-custom">
+          <i class="fas fa-envelope-open me-2"></i>
+          Thanks for confirming <strong>${escapeHtml(user.email)}</strong>. Your account is fully activated.
+        </div>
+        <a href="/dashboard" class="btn btn-success-custom btn-custom">
+          <i class="fas fa-tachometer-alt me-2"></i>Go to Dashboard
+        </a>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Email Verified", content, req.session.user))
+  } catch (err) {
+    res.redirect("/dashboard")
+  }
+})
+
+app.post("/verify-email/resend", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const user = await User.findById(req.session.user._id)
+    if (!user) return res.redirect("/login")
+
+    if (user.email_verified === false) {
+      await sendVerificationEmail(user)
+    }
+    req.session.user = sessionUser(user)
+
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-envelope-open-text fa-3x text-info mb-3"></i>
+        <h2 class="fw-bold mb-3">Verification Email Sent</h2>
+        <div class="alert alert-info-custom">
+          <i class="fas fa-info-circle me-2"></i>
+          We've sent a new confirmation link to <strong>${escapeHtml(user.email)}</strong>. The link expires in 24 hours.
+        </div>
+        <a href="/dashboard" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-tachometer-alt me-2"></i>Back to Dashboard
+        </a>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Verification Email Sent", content, req.session.user))
+  } catch (err) {
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+        <h2 class="fw-bold text-danger mb-3">Email Not Sent</h2>
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-times-circle me-2"></i>
+          <strong>Error!</strong> We couldn't send the verification email. Please try again later.
+        </div>
+        <a href="/dashboard" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-home me-2"></i>Back to Dashboard
+        </a>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Email Not Sent", content, req.session.user))
+  }
+})
+
+// Profile Routes
+app.get("/profile", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const userId = req.session.user._id
+    const user = await User.findById(userId)
+
+    if (!user) {
+      return res.redirect("/dashboard")
+    }
+
+    // Update session with latest user data
+    req.session.user = sessionUser(user)
+
+    const twoFactorRequired = await isTwoFactorRequired(user)
+
+    // Check if we're showing success message
+    const showSuccess = req.query.updated === "true"
+
+    const successAlert = showSuccess
+      ? `
+      <div class="alert alert-success-custom alert-dismissible fade show" role="alert">
+        <i class="fas fa-check-circle me-2"></i>
+        <strong>Profile Updated!</strong> Your profile information has been successfully updated.
+        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+      </div>
+    `
+      : ""
+
+    const twoFactorMessages = {
+      disabled: { type: "success", text: "Two-factor authentication has been turned off." },
+      invalid: { type: "danger", text: "That code wasn't valid, so nothing was changed." },
+    }
+    const twoFactorMessage = twoFactorMessages[req.query["2fa"]]
+    const twoFactorAlert = twoFactorMessage
+      ? `
+      <div class="alert alert-${twoFactorMessage.type}-custom alert-dismissible fade show" role="alert">
+        <i class="fas fa-shield-alt me-2"></i>${twoFactorMessage.text}
+        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+      </div>
+    `
+      : ""
+
+    const content = `
+      ${successAlert}
+      ${twoFactorAlert}
+      <div class="row">
+        <div class="col-md-4">
+          <div class="card-custom text-center">
+            <div class="card-body-custom">
+              <div class="mb-4">
+                <img src="${user.profile_picture || getDefaultAvatar(150)}" 
+                     alt="Profile Picture" class="rounded-circle mb-3" width="150" height="150"
+                     style="object-fit: cover; border: 4px solid var(--primary-color);">
+                <h4 class="fw-bold">${user.name}</h4>
+                <p class="text-muted">
+                  <i class="fas fa-${user.type === "employer" ? "building" : user.type === "admin" ? "user-shield" : "user"} me-2"></i>
+                  ${getRoleLabel(user.type)}
+                </p>
+                ${
+                  user.location
+                    ? `
+                  <p class="text-muted">
+                    <i class="fas fa-map-marker-alt me-2"></i>${user.location}
+                  </p>
+                `
+                    : ""
+                }
+              </div>
+              <a href="/profile/edit" class="btn btn-primary-custom btn-custom">
+                <i class="fas fa-edit me-2"></i>Edit Profile
+              </a>
+            </div>
+          </div>
+        </div>
+        
+        <div class="col-md-8">
+          <div class="card-custom">
+            <div class="card-header-custom">
+              <h5 class="mb-0">
+                <i class="fas fa-info-circle me-2"></i>Profile Information
+              </h5>
+            </div>
+            <div class="card-body-custom">
+              <div class="row g-3">
+                <div class="col-md-6">
+                  <strong>Email:</strong>
+                  <p class="text-muted">${escapeHtml(user.email)}</p>
+                </div>
+                <div class="col-md-6">
+                  <strong>Phone:</strong>
+                  <p class="text-muted">${user.phone || "Not provided"}</p>
+                </div>
+                <div class="col-12">
+                  <strong>Bio:</strong>
+                  <p class="text-muted">${user.bio || "No bio provided yet."}</p>
+                </div>
+                
+                ${
+                  user.type === "user"
+                    ? `
+                  <div class="col-12">
+                    <strong>Skills:</strong>
+                    <p class="text-muted">${user.skills || "No skills listed yet."}</p>
+                  </div>
+                  <div class="col-12">
+                    <strong>Experience:</strong>
+                    <p class="text-muted">${user.experience || "No experience details provided."}</p>
+                  </div>
+                `
+                    : `
+                  <div class="col-md-6">
+                    <strong>Company:</strong>
+                    <p class="text-muted">${user.company_name || "Not provided"}</p>
+                  </div>
+                  <div class="col-md-6">
+                    <strong>Website:</strong>
+                    <p class="text-muted">${user.website ? `<a href="${user.website}" target="_blank">${user.website}</a>` : "Not provided"}</p>
+                  </div>
+                  <div class="col-12">
+                    <strong>Company Description:</strong>
+                    <p class="text-muted">${user.company_description || "No company description provided."}</p>
+                  </div>
+                  <div class="col-12">
+                    <a href="/employer/company" class="btn btn-secondary-custom btn-custom btn-sm">
+                      <i class="fas fa-building me-2"></i>Edit Company Page
+                    </a>
+                  </div>
+                `
+                }
+              </div>
+            </div>
+          </div>
+
+          <div class="card-custom mt-4">
+            <div class="card-header-custom">
+              <h5 class="mb-0">
+                <i class="fas fa-shield-alt me-2"></i>Two-Factor Authentication
+              </h5>
+            </div>
+            <div class="card-body-custom">
+              ${
+                user.totp_enabled
+                  ? `
+                <p>
+                  <span class="badge bg-success me-2">Enabled</span>
+                  Sign-ins require a code from your authenticator app.
+                  You have <strong>${(user.recovery_codes || []).length}</strong> unused recovery code${(user.recovery_codes || []).length !== 1 ? "s" : ""}.
+                </p>
+                <div class="row g-3">
+                  <div class="col-md-6">
+                    <form action="/profile/2fa/recovery-codes" method="POST">
+                      <input type="text" name="code" class="form-control form-control-custom mb-2" required
+                             autocomplete="one-time-code" placeholder="Current 6-digit code">
+                      <button type="submit" class="btn btn-primary-custom btn-custom btn-sm">
+                        <i class="fas fa-sync me-1"></i>New Recovery Codes
+                      </button>
+                    </form>
+                  </div>
+                  ${
+                    twoFactorRequired
+                      ? `
+                    <div class="col-md-6">
+                      <p class="text-muted small mb-0">
+                        <i class="fas fa-lock me-1"></i>Two-factor authentication is required for employer accounts and can't be turned off.
+                      </p>
+                    </div>
+                  `
+                      : `
+                    <div class="col-md-6">
+                      <form action="/profile/2fa/disable" method="POST">
+                        <input type="text" name="code" class="form-control form-control-custom mb-2" required
+                               autocomplete="one-time-code" placeholder="Code or recovery code">
+                        <button type="submit" class="btn btn-secondary-custom btn-custom btn-sm">
+                          <i class="fas fa-times me-1"></i>Turn Off 2FA
+                        </button>
+                      </form>
+                    </div>
+                  `
+                  }
+                </div>
+              `
+                  : `
+                <p>
+                  <span class="badge bg-secondary me-2">Off</span>
+                  Protect your account with a code from an authenticator app whenever you sign in.
+                </p>
+                <a href="/profile/2fa/setup" class="btn btn-primary-custom btn-custom btn-sm">
+                  <i class="fas fa-shield-alt me-1"></i>Set Up 2FA
+                </a>
+              `
+              }
+            </div>
+          </div>
+
+          <div class="card-custom mt-4">
+            <div class="card-header-custom">
+              <h5 class="mb-0">
+                <i class="fas fa-code me-2"></i>API Tokens
+              </h5>
+            </div>
+            <div class="card-body-custom">
+              <p>Personal tokens let scripts and integrations use the JobPortal API on your behalf.</p>
+              <a href="/profile/api-tokens" class="btn btn-primary-custom btn-custom btn-sm">
+                <i class="fas fa-key me-1"></i>Manage API Tokens
+              </a>
+            </div>
+          </div>
+        </div>
+      </div>
+    `
+
+    res.send(generateEnhancedHTML("My Profile", content, user))
+  } catch (err) {
+    return res.redirect("/dashboard")
+  }
+})
+
+// Two-Factor Enrollment Routes
+function recoveryCodesContent(codes) {
+  return `
+    <div class="text-center mb-4">
+      <i class="fas fa-life-ring fa-3x text-success mb-3"></i>
+      <h2 class="fw-bold">Save Your Recovery Codes</h2>
+      <p class="text-muted">Each code can be used once to sign in if you lose access to your authenticator app</p>
+    </div>
+    <div class="alert alert-danger-custom">
+      <i class="fas fa-exclamation-triangle me-2"></i>
+      <strong>These codes won't be shown again.</strong> Store them somewhere safe, like a password manager.
+    </div>
+    <div class="card-custom">
+      <div class="card-body-custom">
+        <div class="row g-2 text-center">
+          ${codes.map((code) => `<div class="col-6 col-md-4"><code class="fs-5">${code}</code></div>`).join("")}
+        </div>
+      </div>
+    </div>
+    <div class="text-center mt-4">
+      <a href="/profile" class="btn btn-success-custom btn-custom">
+        <i class="fas fa-check me-2"></i>I've Saved My Codes
+      </a>
+    </div>
+  `
+}
+
+app.get("/profile/2fa/setup", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const user = await User.findById(req.session.user._id)
+    if (!user) return res.redirect("/login")
+    if (user.totp_enabled) return res.redirect("/profile")
+
+    if (!user.totp_pending_secret) {
+      user.totp_pending_secret = generateTotpSecret()
+      await user.save()
+    }
+
+    const provisioningUri = getTotpProvisioningUri(user.totp_pending_secret, user.email)
+    const qrCode = await QRCode.toDataURL(provisioningUri)
+    const required = await isTwoFactorRequired(user)
+
+    const content = `
+      ${
+        required
+          ? `
+        <div class="alert alert-info-custom">
+          <i class="fas fa-info-circle me-2"></i>
+          <strong>Two-factor authentication is required for employer accounts.</strong>
+          Please finish setting it up to continue using JobPortal.
+        </div>
+      `
+          : ""
+      }
+      ${
+        req.query.error
+          ? `
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-exclamation-triangle me-2"></i>
+          That code didn't match. Check the time on your device and try again.
+        </div>
+      `
+          : ""
+      }
+      <div class="text-center mb-4">
+        <i class="fas fa-shield-alt fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Set Up Two-Factor Authentication</h2>
+        <p class="text-muted">Scan the QR code with an authenticator app such as Google Authenticator, 1Password or Authy</p>
+      </div>
+
+      <div class="row g-4 justify-content-center">
+        <div class="col-md-5">
+          <div class="card-custom text-center">
+            <div class="card-body-custom">
+              <img src="${qrCode}" alt="Authenticator QR code" width="200" height="200" class="mb-3">
+              <p class="text-muted small mb-1">Can't scan it? Enter this key manually:</p>
+              <code class="d-block text-break mb-2">${user.totp_pending_secret}</code>
+              <a href="${provisioningUri}" class="small">Open in authenticator app</a>
+            </div>
+          </div>
+        </div>
+        <div class="col-md-5">
+          <div class="card-custom">
+            <div class="card-body-custom">
+              <form action="/profile/2fa/setup" method="POST">
+                <label class="form-label-custom">
+                  <i class="fas fa-key me-2"></i>Enter the 6-digit code from the app
+                </label>
+                <input type="text" name="code" class="form-control form-control-custom mb-3" required
+                       inputmode="numeric" autocomplete="one-time-code" pattern="[0-9 ]{6,7}" placeholder="123456">
+                <div class="d-grid gap-2">
+                  <button type="submit" class="btn btn-success-custom btn-custom">
+                    <i class="fas fa-check me-2"></i>Verify & Enable
+                  </button>
+                  ${
+                    required
+                      ? ""
+                      : `
+                    <a href="/profile" class="btn btn-secondary-custom btn-custom">
+                      <i class="fas fa-times me-2"></i>Cancel
+                    </a>
+                  `
+                  }
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Set Up 2FA", content, req.session.user))
+  } catch (err) {
+    res.redirect("/profile")
+  }
+})
+
+app.post("/profile/2fa/setup", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const user = await User.findById(req.session.user._id)
+    if (!user) return res.redirect("/login")
+    if (user.totp_enabled || !user.totp_pending_secret) return res.redirect("/profile")
+
+    const step = verifyTotp(user.totp_pending_secret, req.body.code)
+    if (step === null) return res.redirect("/profile/2fa/setup?error=true")
+
+    const { codes, hashes } = await generateRecoveryCodes()
+    user.totp_enabled = true
+    user.totp_secret = user.totp_pending_secret
+    user.totp_pending_secret = undefined
+    user.totp_last_step = step
+    user.recovery_codes = hashes
+    await user.save()
+    req.session.user = sessionUser(user)
+
+    res.send(generateEnhancedHTML("Recovery Codes", recoveryCodesContent(codes), req.session.user))
+  } catch (err) {
+    res.redirect("/profile/2fa/setup?error=true")
+  }
+})
+
+app.post("/profile/2fa/recovery-codes", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const user = await User.findById(req.session.user._id)
+    if (!user || !user.totp_enabled) return res.redirect("/profile")
+
+    const step = verifyTotp(user.totp_secret, req.body.code, user.totp_last_step)
+    if (step === null) return res.redirect("/profile?2fa=invalid")
+
+    const { codes, hashes } = await generateRecoveryCodes()
+    user.totp_last_step = step
+    user.recovery_codes = hashes
+    await user.save()
+    req.session.user = sessionUser(user)
+
+    res.send(generateEnhancedHTML("Recovery Codes", recoveryCodesContent(codes), req.session.user))
+  } catch (err) {
+    res.redirect("/profile")
+  }
+})
+
+app.post("/profile/2fa/disable", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const user = await User.findById(req.session.user._id)
+    if (!user || !user.totp_enabled) return res.redirect("/profile")
+    if (await isTwoFactorRequired(user)) return res.redirect("/profile")
+
+    if (!(await consumeSecondFactor(user, req.body.code))) {
+      return res.redirect("/profile?2fa=invalid")
+    }
+
+    user.totp_enabled = false
+    user.totp_secret = undefined
+    user.totp_last_step = undefined
+    user.recovery_codes = []
+    await user.save()
+    req.session.user = sessionUser(user)
+
+    res.redirect("/profile?2fa=disabled")
+  } catch (err) {
+    res.redirect("/profile")
+  }
+})
+
+// API Token Routes
+app.get("/profile/api-tokens", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const user = req.session.user
+    const tokens = await ApiToken.find({ user_id: user._id, revoked_at: null }).sort({ createdAt: -1 })
+    const availableScopes = Object.entries(API_TOKEN_SCOPES).filter(([, scope]) => scope.types.includes(user.type))
+    const now = new Date()
+
+    const content = `
+      ${
+        req.query.revoked
+          ? `
+        <div class="alert alert-success-custom alert-dismissible fade show" role="alert">
+          <i class="fas fa-check-circle me-2"></i>The token has been revoked and can no longer be used.
+          <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        </div>
+      `
+          : ""
+      }
+      ${
+        req.query.error
+          ? `
+        <div class="alert alert-danger-custom alert-dismissible fade show" role="alert">
+          <i class="fas fa-exclamation-triangle me-2"></i>Please give the token a name and choose at least one scope.
+          <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        </div>
+      `
+          : ""
+      }
+      <div class="text-center mb-4">
+        <i class="fas fa-code fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">API Tokens</h2>
+        <p class="text-muted">Send a token as <code>Authorization: Bearer &lt;token&gt;</code> to the <code>/api/*</code> endpoints</p>
+      </div>
+
+      <div class="row g-4">
+        <div class="col-md-5">
+          <div class="card-custom">
+            <div class="card-header-custom">
+              <h5 class="mb-0"><i class="fas fa-plus me-2"></i>New Token</h5>
+            </div>
+            <div class="card-body-custom">
+              <form action="/profile/api-tokens" method="POST">
+                <div class="mb-3">
+                  <label class="form-label-custom">Name</label>
+                  <input type="text" name="name" class="form-control form-control-custom" required maxlength="100"
+                         placeholder="e.g. ATS sync">
+                </div>
+                <div class="mb-3">
+                  <label class="form-label-custom">Scopes</label>
+                  ${availableScopes
+                    .map(
+                      ([key, scope]) => `
+                    <div class="form-check">
+                      <input class="form-check-input" type="checkbox" name="scopes" value="${key}" id="scope-${key.replace(":", "-")}">
+                      <label class="form-check-label" for="scope-${key.replace(":", "-")}">
+                        <strong>${scope.label}</strong> <code>${key}</code>
+                        <small class="text-muted d-block">${scope.description}</small>
+                      </label>
+                    </div>
+                  `,
+                    )
+                    .join("")}
+                </div>
+                <div class="mb-4">
+                  <label class="form-label-custom">Expires</label>
+                  <select name="expires_in_days" class="form-select form-select-custom">
+                    ${API_TOKEN_EXPIRY_DAYS.map((days) => `<option value="${days}" ${days === 90 ? "selected" : ""}>In ${days} days</option>`).join("")}
+                    <option value="never">Never</option>
+                  </select>
+                </div>
+                <div class="d-grid">
+                  <button type="submit" class="btn btn-success-custom btn-custom">
+                    <i class="fas fa-key me-2"></i>Create Token
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+
+        <div class="col-md-7">
+          <div class="card-custom">
+            <div class="card-header-custom">
+              <h5 class="mb-0"><i class="fas fa-list me-2"></i>Active Tokens</h5>
+            </div>
+            <div class="card-body-custom">
+              ${
+                tokens.length
+                  ? tokens
+                      .map(
+                        (token) => `
+                <div class="d-flex justify-content-between align-items-center flex-wrap gap-3 border-bottom py-3">
+                  <div>
+                    <h6 class="fw-bold mb-1">
+                      ${escapeHtml(token.name)}
+                      ${token.expires_at && token.expires_at < now ? `<span class="badge bg-secondary ms-2">Expired</span>` : ""}
+                    </h6>
+                    <small class="text-muted d-block">
+                      <code>${token.token_prefix}…</code>
+                      <span class="mx-2">•</span>${token.scopes.map((scope) => `<span class="badge bg-primary me-1">${scope}</span>`).join("")}
+                    </small>
+                    <small class="text-muted d-block">
+                      Created ${token.createdAt.toLocaleDateString()}
+                      <span class="mx-2">•</span>${token.expires_at ? `Expires ${token.expires_at.toLocaleDateString()}` : "Never expires"}
+                      <span class="mx-2">•</span>${token.last_used_at ? `Last used ${token.last_used_at.toLocaleString()}` : "Never used"}
+                    </small>
+                  </div>
+                  <form action="/profile/api-tokens/${token._id}/revoke" method="POST" class="mb-0">
+                    <button type="submit" class="btn btn-danger-custom btn-custom btn-sm" onclick="return confirm('Revoke this token? Scripts using it will stop working.')">
+                      <i class="fas fa-ban me-1"></i>Revoke
+                    </button>
+                  </form>
+                </div>
+              `,
+                      )
+                      .join("")
+                  : `<p class="text-muted text-center py-3 mb-0">You don't have any API tokens yet.</p>`
+              }
+            </div>
+          </div>
+        </div>
+      </div>
+    `
+    res.send(generateEnhancedHTML("API Tokens", content, req.session.user))
+  } catch (err) {
+    res.redirect("/profile")
+  }
+})
+
+app.post("/profile/api-tokens", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const user = req.session.user
+    const name = (req.body.name || "").trim()
+    const requestedScopes = [].concat(req.body.scopes || [])
+    const scopes = requestedScopes.filter((scope) => API_TOKEN_SCOPES[scope] && API_TOKEN_SCOPES[scope].types.includes(user.type))
+
+    if (!name || scopes.length === 0) {
+      return res.redirect("/profile/api-tokens?error=true")
+    }
+
+    const days = parseInt(req.body.expires_in_days)
+    const expires_at = API_TOKEN_EXPIRY_DAYS.includes(days) ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined
+
+    const token = `jp_${crypto.randomBytes(24).toString("hex")}`
+    await ApiToken.create({
+      user_id: user._id,
+      name,
+      token_hash: hashToken(token),
+      token_prefix: token.slice(0, 10),
+      scopes,
+      expires_at,
+    })
+
+    const content = `
+      <div class="text-center mb-4">
+        <i class="fas fa-key fa-3x text-success mb-3"></i>
+        <h2 class="fw-bold">Token Created</h2>
+        <p class="text-muted">${escapeHtml(name)} &mdash; ${scopes.join(", ")}</p>
+      </div>
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        <strong>Copy this token now.</strong> For your security it won't be shown again.
+      </div>
+      <div class="card-custom">
+        <div class="card-body-custom text-center">
+          <code class="fs-5 text-break">${token}</code>
+        </div>
+      </div>
+      <div class="card-custom mt-4">
+        <div class="card-body-custom">
+          <h6 class="fw-bold">Example</h6>
+          <pre class="mb-0"><code>curl -H "Authorization: Bearer ${token}" ${APP_URL}/api/jobs</code></pre>
+        </div>
+      </div>
+      <div class="text-center mt-4">
+        <a href="/profile/api-tokens" class="btn btn-success-custom btn-custom">
+          <i class="fas fa-check me-2"></i>Done
+        </a>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Token Created", content, req.session.user))
+  } catch (err) {
+    res.redirect("/profile/api-tokens?error=true")
+  }
+})
+
+app.post("/profile/api-tokens/:id/revoke", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    await ApiToken.updateOne({ _id: req.params.id, user_id: req.session.user._id }, { revoked_at: new Date() })
+  } catch (err) {
+    console.error("Failed to revoke API token:", err)
+  }
+  res.redirect("/profile/api-tokens?revoked=true")
+})
+
+app.get("/profile/edit", (req, res) => { // This route only renders a form, no DB interaction needed to change
+  if (!req.session.user) return res.redirect("/login")
+
+  const user = req.session.user
+
+  const content = `
+    <div class="text-center mb-4">
+      <i class="fas fa-user-edit fa-3x text-primary mb-3"></i>
+      <h2 class="fw-bold">Edit Profile</h2>
+      <p class="text-muted">Update your profile information</p>
+    </div>
+
+    <form action="/profile/edit" method="POST" enctype="multipart/form-data" id="profileForm">
+      <div class="row g-4">
+        <div class="col-md-4">
+          <div class="card-custom text-center">
+            <div class="card-body-custom">
+              <div class="mb-3">
+                <img src="${user.profile_picture || getDefaultAvatar(150)}" 
+                     alt="Profile Picture" class="rounded-circle mb-3" width="150" height="150"
+                     style="object-fit: cover; border: 4px solid var(--primary-color);" id="profilePreview">
+              </div>
+              <div class="file-upload-wrapper">
+                <input type="file" name="profilePicture" accept="image/*" class="file-upload-input" id="profilePictureInput">
+                <label for="profilePictureInput" class="btn btn-primary-custom btn-custom btn-sm">
+                  <i class="fas fa-camera me-2"></i>Change Photo
+                </label>
+              </div>
+              <small class="text-muted d-block mt-2">JPG, PNG or GIF (Max 5MB)</small>
+            </div>
+          </div>
+        </div>
+        
+        <div class="col-md-8">
+          <div class="card-custom">
+            <div class="card-body-custom">
+              <div class="row g-3">
+                <div class="col-md-6">
+                  <label class="form-label-custom">
+                    <i class="fas fa-user me-2"></i>Full Name
+                  </label>
+                  <input type="text" name="name" class="form-control form-control-custom" 
+                         value="${user.name}" required>
+                </div>
+                
+                <div class="col-md-6">
+                  <label class="form-label-custom">
+                    <i class="fas fa-phone me-2"></i>Phone Number
+                  </label>
+                  <input type="tel" name="phone" class="form-control form-control-custom" 
+                         value="${user.phone || ""}" placeholder="Your phone number">
+                </div>
+                
+                <div class="col-12">
+                  <label class="form-label-custom">
+                    <i class="fas fa-map-marker-alt me-2"></i>Location
+                  </label>
+                  <input type="text" name="location" class="form-control form-control-custom" 
+                         value="${user.location || ""}" placeholder="City, Country">
+                </div>
+                
+                <div class="col-12">
+                  <label class="form-label-custom">
+                    <i class="fas fa-info-circle me-2"></i>Bio
+                  </label>
+                  <textarea name="bio" class="form-control form-control-custom" rows="3" 
+                            placeholder="Tell us about yourself...">${user.bio || ""}</textarea>
+                </div>
+                
+                ${
+                  user.type === "user"
+                    ? `
+                  <div class="col-12">
+                    <label class="form-label-custom">
+                      <i class="fas fa-tools me-2"></i>Skills
+                    </label>
+                    <textarea name="skills" class="form-control form-control-custom" rows="2" 
+                              placeholder="List your skills (e.g., JavaScript, Python, Project Management)">${user.skills || ""}</textarea>
+                    <div class="form-text">Separate skills with commas. Job listings show how well they match your skills, location and experience.</div>
+                  </div>
+                  
+                  <div class="col-12">
+                    <label class="form-label-custom">
+                      <i class="fas fa-briefcase me-2"></i>Experience
+                    </label>
+                    <textarea name="experience" class="form-control form-control-custom" rows="3" 
+                              placeholder="Describe your work experience...">${user.experience || ""}</textarea>
+                    <div class="form-text">Mention your years of experience and job titles, e.g. "6 years as a senior backend developer".</div>
+                  </div>
+                `
+                    : `
+                  <div class="col-md-6">
+                    <label class="form-label-custom">
+                      <i class="fas fa-building me-2"></i>Company Name
+                    </label>
+                    <input type="text" name="company_name" class="form-control form-control-custom" 
+                           value="${user.company_name || ""}" placeholder="Your company name">
+                  </div>
+                  
+                  <div class="col-md-6">
+                    <label class="form-label-custom">
+                      <i class="fas fa-globe me-2"></i>Website
+                    </label>
+                    <input type="url" name="website" class="form-control form-control-custom" 
+                           value="${user.website || ""}" placeholder="https://yourcompany.com">
+                  </div>
+                  
+                  <div class="col-12">
+                    <label class="form-label-custom">
+                      <i class="fas fa-info-circle me-2"></i>Company Description
+                    </label>
+                    <textarea name="company_description" class="form-control form-control-custom" rows="3" 
+                              placeholder="Describe your company...">${user.company_description || ""}</textarea>
+                  </div>
+                `
+                }
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+      
+      <div class="text-center mt-4">
+        <button type="submit" class="btn btn-success-custom btn-custom">
+          <i class="fas fa-save me-2"></i>Save Changes
+        </button>
+        <a href="/profile" class="btn btn-secondary-custom btn-custom ms-2">
+          <i class="fas fa-times me-2"></i>Cancel
+        </a>
+      </div>
+    </form>
+
+    <script>
+      // Profile picture preview
+      document.getElementById('profilePictureInput').addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if (file) {
+          const reader = new FileReader();
+          reader.onload = function(e) {
+            document.getElementById('profilePreview').src = e.target.result;
+          };
+          reader.readAsDataURL(file);
+        }
+      });
+    </script>
+  `
+
+  res.send(generateEnhancedHTML("Edit Profile", content, user))
+})
+
+app.post("/profile/edit", upload.single("profilePicture"), verifyCsrf, async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const userId = req.session.user._id
+    const { name, phone, location, bio, skills, experience, company_name, website, company_description } = req.body
+
+    const updateData = {
+      name, phone, location, bio, skills, experience,
+      company_name, website, company_description,
+    }
+
+    if (req.file) {
+      updateData.profile_picture = `/uploads/profiles/${req.file.filename}`
+    }
+
+    // The profile location is the default origin for distance searches
+    if ((location || "") !== (req.session.user.location || "") || (location && !req.session.user.location_point)) {
+      const point = await geocodePoint(location)
+      updateData.$unset = { geocode_failed_at: 1 }
+      if (point) {
+        updateData.location_point = point
+      } else {
+        updateData.$unset.location_point = 1
+      }
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(userId, updateData, { new: true })
+
+    if (updatedUser) {
+      await syncEmployerCompany(updatedUser)
+      req.session.user = sessionUser(updatedUser)
+      res.redirect("/profile?updated=true")
+    } else {
+      throw new Error("User not found")
+    }
+  } catch (err) {
+    const content = `
+        <div class="text-center">
+          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+          <h2 class="fw-bold text-danger mb-3">Update Failed</h2>
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-times-circle me-2"></i>
+            <strong>Error!</strong> Failed to update your profile. Please try again.
+          </div>
+          <a href="/profile/edit" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-redo me-2"></i>Try Again
+          </a>
+        </div>
+      `
+    return res.send(generateEnhancedHTML("Update Failed", content, req.session.user))
+  }
+})
+
+// Settings Routes
+app.get("/settings", (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  const content = `
+    <div class="text-center mb-5">
+      <i class="fas fa-cog fa-3x text-primary mb-3"></i>
+      <h2 class="fw-bold">Settings</h2>
+      <p class="text-muted">Manage your account security and preferences</p>
+    </div>
+
+    <div class="row g-4">
+      <div class="col-md-4">
+        <div class="card-custom hover-lift h-100">
+          <div class="card-body-custom text-center">
+            <i class="fas fa-user fa-2x text-primary mb-3"></i>
+            <h5 class="fw-bold">Profile & Two-Factor Authentication</h5>
+            <p class="text-muted">Update your details and protect your sign-ins</p>
+            <a href="/profile" class="btn btn-primary-custom btn-custom btn-sm">
+              <i class="fas fa-user me-1"></i>Open Profile
+            </a>
+          </div>
+        </div>
+      </div>
+      <div class="col-md-4">
+        <div class="card-custom hover-lift h-100">
+          <div class="card-body-custom text-center">
+            <i class="fas fa-laptop fa-2x text-success mb-3"></i>
+            <h5 class="fw-bold">Devices & Sessions</h5>
+            <p class="text-muted">See where you're signed in and sign out remotely</p>
+            <a href="/settings/sessions" class="btn btn-success-custom btn-custom btn-sm">
+              <i class="fas fa-laptop me-1"></i>Manage Sessions
+            </a>
+          </div>
+        </div>
+      </div>
+      <div class="col-md-4">
+        <div class="card-custom hover-lift h-100">
+          <div class="card-body-custom text-center">
+            <i class="fas fa-code fa-2x text-info mb-3"></i>
+            <h5 class="fw-bold">API Tokens</h5>
+            <p class="text-muted">Create and revoke tokens for scripted access</p>
+            <a href="/profile/api-tokens" class="btn btn-primary-custom btn-custom btn-sm">
+              <i class="fas fa-key me-1"></i>Manage Tokens
+            </a>
+          </div>
+        </div>
+      </div>
+      <div class="col-md-4">
+        <div class="card-custom hover-lift h-100">
+          <div class="card-body-custom text-center">
+            <i class="fas fa-database fa-2x text-warning mb-3"></i>
+            <h5 class="fw-bold">Your Data</h5>
+            <p class="text-muted">Download a copy of your data or delete your account</p>
+            <a href="/settings/data" class="btn btn-secondary-custom btn-custom btn-sm">
+              <i class="fas fa-download me-1"></i>Manage Data
+            </a>
+          </div>
+        </div>
+      </div>
+    </div>
+  `
+  res.send(generateEnhancedHTML("Settings", content, req.session.user))
+})
+
+// Personal Data Routes
+const ACCOUNT_DELETION_GRACE_PERIOD = 14 * 24 * 60 * 60 * 1000 // 14 days
+const ACCOUNT_DELETION_CHECK_INTERVAL = 60 * 60 * 1000 // hourly
+const ACCOUNT_DELETION_REAUTH_WINDOW = 10 * 60 * 1000 // 10 minutes
+
+// Single sign-on accounts start with a random password nobody knows, so they can confirm a deletion
+// with a recent sign-in or their authenticator code instead
+function hasRecentSignIn(req) {
+  return Boolean(req.session.signed_in_at) && Date.now() - req.session.signed_in_at < ACCOUNT_DELETION_REAUTH_WINDOW
+}
+
+async function confirmsAccountDeletion(req, user) {
+  if (req.body.password && (await bcrypt.compare(req.body.password, user.password))) return true
+  if (!user.oidc_subject) return false
+  if (hasRecentSignIn(req)) return true
+  return user.totp_enabled && Boolean(req.body.code) && (await consumeSecondFactor(user, req.body.code))
+}
+
+// Credentials and one-time secrets never leave the server, not even in a data export
+const PRIVATE_USER_FIELDS = [
+  "password",
+  "password_reset_token",
+  "password_reset_expires",
+  "email_verification_token",
+  "email_verification_expires",
+  "totp_secret",
+  "totp_pending_secret",
+  "totp_last_step",
+  "recovery_codes",
+]
+
+function getExportableUser(user) {
+  const data = user.toObject({ virtuals: false })
+  PRIVATE_USER_FIELDS.forEach((field) => delete data[field])
+  return data
+}
+
+// Removes everything tied to the account: applications and their resumes, saved jobs and
+// searches, posted jobs and the company page, uploaded files, sessions and tokens. Audit and lockout records are kept without the link.
+async function purgeAccount(user) {
+  const applications = await Application.find({ user_id: user._id })
+  await Promise.all(applications.map((application) => removeUpload(application.resume_url)))
+  await Application.deleteMany({ user_id: user._id })
+  await SavedJob.deleteMany({ user_id: user._id })
+  await SavedSearch.deleteMany({ user_id: user._id })
+  await JobAlertDelivery.deleteMany({ user_id: user._id })
+
+  if (user.type === "employer") {
+    const jobIds = await Job.find({ posted_by: user._id }).distinct("_id")
+    // Applications to the employer's jobs go with them, like when a single job is deleted
+    const jobApplications = await Application.find({ job_id: { $in: jobIds } })
+    await Promise.all(jobApplications.map((application) => removeUpload(application.resume_url)))
+    await Application.deleteMany({ job_id: { $in: jobIds } })
+    await SavedJob.deleteMany({ job_id: { $in: jobIds } })
+    await JobAlertDelivery.deleteMany({ job_id: { $in: jobIds } })
+    await Job.deleteMany({ posted_by: user._id })
+    // The company page goes too unless another employer account still belongs to it
+    if (user.company_id && !(await User.exists({ company_id: user.company_id, _id: { $ne: user._id } }))) {
+      const company = await Company.findByIdAndDelete(user.company_id)
+      if (company) await removeUpload(company.logo)
+    }
+  }
+
+  await removeUpload(user.profile_picture)
+  await revokeUserSessions({ user_id: user._id })
+  await ApiToken.deleteMany({ user_id: user._id })
+  await JobImport.deleteMany({ user_id: user._id })
+  await LoginThrottle.deleteOne({ key: accountThrottleKey(user.email) })
+  await LockoutEvent.updateMany({ user_id: user._id }, { $unset: { user_id: 1 } })
+  await User.deleteOne({ _id: user._id })
+
+  await sendMail({
+    to: user.email,
+    subject: "Your JobPortal account has been deleted",
+    text: `Hi ${user.name},\n\nAs requested, your JobPortal account and its data have now been permanently deleted.\n\nThanks for using JobPortal.`,
+  }).catch((err) => console.error("Failed to send deletion email:", err))
+}
+
+scheduleBackgroundJob("account deletions", ACCOUNT_DELETION_CHECK_INTERVAL, async () => {
+  const dueUsers = await User.find({ deletion_scheduled_for: { $lte: new Date() } })
+  for (const user of dueUsers) {
+    // One account failing to purge shouldn't hold up the rest; it is retried on the next run
+    try {
+      await purgeAccount(user)
+      console.log(`🗑️ Deleted account ${user._id} after its grace period`)
+    } catch (err) {
+      console.error(`❌ Failed to delete account ${user._id}:`, err)
+    }
+  }
+})
+
+app.get("/settings/data", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const user = await User.findById(req.session.user._id)
+    if (!user) return res.redirect("/login")
+    req.session.user = sessionUser(user)
+
+    const messages = {
+      scheduled: { type: "info", text: "Your account is scheduled for deletion. You can cancel any time before then." },
+      cancelled: { type: "success", text: "Account deletion cancelled. Your account will be kept." },
+      "wrong-password": { type: "danger", text: "That password wasn't correct, so your account was not scheduled for deletion." },
+      "reauth-required": {
+        type: "danger",
+        text: "Please confirm it's you before deleting your account: sign in again or enter a current code.",
+      },
+    }
+    const message = messages[req.query.status]
+
+    const content = `
+      ${
+        message
+          ? `
+        <div class="alert alert-${message.type}-custom alert-dismissible fade show" role="alert">
+          <i class="fas fa-info-circle me-2"></i>${message.text}
+          <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        </div>
+      `
+          : ""
+      }
+      <div class="text-center mb-4">
+        <i class="fas fa-database fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Your Data</h2>
+        <p class="text-muted">Download a copy of everything we store about you, or delete your account</p>
+      </div>
+
+      <div class="row g-4">
+        <div class="col-md-6">
+          <div class="card-custom h-100">
+            <div class="card-header-custom">
+              <h5 class="mb-0"><i class="fas fa-download me-2"></i>Download My Data</h5>
+            </div>
+            <div class="card-body-custom">
+              <p>You'll get a ZIP file containing:</p>
+              <ul>
+                <li>Your profile information</li>
+                <li>Your application history${user.type === "employer" ? ", job postings and company page" : ", saved jobs and saved searches"}</li>
+                <li>Your uploaded resumes and profile picture${user.type === "employer" ? " and company logo" : ""}</li>
+              </ul>
+              <a href="/settings/data/export" class="btn btn-primary-custom btn-custom">
+                <i class="fas fa-file-archive me-2"></i>Download ZIP
+              </a>
+            </div>
+          </div>
+        </div>
+
+        <div class="col-md-6">
+          <div class="card-custom h-100">
+            <div class="card-header-custom">
+              <h5 class="mb-0 text-danger"><i class="fas fa-user-times me-2"></i>Delete My Account</h5>
+            </div>
+            <div class="card-body-custom">
+              ${
+                user.deletion_scheduled_for
+                  ? `
+                <p>
+                  Your account will be permanently deleted on
+                  <strong>${user.deletion_scheduled_for.toLocaleString()}</strong>.
+                </p>
+                <form action="/settings/data/cancel-deletion" method="POST">
+                  <button type="submit" class="btn btn-success-custom btn-custom">
+                    <i class="fas fa-undo me-2"></i>Keep My Account
+                  </button>
+                </form>
+              `
+                  : `
+                <p>
+                  Your account will be deleted after a ${ACCOUNT_DELETION_GRACE_PERIOD / (24 * 60 * 60 * 1000)}-day grace period.
+                  This removes your profile, ${user.type === "employer" ? "your job postings, " : "your applications, "}and your uploaded files.
+                  You can cancel until then.
+                </p>
+                <form action="/settings/data/delete" method="POST">
+                  ${
+                    !user.oidc_subject
+                      ? `
+                  <input type="password" name="password" class="form-control form-control-custom mb-3" required
+                         placeholder="Confirm with your password">
+                  `
+                      : hasRecentSignIn(req)
+                        ? `
+                  <p class="small text-muted">You signed in a moment ago, so no password is needed.</p>
+                  `
+                        : user.totp_enabled
+                          ? `
+                  <input type="text" name="code" class="form-control form-control-custom mb-3" required
+                         autocomplete="one-time-code" placeholder="Confirm with a 6-digit or recovery code">
+                  `
+                          : `
+                  <p class="small text-muted">
+                    You sign in with single sign-on, so confirm by
+                    ${OIDC_CONFIG ? `<a href="/auth/oidc">signing in again</a>` : "signing in again"}
+                    and coming back here within ${ACCOUNT_DELETION_REAUTH_WINDOW / (60 * 1000)} minutes, or with your password if you've set one.
+                  </p>
+                  <input type="password" name="password" class="form-control form-control-custom mb-3"
+                         placeholder="Password (optional)">
+                  `
+                  }
+                  <button type="submit" class="btn btn-danger-custom btn-custom" onclick="return confirm('Schedule your account for deletion?')">
+                    <i class="fas fa-trash me-2"></i>Delete My Account
+                  </button>
+                </form>
+              `
+              }
+            </div>
+          </div>
+        </div>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Your Data", content, req.session.user))
+  } catch (err) {
+    res.redirect("/settings")
+  }
+})
+
+app.get("/settings/data/export", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const user = await User.findById(req.session.user._id)
+    if (!user) return res.redirect("/login")
+
+    const applications = await Application.find({ user_id: user._id })
+      .populate("job_id", "title company location")
+      .sort({ createdAt: -1 })
+    const jobs = user.type === "employer" ? await Job.find({ posted_by: user._id }).sort({ createdAt: -1 }) : []
+    const company = user.company_id ? await Company.findById(user.company_id) : null
+    const savedJobs = await SavedJob.find({ user_id: user._id }).populate("job_id", "title company location").sort({ createdAt: -1 })
+    const savedSearches = await SavedSearch.find({ user_id: user._id }).sort({ createdAt: -1 })
+
+    const archive = archiver("zip", { zlib: { level: 9 } })
+    archive.on("error", (err) => {
+      console.error("Data export failed:", err)
+      res.destroy(err)
+    })
+
+    res.attachment(`jobportal-data-${new Date().toISOString().slice(0, 10)}.zip`)
+    archive.pipe(res)
+
+    archive.append(JSON.stringify(getExportableUser(user), null, 2), { name: "profile.json" })
+    archive.append(
+      JSON.stringify(
+        applications.map((application) => ({
+          job: application.job_id
+            ? { title: application.job_id.title, company: application.job_id.company, location: application.job_id.location }
+            : null,
+          status: application.status,
+          status_history: application.status_history.map((step) => ({ status: step.status, changed_at: step.changed_at })),
+          withdrawal_reason: application.withdrawal_reason,
+          resume: application.resume_url ? `resumes/${path.basename(application.resume_url)}` : null,
+          applied_at: application.createdAt,
+          updated_at: application.updatedAt,
+        })),
+        null,
+        2,
+      ),
+      { name: "applications.json" },
+    )
+    if (user.type === "employer") {
+      archive.append(JSON.stringify(jobs.map((job) => job.toObject()), null, 2), { name: "jobs.json" })
+    }
+    if (savedJobs.length) {
+      archive.append(
+        JSON.stringify(
+          savedJobs.map((saved) => ({
+            job: saved.job_id
+              ? { title: saved.job_id.title, company: saved.job_id.company, location: saved.job_id.location }
+              : null,
+            saved_at: saved.createdAt,
+          })),
+          null,
+          2,
+        ),
+        { name: "saved-jobs.json" },
+      )
+    }
+    if (savedSearches.length) {
+      archive.append(
+        JSON.stringify(
+          savedSearches.map((search) => ({
+            name: search.name,
+            filters: Object.fromEntries(new URLSearchParams(search.query)),
+            alerts: search.frequency,
+            created_at: search.createdAt,
+          })),
+          null,
+          2,
+        ),
+        { name: "saved-searches.json" },
+      )
+    }
+    if (company) {
+      archive.append(JSON.stringify(company.toObject(), null, 2), { name: "company.json" })
+    }
+
+    const addUpload = (url, folder) => {
+      if (!url || !url.startsWith("/uploads/")) return
+      const filePath = path.join(__dirname, "public", url)
+      if (fs.existsSync(filePath)) {
+        archive.file(filePath, { name: `${folder}/${path.basename(filePath)}` })
+      }
+    }
+    applications.forEach((application) => addUpload(application.resume_url, "resumes"))
+    addUpload(user.profile_picture, "profile-picture")
+    addUpload(company && company.logo, "company-logo")
+
+    await archive.finalize()
+  } catch (err) {
+    if (!res.headersSent) res.redirect("/settings/data")
+  }
+})
+
+app.post("/settings/data/delete", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const user = await User.findById(req.session.user._id)
+    if (!user) return res.redirect("/login")
+
+    if (!(await confirmsAccountDeletion(req, user))) {
+      return res.redirect(`/settings/data?status=${user.oidc_subject ? "reauth-required" : "wrong-password"}`)
+    }
+
+    user.deletion_requested_at = new Date()
+    user.deletion_scheduled_for = new Date(Date.now() + ACCOUNT_DELETION_GRACE_PERIOD)
+    await user.save()
+    req.session.user = sessionUser(user)
+
+    await sendMail({
+      to: user.email,
+      subject: "Your JobPortal account is scheduled for deletion",
+      text: `Hi ${user.name},\n\nYour JobPortal account is scheduled to be permanently deleted on ${user.deletion_scheduled_for.toUTCString()}.\n\nChanged your mind? Sign in and cancel the deletion at ${APP_URL}/settings/data before then.`,
+    }).catch((err) => console.error("Failed to send deletion notice:", err))
+
+    res.redirect("/settings/data?status=scheduled")
+  } catch (err) {
+    res.redirect("/settings/data")
+  }
+})
+
+app.post("/settings/data/cancel-deletion", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.session.user._id,
+      { $unset: { deletion_requested_at: 1, deletion_scheduled_for: 1 } },
+      { new: true },
+    )
+    if (user) req.session.user = sessionUser(user)
+    res.redirect("/settings/data?status=cancelled")
+  } catch (err) {
+    res.redirect("/settings/data")
+  }
+})
+
+app.get("/settings/sessions", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    const userSessions = await UserSession.find({ user_id: req.session.user._id }).sort({ last_activity: -1 })
+
+    const messages = {
+      revoked: "The session has been signed out.",
+      "revoked-others": "All other sessions have been signed out.",
+    }
+    const message = messages[req.query.status]
+
+    const content = `
+      ${
+        message
+          ? `
+        <div class="alert alert-success-custom alert-dismissible fade show" role="alert">
+          <i class="fas fa-check-circle me-2"></i>${message}
+          <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        </div>
+      `
+          : ""
+      }
+      <div class="text-center mb-4">
+        <i class="fas fa-laptop fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Devices & Sessions</h2>
+        <p class="text-muted">These browsers are currently signed in to your account</p>
+      </div>
+
+      <div class="card-custom">
+        <div class="card-body-custom">
+          ${userSessions
+            .map((userSession) => {
+              const isCurrent = userSession.sid === req.sessionID
+              return `
+            <div class="d-flex justify-content-between align-items-center flex-wrap gap-3 border-bottom py-3">
+              <div>
+                <h6 class="fw-bold mb-1">
+                  <i class="fas fa-${/Android|iPhone|iPad|iPod/.test(userSession.user_agent || "") ? "mobile-alt" : "desktop"} me-2 text-primary"></i>
+                  ${describeUserAgent(userSession.user_agent)}
+                  ${isCurrent ? `<span class="badge bg-success ms-2">This device</span>` : ""}
+                </h6>
+                <small class="text-muted d-block">
+                  <i class="fas fa-network-wired me-1"></i>${escapeHtml(userSession.ip || "Unknown IP")}
+                  <span class="mx-2">•</span>
+                  <i class="fas fa-clock me-1"></i>Last active ${userSession.last_activity.toLocaleString()}
+                  <span class="mx-2">•</span>
+                  Signed in ${userSession.createdAt.toLocaleString()}
+                </small>
+                <small class="text-muted d-block text-break">${escapeHtml(userSession.user_agent || "")}</small>
+              </div>
+              ${
+                isCurrent
+                  ? `
+                <a href="/logout" class="btn btn-secondary-custom btn-custom btn-sm">
+                  <i class="fas fa-sign-out-alt me-1"></i>Sign Out
+                </a>
+              `
+                  : `
+                <form action="/settings/sessions/${userSession._id}/revoke" method="POST" class="mb-0">
+                  <button type="submit" class="btn btn-danger-custom btn-custom btn-sm">
+                    <i class="fas fa-times me-1"></i>Revoke
+                  </button>
+                </form>
+              `
+              }
+            </div>
+          `
+            })
+            .join("")}
+        </div>
+      </div>
+
+      ${
+        userSessions.length > 1
+          ? `
+        <div class="text-center mt-4">
+          <form action="/settings/sessions/revoke-others" method="POST">
+            <button type="submit" class="btn btn-danger-custom btn-custom">
+              <i class="fas fa-sign-out-alt me-2"></i>Sign Out All Other Sessions
+            </button>
+          </form>
+        </div>
+      `
+          : ""
+      }
+    `
+    res.send(generateEnhancedHTML("Devices & Sessions", content, req.session.user))
+  } catch (err) {
+    const content = `
+        <div class="text-center">
+          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+          <h2 class="fw-bold text-danger mb-3">Error Loading Sessions</h2>
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-times-circle me-2"></i>
+            <strong>Oops!</strong> Could not load your sessions. Please try again later.
+          </div>
+          <a href="/settings" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-arrow-left me-2"></i>Back to Settings
+          </a>
+        </div>
+      `
+    res.send(generateEnhancedHTML("Error", content, req.session.user))
+  }
+})
+
+app.post("/settings/sessions/:id/revoke", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    await revokeUserSessions({
+      _id: req.params.id,
+      user_id: req.session.user._id,
+      sid: { $ne: req.sessionID },
+    })
+  } catch (err) {
+    console.error("Failed to revoke session:", err)
+  }
+  res.redirect("/settings/sessions?status=revoked")
+})
+
+app.post("/settings/sessions/revoke-others", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  try {
+    await revokeUserSessions({ user_id: req.session.user._id, sid: { $ne: req.sessionID } })
+  } catch (err) {
+    console.error("Failed to revoke sessions:", err)
+  }
+  res.redirect("/settings/sessions?status=revoked-others")
+})
+
+app.get("/dashboard", async (req, res) => {
+  if (!req.session.user) return res.redirect("/login")
+
+  const emailVerified = await isEmailVerified(req).catch(() => true)
+  const user = req.session.user
+
+  const verificationBanner = emailVerified
+    ? ""
+    : `
+      <div class="alert alert-danger-custom d-flex justify-content-between align-items-center flex-wrap gap-2" role="alert">
+        <div>
+          <i class="fas fa-envelope me-2"></i>
+          <strong>Please verify your email address.</strong>
+          We sent a confirmation link to ${escapeHtml(user.email)}. You can't ${user.type === "employer" ? "post jobs" : "apply for jobs"} until it's confirmed.
+        </div>
+        <form action="/verify-email/resend" method="POST" class="mb-0">
+          <button type="submit" class="btn btn-primary-custom btn-custom btn-sm">
+            <i class="fas fa-paper-plane me-1"></i>Resend Link
+          </button>
+        </form>
+      </div>
+    `
+
+  const deletionBanner = user.deletion_scheduled_for
+    ? `
+      <div class="alert alert-danger-custom d-flex justify-content-between align-items-center flex-wrap gap-2" role="alert">
+        <div>
+          <i class="fas fa-trash me-2"></i>
+          <strong>Your account is scheduled for deletion</strong> on ${new Date(user.deletion_scheduled_for).toLocaleString()}.
+        </div>
+        <form action="/settings/data/cancel-deletion" method="POST" class="mb-0">
+          <button type="submit" class="btn btn-success-custom btn-custom btn-sm">
+            <i class="fas fa-undo me-1"></i>Keep My Account
+          </button>
+        </form>
+      </div>
+    `
+    : ""
+
+  // Job seekers get suggestions based on the jobs they applied to or saved and their profile
+  const recommendations =
+    user.type === "user"
+      ? await recommendJobs(user._id).catch((err) => {
+          console.error("Failed to load recommendations:", err)
+          return []
+        })
+      : null
+  const recommendationsCard = recommendations
+    ? `
+      <div class="card-custom mt-5">
+        <div class="card-header-custom d-flex justify-content-between align-items-center">
+          <h5 class="mb-0">
+            <i class="fas fa-star me-2 text-warning"></i>Recommended for You
+          </h5>
+          <a href="/jobs" class="btn btn-secondary-custom btn-custom btn-sm">Browse All Jobs</a>
+        </div>
+        <div class="card-body-custom">
+          ${
+            recommendations.length
+              ? jobSuggestionList(recommendations)
+              : `
+            <p class="text-muted text-center mb-0">
+              <i class="fas fa-lightbulb me-2"></i>
+              Add skills to your <a href="/profile/edit">profile</a>, or save and apply to a few jobs, and we'll suggest similar ones here.
+            </p>
+          `
+          }
+        </div>
+      </div>
+    `
+    : ""
+
+  const content = `
+    ${verificationBanner}
+    ${deletionBanner}
+    <div class="dashboard-container">
+      <div class="text-center mb-5">
+        <div class="mb-4">
+          <img src="${user.profile_picture || getDefaultAvatar(100)}" 
+               alt="Profile" class="rounded-circle mb-3" width="100" height="100"
+               style="object-fit: cover; border: 4px solid var(--primary-color); box-shadow: var(--shadow-xl);">
+        </div>
+        <h1 class="dashboard-title">Welcome back, ${user.name}!</h1>
+        <p class="dashboard-subtitle">
+          <i class="fas fa-${user.type === "admin" ? "user-shield" : user.type === "employer" ? "briefcase" : "search"} me-2"></i>
+          ${
+            user.type === "admin"
+              ? "Keep the platform safe and running smoothly"
+              : user.type === "employer"
+                ? "Manage your job postings and find great candidates"
+                : "Discover amazing job opportunities and advance your career"
+          }
+        </p>
+      </div>
+
+      <div class="action-buttons">
+        ${
+          user.type === "admin"
+            ? `
+              <a href="/admin" class="action-btn btn-primary-custom">
+                <i class="fas fa-user-shield fa-lg"></i>
+                <div>
+                  <div class="fw-bold">Admin Console</div>
+                  <small class="opacity-75">Platform overview and moderation</small>
+                </div>
+              </a>
+              <a href="/admin/users" class="action-btn btn-success-custom">
+                <i class="fas fa-users fa-lg"></i>
+                <div>
+                  <div class="fw-bold">Manage Users</div>
+                  <small class="opacity-75">Search, suspend and reinstate accounts</small>
+                </div>
+              </a>
+            `
+            : user.type === "employer"
+            ? `
+              <a href="/post-job" class="action-btn btn-primary-custom">
+                <i class="fas fa-plus-circle fa-lg"></i>
+                <div>
+                  <div class="fw-bold">Post New Job</div>
+                  <small class="opacity-75">Find the perfect candidate</small>
+                </div>
+              </a>
+              <a href="/employer/applicants" class="action-btn btn-success-custom">
+                <i class="fas fa-users fa-lg"></i>
+                <div>
+                  <div class="fw-bold">View Applicants</div>
+                  <small class="opacity-75">Review job applications</small>
+                </div>
+              </a>
+            `
+            : `
+              <a href="/jobs" class="action-btn btn-primary-custom">
+                <i class="fas fa-search fa-lg"></i>
+                <div>
+                  <div class="fw-bold">Browse Jobs</div>
+                  <small class="opacity-75">Find your dream job</small>
+                </div>
+              </a>
+              <a href="/my-applications" class="action-btn btn-success-custom">
+                <i class="fas fa-file-alt fa-lg"></i>
+                <div>
+                  <div class="fw-bold">My Applications</div>
+                  <small class="opacity-75">Track your progress</small>
+                </div>
+              </a>
+            `
+        }
+      </div>
+
+      ${recommendationsCard}
+
+      <div class="mt-5">
+        <div class="row g-4">
+          <div class="col-md-6">
+            <div class="card-custom hover-lift">
+              <div class="card-body-custom text-center">
+                <i class="fas fa-user fa-2x text-primary mb-3"></i>
+                <h5 class="fw-bold">My Profile</h5>
+                <p class="text-muted">Manage your profile information</p>
+                <a href="/profile" class="btn btn-primary-custom btn-custom btn-sm">
+                  <i class="fas fa-edit me-1"></i>View Profile
+                </a>
+              </div>
+            </div>
+          </div>
+          <div class="col-md-6">
+            <div class="card-custom hover-lift">
+              <div class="card-body-custom text-center">
+                <i class="fas fa-chart-line fa-2x text-success mb-3"></i>
+                <h5 class="fw-bold">Activity</h5>
+                <p class="text-muted">View your recent activity</p>
+                <button class="btn btn-success-custom btn-custom btn-sm" disabled>
+                  <i class="fas fa-chart-bar me-1"></i>Coming Soon
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  `
+
+  res.send(generateEnhancedHTML("Dashboard", content, user))
+})
+
+// Job Details
+// Labels for the structured job fields; keys are the values stored on JobSchema
+const EMPLOYMENT_TYPES = {
+  "full-time": "Full-time",
+  "part-time": "Part-time",
+  contract: "Contract",
+  internship: "Internship",
+  temporary: "Temporary",
+}
+const REMOTE_POLICIES = { onsite: "On-site", hybrid: "Hybrid", remote: "Remote" }
+const SENIORITY_LEVELS = {
+  internship: "Intern",
+  entry: "Entry level",
+  mid: "Mid level",
+  senior: "Senior",
+  lead: "Lead",
+  executive: "Executive",
+}
+const SALARY_PERIODS = { hour: "hour", day: "day", week: "week", month: "month", year: "year" }
+const REAPPLY_POLICIES = {
+  none: "No one can reapply",
+  withdrawn: "Candidates who withdrew can reapply",
+  any: "Candidates who withdrew or were rejected can reapply",
+}
+
+// Jobs that appear in listings and accept applications. Postings from before the lifecycle
+// fields existed have no status or expiry and count as published.
+function liveJobFilter() {
+  return {
+    taken_down_at: null,
+    closed_at: null,
+    status: { $nin: ["draft", "expired"] },
+    expires_at: { $not: { $lte: new Date() } },
+  }
+}
+
+// Normalizes job fields from a form or JSON body: blank values are dropped,
+// salaries become numbers and skills may be given as a comma-separated string.
+function parseJobFields(body) {
+  const fields = {}
+  const textFields = [
+    "title",
+    "company",
+    "location",
+    "description",
+    "employment_type",
+    "salary_currency",
+    "salary_period",
+    "remote_policy",
+    "seniority",
+    "reapply_policy",
+  ]
+  textFields.forEach((field) => {
+    if (body[field] === undefined) return
+    // null clears a field the same as "", e.g. in a JSON export imported again
+    const value = body[field] === null ? "" : String(body[field]).trim()
+    fields[field] = value === "" ? undefined : value
+  })
+  ;["salary_min", "salary_max", "reapply_after_days"].forEach((field) => {
+    if (body[field] === undefined) return
+    fields[field] = body[field] === "" || body[field] === null ? undefined : Number(body[field])
+  })
+  if (body.skills !== undefined) {
+    const skills = Array.isArray(body.skills) ? body.skills : body.skills === null ? [] : String(body.skills).split(",")
+    fields.skills = [...new Set(skills.map((skill) => String(skill).trim()).filter(Boolean))]
+  }
+  return fields
+}
+
+// Posting lifecycle
+const JOB_DURATION_DAYS = [14, 30, 60, 90]
+const JOB_EXPIRY_REMINDER = 3 * 24 * 60 * 60 * 1000 // owners are emailed this long before expiry
+const JOB_LIFECYCLE_INTERVAL = 5 * 60 * 1000
+
+// Reads the publishing choice from the post-job form: publish now, keep as a draft,
+// or schedule for later. Returns the lifecycle fields for the new job.
+function parseJobSchedule(body) {
+  const days = JOB_DURATION_DAYS.includes(Number(body.duration_days)) ? Number(body.duration_days) : 30
+  const lifetime = days * 24 * 60 * 60 * 1000
+
+  if (body.publish_mode === "draft") {
+    return { status: "draft" }
+  }
+  if (body.publish_mode === "schedule") {
+    const publishAt = new Date(body.publish_at)
+    if (Number.isNaN(publishAt.getTime()) || publishAt <= new Date()) {
+      throw new RangeError("Choose a publish time in the future.")
+    }
+    return { status: "draft", publish_at: publishAt, expires_at: new Date(publishAt.getTime() + lifetime) }
+  }
+  return { status: "published", expires_at: new Date(Date.now() + lifetime) }
+}
+
+// Helper function to show a salary range like "$80,000 – $100,000 / year"
+function formatSalary(job) {
+  if (job.salary_min == null && job.salary_max == null) return ""
+  const format = (amount) => {
+    try {
+      return new Intl.NumberFormat("en-US", { style: "currency", currency: job.salary_currency, maximumFractionDigits: 0 }).format(amount)
+    } catch (err) {
+      return `${job.salary_currency} ${amount.toLocaleString()}`
+    }
+  }
+  const range =
+    job.salary_min != null && job.salary_max != null && job.salary_min !== job.salary_max
+      ? `${format(job.salary_min)} – ${format(job.salary_max)}`
+      : job.salary_min != null && job.salary_max == null
+        ? `From ${format(job.salary_min)}`
+        : job.salary_min == null
+          ? `Up to ${format(job.salary_max)}`
+          : format(job.salary_min)
+  return `${range} / ${SALARY_PERIODS[job.salary_period] || job.salary_period}`
+}
+
+// Continue with other routes (post-job, jobs, apply, etc.) - keeping existing functionality
+app.get("/post-job", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "employer") {
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-ban fa-3x text-danger mb-3"></i>
+        <h2 class="fw-bold text-danger mb-3">Access Denied</h2>
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-exclamation-triangle me-2"></i>
+          <strong>Unauthorized Access!</strong><br>
+          Only employers can post jobs. Please sign in with an employer account.
+        </div>
+        <div class="d-flex justify-content-center gap-3">
+          <a href="/login" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-sign-in-alt me-2"></i>Sign In
+          </a>
+          <a href="/register" class="btn btn-success-custom btn-custom">
+            <i class="fas fa-user-plus me-2"></i>Create Employer Account
+          </a>
+        </div>
+      </div>
+    `
+    return res.send(generateEnhancedHTML("Access Denied", content))
+  }
+  if (!(await isEmailVerified(req))) {
+    return res.send(generateEnhancedHTML("Email Not Verified", verifyEmailRequiredContent("post jobs"), req.session.user))
+  }
+  // Start from the employer's own company; they can still post on behalf of another one
+  const companyName = req.session.user.company_name
+  sendView(res, "post-job.html", (html) =>
+    companyName ? html.replace('name="company"', `name="company" value="${escapeHtml(companyName)}"`) : html,
+  )
+})
+
+app.post("/post-job", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "employer") {
+    return res.redirect("/login")
+  }
+  if (!(await isEmailVerified(req))) {
+    return res.send(generateEnhancedHTML("Email Not Verified", verifyEmailRequiredContent("post jobs"), req.session.user))
+  }
+
+  try {
+    const posted_by = req.session.user._id
+
+    const newJob = new Job({ ...parseJobFields(req.body), ...parseJobSchedule(req.body), posted_by })
+    await newJob.save()
+    const { title, company, location } = newJob
+
+    let outcome
+    if (newJob.status === "published") {
+      outcome = `has been published successfully and is now live for job seekers to discover until ${newJob.expires_at.toLocaleDateString()}.`
+    } else if (newJob.publish_at) {
+      outcome = `is scheduled to go live on ${newJob.publish_at.toLocaleString()}.`
+    } else {
+      outcome = `has been saved as a draft. Publish it from My Job Posts when you're ready.`
+    }
+
+    const content = `
+        <div class="text-center">
+        <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
+        <h2 class="fw-bold text-success mb-3">${newJob.status === "published" ? "Job Posted Successfully!" : "Job Saved!"}</h2>
+        <div class="alert alert-success-custom">
+          <i class="fas fa-rocket me-2"></i>
+          <strong>Congratulations!</strong><br>
+          Your job posting "<strong>${escapeHtml(title)}</strong>" at <strong>${escapeHtml(company)}</strong> ${outcome}
+        </div>
+        <div class="card-custom mt-4">
+          <div class="card-body-custom">
+            <h5 class="fw-bold mb-3">
+              <i class="fas fa-briefcase me-2 text-primary"></i>Job Details
+            </h5>
+            <div class="row">
+              <div class="col-md-6">
+                <p><strong>Title:</strong> ${escapeHtml(title)}</p>
+                <p><strong>Company:</strong> ${escapeHtml(company)}</p>
+                <p><strong>Employment Type:</strong> ${EMPLOYMENT_TYPES[newJob.employment_type]}</p>
+                <p><strong>Seniority:</strong> ${SENIORITY_LEVELS[newJob.seniority] || "Not specified"}</p>
+              </div>
+              <div class="col-md-6">
+                <p><strong>Location:</strong> ${escapeHtml(location || "Not specified")}</p>
+                <p><strong>Work Mode:</strong> ${REMOTE_POLICIES[newJob.remote_policy] || "Not specified"}</p>
+                <p><strong>Salary:</strong> ${formatSalary(newJob) || "Not specified"}</p>
+                <p><strong>Status:</strong> ${jobStatusBadge(newJob)}</p>
+              </div>
+              ${
+                newJob.skills.length
+                  ? `
+                <div class="col-12">
+                  <strong>Skills:</strong>
+                  ${newJob.skills.map((skill) => `<span class="badge bg-secondary me-1">${escapeHtml(skill)}</span>`).join("")}
+                </div>
+              `
+                  : ""
+              }
+            </div>
+          </div>
+        </div>
+        <div class="d-flex justify-content-center gap-3 mt-4 flex-wrap">
+          <a href="${newJob.url_path}" class="btn btn-secondary-custom btn-custom">
+            <i class="fas fa-eye me-2"></i>View Job Page
+          </a>
+          <a href="/post-job" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-plus me-2"></i>Post Another Job
+          </a>
+          <a href="/employer/applicants" class="btn btn-success-custom btn-custom">
+            <i class="fas fa-users me-2"></i>View Applicants
+          </a>
+          <a href="/dashboard" class="btn btn-secondary-custom btn-custom">
+            <i class="fas fa-home me-2"></i>Back to Dashboard
+          </a>
+        </div>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Job Posted Successfully", content, req.session.user))
+  } catch (err) {
+    const content = `
+        <div class="text-center">
+          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+          <h2 class="fw-bold text-danger mb-3">Job Posting Failed</h2>
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-times-circle me-2"></i>
+            <strong>Error!</strong> ${
+              err.name === "ValidationError"
+                ? escapeHtml(Object.values(err.errors).map((error) => error.message).join(" "))
+                : err instanceof RangeError
+                  ? escapeHtml(err.message)
+                  : "Failed to post your job. Please check your information and try again."
+            }
+          </div>
+          <div class="d-flex justify-content-center gap-3">
+            <a href="/post-job" class="btn btn-primary-custom btn-custom">
+              <i class="fas fa-redo me-2"></i>Try Again
+            </a>
+            <a href="/dashboard" class="btn btn-secondary-custom btn-custom">
+              <i class="fas fa-arrow-left me-2"></i>Back to Dashboard
+            </a>
+          </div>
+        </div>
+      `
+    return res.send(generateEnhancedHTML("Job Posting Failed", content, req.session.user))
+  }
+})
+
+// Job Listings
+app.get("/jobs", (req, res) => {
+  sendView(res, "jobs.html")
+})
+
+// Helper function to describe how long ago something happened, e.g. "3 days ago"
+function formatTimeAgo(date) {
+  const seconds = Math.max(0, Math.floor((Date.now() - new Date(date).getTime()) / 1000))
+  const units = [
+    ["year", 365 * 24 * 60 * 60],
+    ["month", 30 * 24 * 60 * 60],
+    ["week", 7 * 24 * 60 * 60],
+    ["day", 24 * 60 * 60],
+    ["hour", 60 * 60],
+    ["minute", 60],
+  ]
+  for (const [unit, size] of units) {
+    const count = Math.floor(seconds / size)
+    if (count >= 1) return `${count} ${unit}${count !== 1 ? "s" : ""} ago`
+  }
+  return "just now"
+}
+
+// Only http(s) links from profiles are rendered as clickable
+function safeExternalUrl(url) {
+  try {
+    const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`)
+    return ["http:", "https:"].includes(parsed.protocol) ? parsed.href : null
+  } catch (err) {
+    return null
+  }
+}
+
+function jobNotFoundContent() {
+  return `
+    <div class="text-center">
+      <i class="fas fa-search fa-3x text-muted mb-3"></i>
+      <h2 class="fw-bold mb-3">Job Not Found</h2>
+      <div class="alert alert-info-custom">
+        <i class="fas fa-info-circle me-2"></i>
+        This job posting doesn't exist or is no longer available.
+      </div>
+      <a href="/jobs" class="btn btn-primary-custom btn-custom">
+        <i class="fas fa-search me-2"></i>Browse Jobs
+      </a>
+    </div>
+  `
+}
+
+// schema.org JobPosting markup so search engines can show the posting in job search results
+const SCHEMA_EMPLOYMENT_TYPES = {
+  "full-time": "FULL_TIME",
+  "part-time": "PART_TIME",
+  contract: "CONTRACTOR",
+  internship: "INTERN",
+  temporary: "TEMPORARY",
+}
+
+function jobPostingJsonLd(job, company) {
+  const data = {
+    "@context": "https://schema.org/",
+    "@type": "JobPosting",
+    title: job.title,
+    description: escapeHtml(job.description).replace(/\n/g, "<br>"),
+    identifier: { "@type": "PropertyValue", name: "JobPortal", value: String(job._id) },
+    datePosted: (job.published_at || job.createdAt).toISOString(),
+    employmentType: SCHEMA_EMPLOYMENT_TYPES[job.employment_type],
+    hiringOrganization: { "@type": "Organization", name: job.company },
+    url: APP_URL + job.url_path,
+    directApply: true,
+  }
+  if (job.expires_at) data.validThrough = job.expires_at.toISOString()
+  if (company) {
+    const website = company.website && safeExternalUrl(company.website)
+    data.hiringOrganization.url = `${APP_URL}/companies/${company.slug}`
+    if (website) data.hiringOrganization.sameAs = website
+    if (company.logo) data.hiringOrganization.logo = APP_URL + company.logo
+  }
+  if (job.location) {
+    data.jobLocation = { "@type": "Place", address: { "@type": "PostalAddress", addressLocality: job.location } }
+  }
+  if (job.remote_policy === "remote") data.jobLocationType = "TELECOMMUTE"
+  if (job.salary_min != null || job.salary_max != null) {
+    data.baseSalary = {
+      "@type": "MonetaryAmount",
+      currency: job.salary_currency,
+      value: {
+        "@type": "QuantitativeValue",
+        ...(job.salary_min != null ? { minValue: job.salary_min } : {}),
+        ...(job.salary_max != null ? { maxValue: job.salary_max } : {}),
+        unitText: job.salary_period.toUpperCase(),
+      },
+    }
+  }
+  if (job.skills && job.skills.length) data.skills = job.skills.join(", ")
+
+  // "<" is escaped so a description can't close the script element
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, "\\u003c")}</script>`
+}
+
+// Job Detail Page: /jobs/<id>-<slug>; links with a missing or outdated slug redirect to the current one
+app.get("/jobs/:idSlug", async (req, res) => {
+  const jobId = req.params.idSlug.slice(0, 24)
+  const viewer = req.session.user
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(404).send(generateEnhancedHTML("Job Not Found", jobNotFoundContent(), viewer))
+    }
+
+    const job = await Job.findOne({ _id: jobId, taken_down_at: null })
+      .populate("posted_by", "name company_name company_description website profile_picture")
+      .populate("company_id")
+    // Drafts can only be previewed by their owner
+    const isOwner = job && viewer && job.posted_by && String(job.posted_by._id) === String(viewer._id)
+    if (!job || (job.status === "draft" && !isOwner)) {
+      return res.status(404).send(generateEnhancedHTML("Job Not Found", jobNotFoundContent(), viewer))
+    }
+    if (req.path !== job.url_path) {
+      return res.redirect(301, job.url_path)
+    }
+
+    const application =
+      viewer && viewer.type === "user" ? await Application.findOne({ user_id: viewer._id, job_id: job._id }) : null
+    const saved = viewer && viewer.type === "user" ? await SavedJob.exists({ user_id: viewer._id, job_id: job._id }) : null
+    const employer = job.posted_by || {}
+    // Postings for the employer's own company show its company page; others fall back to the profile
+    const company = job.company_id
+    const about = company
+      ? { name: company.name, description: company.description, website: company.website }
+      : { name: employer.company_name || job.company, description: employer.company_description, website: employer.website }
+    const website = about.website ? safeExternalUrl(about.website) : null
+    const salary = formatSalary(job)
+
+    let applyPanel
+    if (job.status === "draft") {
+      applyPanel = `
+        <div class="alert alert-info-custom mb-0">
+          <i class="fas fa-eye me-2"></i>
+          Preview: this job isn't published yet${job.publish_at ? ` and goes live ${job.publish_at.toLocaleString()}` : ""}.
+        </div>
+      `
+    } else if ((job.closed_at || isJobExpired(job)) && !application) {
+      applyPanel = `
+        <div class="alert alert-info-custom mb-0">
+          <i class="fas fa-lock me-2"></i>
+          This job ${job.closed_at ? `was closed ${formatTimeAgo(job.closed_at)}` : `expired ${formatTimeAgo(job.expires_at)}`} and is no longer accepting applications.
+        </div>
+      `
+    } else if (application) {
+      const reapply = reapplyAction(job, application)
+      applyPanel = `
+        <div class="alert alert-success-custom mb-3">
+          <i class="fas fa-check-circle me-2"></i>
+          You applied ${formatTimeAgo(application.reapplied_at || application.createdAt)}. Status: ${applicationStatusBadge(application.status)}
+        </div>
+        ${reapply ? `<div class="mb-2">${reapply}</div>` : ""}
+        <a href="/my-applications" class="btn btn-secondary-custom btn-custom w-100">
+          <i class="fas fa-file-alt me-2"></i>View My Applications
+        </a>
+      `
+    } else if (viewer && viewer.type === "user") {
+      applyPanel = `
+        <a href="/apply/${job._id}" class="btn btn-success-custom btn-custom w-100">
+          <i class="fas fa-paper-plane me-2"></i>Apply Now
+        </a>
+      `
+    } else if (viewer) {
+      applyPanel = `
+        <p class="text-muted mb-0">
+          <i class="fas fa-info-circle me-1"></i>Only job seeker accounts can apply.
+        </p>
+      `
+    } else {
+      applyPanel = `
+        <a href="/login" class="btn btn-outline-primary btn-custom w-100 mb-2">
+          <i class="fas fa-sign-in-alt me-2"></i>Login to Apply
+        </a>
+        <a href="/register" class="btn btn-secondary-custom btn-custom w-100">
+          <i class="fas fa-user-plus me-2"></i>Create an Account
+        </a>
+      `
+    }
+
+    const isLive = job.status !== "draft" && !job.closed_at && !isJobExpired(job)
+    const similarJobs =
+      job.status === "draft"
+        ? []
+        : await findSimilarJobs(job).catch((err) => {
+            console.error("Failed to load similar jobs:", err)
+            return []
+          })
+
+    const content = `
+      ${isLive ? jobPostingJsonLd(job, company) : ""}
+      <div class="mb-3">
+        <a href="/jobs" class="text-decoration-none">
+          <i class="fas fa-arrow-left me-1"></i>Back to all jobs
+        </a>
+      </div>
+
+      <div class="row g-4">
+        <div class="col-lg-8">
+          <div class="card-custom">
+            <div class="card-body-custom">
+              <h1 class="fw-bold h2 mb-2">${escapeHtml(job.title)}</h1>
+              <div class="job-company mb-1">
+                <i class="fas fa-building me-2"></i>${
+                  company
+                    ? `<a href="/companies/${company.slug}" class="text-decoration-none">${escapeHtml(job.company)}</a>`
+                    : escapeHtml(job.company)
+                }
+              </div>
+              ${
+                job.location
+                  ? `
+                <div class="job-location mb-1">
+                  <i class="fas fa-map-marker-alt me-2"></i>${escapeHtml(job.location)}
+                </div>
+              `
+                  : ""
+              }
+              ${
+                salary
+                  ? `
+                <div class="job-location mb-1">
+                  <i class="fas fa-money-bill-wave me-2"></i>${escapeHtml(salary)}
+                </div>
+              `
+                  : ""
+              }
+              <small class="text-muted">
+                <i class="fas fa-calendar me-1"></i>Posted ${formatTimeAgo(job.published_at || job.createdAt)}
+              </small>
+
+              <div class="d-flex gap-2 flex-wrap my-3">
+                <span class="badge bg-primary">
+                  <i class="fas fa-briefcase me-1"></i>${EMPLOYMENT_TYPES[job.employment_type]}
+                </span>
+                ${
+                  REMOTE_POLICIES[job.remote_policy]
+                    ? `<span class="badge bg-success"><i class="fas fa-laptop-house me-1"></i>${REMOTE_POLICIES[job.remote_policy]}</span>`
+                    : ""
+                }
+                ${
+                  SENIORITY_LEVELS[job.seniority]
+                    ? `<span class="badge bg-info"><i class="fas fa-layer-group me-1"></i>${SENIORITY_LEVELS[job.seniority]}</span>`
+                    : ""
+                }
+              </div>
+
+              <h5 class="fw-bold mt-4">
+                <i class="fas fa-file-alt me-2 text-primary"></i>Job Description
+              </h5>
+              <div class="job-description" style="white-space: pre-line;">${escapeHtml(job.description)}</div>
+
+              ${
+                job.skills.length
+                  ? `
+                <h5 class="fw-bold mt-4">
+                  <i class="fas fa-tools me-2 text-primary"></i>Required Skills
+                </h5>
+                <div class="d-flex gap-2 flex-wrap">
+                  ${job.skills.map((skill) => `<span class="badge bg-light text-dark border">${escapeHtml(skill)}</span>`).join("")}
+                </div>
+              `
+                  : ""
+              }
+            </div>
+          </div>
+        </div>
+
+        <div class="col-lg-4">
+          <div class="card-custom mb-4">
+            <div class="card-body-custom">
+              ${applyPanel}
+              ${
+                viewer && viewer.type === "user" && job.status !== "draft"
+                  ? `
+                <form action="/saved-jobs/${job._id}${saved ? "/remove" : ""}" method="POST" class="mt-2">
+                  <input type="hidden" name="return_to" value="${job.url_path}">
+                  <button type="submit" class="btn btn-outline-primary btn-custom w-100">
+                    <i class="${saved ? "fas" : "far"} fa-bookmark me-2"></i>${saved ? "Remove from Saved Jobs" : "Save Job"}
+                  </button>
+                </form>
+              `
+                  : ""
+              }
+            </div>
+          </div>
+
+          <div class="card-custom">
+            <div class="card-header-custom">
+              <h5 class="mb-0">
+                <i class="fas fa-building me-2"></i>About ${escapeHtml(about.name)}
+              </h5>
+            </div>
+            <div class="card-body-custom">
+              ${company && company.logo ? `<img src="${escapeHtml(company.logo)}" alt="" class="company-logo mb-3">` : ""}
+              <p class="text-muted">${escapeHtml(about.description || "No company description provided.")}</p>
+              ${
+                website
+                  ? `
+                <a href="${escapeHtml(website)}" target="_blank" rel="noopener noreferrer" class="text-decoration-none d-block mb-2">
+                  <i class="fas fa-globe me-1"></i>${escapeHtml(about.website)}
+                </a>
+              `
+                  : ""
+              }
+              ${
+                company
+                  ? `
+                <a href="/companies/${company.slug}" class="btn btn-secondary-custom btn-custom btn-sm">
+                  <i class="fas fa-building me-2"></i>View Company Page
+                </a>
+              `
+                  : ""
+              }
+            </div>
+          </div>
+          ${
+            similarJobs.length
+              ? `
+          <div class="card-custom mt-4">
+            <div class="card-header-custom">
+              <h5 class="mb-0">
+                <i class="fas fa-clone me-2"></i>Similar Jobs
+              </h5>
+            </div>
+            <div class="card-body-custom">
+              ${jobSuggestionList(similarJobs.map((similar) => ({ job: similar })))}
+            </div>
+          </div>
+        `
+              : ""
+          }
+        </div>
+      </div>
+    `
+    res.send(generateEnhancedHTML(escapeHtml(job.title), content, viewer))
+  } catch (err) {
+    res.redirect("/jobs")
+  }
+})
+
+// Job Matching
+// Scores a posting against a job seeker's profile. Skills are parsed from the free-text profile
+// fields into normalized tags and compared with the job's required skills; location and
+// seniority (estimated from the experience text) count for the rest.
+const MATCH_WEIGHTS = { skills: 60, location: 25, seniority: 15 }
+// Jobs within the first distance count as local; beyond the second they score nothing for location
+const MATCH_NEARBY_KM = 30
+const MATCH_MAX_KM = 150
+const SENIORITY_ORDER = Object.keys(SENIORITY_LEVELS)
+
+// Common spellings mapped to one tag, e.g. "JS", "ES6" and "JavaScript" are all "javascript"
+const SKILL_ALIASES = {
+  js: "javascript",
+  es6: "javascript",
+  ecmascript: "javascript",
+  ts: "typescript",
+  node: "node.js",
+  nodejs: "node.js",
+  "node js": "node.js",
+  reactjs: "react",
+  "react.js": "react",
+  vuejs: "vue",
+  "vue.js": "vue",
+  angularjs: "angular",
+  "angular.js": "angular",
+  "next.js": "nextjs",
+  mongo: "mongodb",
+  postgres: "postgresql",
+  psql: "postgresql",
+  k8s: "kubernetes",
+  golang: "go",
+  py: "python",
+  python3: "python",
+  "c sharp": "c#",
+  csharp: "c#",
+  cpp: "c++",
+  "amazon web services": "aws",
+  "google cloud": "gcp",
+  "google cloud platform": "gcp",
+  ml: "machine learning",
+  "ms excel": "excel",
+  "microsoft excel": "excel",
+  html5: "html",
+  css3: "css",
+}
+
+function normalizeSkillTag(skill) {
+  const tag = String(skill)
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/\b\d+(?:\.\d+)?\s*\+?\s*(?:years?|yrs?)(?: of)?\b/g, " ")
+    .replace(/^[\s\-*•·]+|[\s.:]+$/g, "")
+    .replace(/\s+/g, " ")
+  return SKILL_ALIASES[tag] || tag
+}
+
+// Splits a skills list such as "JavaScript, React & Node; 5 yrs Python" into unique tags.
+// Long fragments are prose rather than a skill and are left out.
+function parseSkillTags(text) {
+  if (!text) return []
+  const parts = String(text).split(/[,;\n|•]+|\s+(?:and|&)\s+/i).map(normalizeSkillTag)
+  return [...new Set(parts.filter((tag) => tag && tag.length <= 40))]
+}
+
+// Whether a tag (or one of its aliases) appears as a word in free text
+function mentionsSkill(text, tag) {
+  const spellings = [tag, ...Object.keys(SKILL_ALIASES).filter((alias) => SKILL_ALIASES[alias] === tag)]
+  return spellings.some((spelling) =>
+    new RegExp(`(^|[^a-z0-9+#.])${escapeRegExp(spelling)}(?![a-z0-9+#])`).test(text),
+  )
+}
+
+// Estimates a seniority level from text like "6 years as a backend developer" or "Senior engineer at Acme"
+function estimateSeniority(experience) {
+  const text = String(experience || "").toLowerCase()
+  const years = Math.max(
+    0,
+    ...[...text.matchAll(/(\d+(?:\.\d+)?)\s*\+?\s*(?:years?|yrs?)\b/g)].map((match) => Math.min(Number(match[1]), 50)),
+  )
+  const keywords = [
+    ["executive", /\b(director|vp|vice president|chief|cto|ceo|cfo)\b/],
+    ["lead", /\b(lead|principal|staff|head of|manager)\b/],
+    ["senior", /\b(senior|sr\.?)\b/],
+    ["mid", /\b(mid[- ]level|intermediate)\b/],
+    ["entry", /\b(junior|jr\.?|graduate|entry[- ]level)\b/],
+    ["internship", /\b(intern|internship|trainee)\b/],
+  ]
+  const fromKeywords = (keywords.find(([, pattern]) => pattern.test(text)) || [])[0]
+  let fromYears = null
+  if (years >= 10) fromYears = "lead"
+  else if (years >= 6) fromYears = "senior"
+  else if (years >= 3) fromYears = "mid"
+  else if (years > 0) fromYears = "entry"
+
+  // Take the higher of the two: prose often gives a title without years, or years without a title
+  const candidates = [fromYears, fromKeywords].filter(Boolean)
+  if (!candidates.length) return { level: null, years: years || null }
+  const level = candidates.reduce((a, b) => (SENIORITY_ORDER.indexOf(a) >= SENIORITY_ORDER.indexOf(b) ? a : b))
+  return { level, years: years || null }
+}
+
+// Everything about a user the scoring needs, worked out once per user rather than once per job
+function buildMatchProfile(user) {
+  const { level, years } = estimateSeniority(user.experience)
+  return {
+    tags: new Set(parseSkillTags(user.skills)),
+    text: `${user.skills || ""}\n${user.experience || ""}`.toLowerCase(),
+    level,
+    years,
+    location: user.location,
+    point: user.location_point && user.location_point.coordinates ? user.location_point.coordinates : null,
+  }
+}
+
+// Returns { score, matched_skills, missing_skills, reasons } with a score from 0 to 100, or null
+// when the profile has no skills or experience to compare
+function scoreJobMatch(profile, job) {
+  if (!profile.tags.size && !profile.level) return null
+
+  const parts = []
+  const reasons = []
+  const matchedSkills = []
+  const missingSkills = []
+
+  const jobSkills = job.skills || []
+  if (jobSkills.length) {
+    jobSkills.forEach((skill) => {
+      const tag = normalizeSkillTag(skill)
+      if (profile.tags.has(tag) || mentionsSkill(profile.text, tag)) matchedSkills.push(skill)
+      else missingSkills.push(skill)
+    })
+    parts.push({ weight: MATCH_WEIGHTS.skills, value: matchedSkills.length / jobSkills.length })
+    reasons.push(`Has ${matchedSkills.length} of ${jobSkills.length} required skills`)
+    if (missingSkills.length) reasons.push(`Missing: ${missingSkills.join(", ")}`)
+  }
+
+  if (job.remote_policy === "remote") {
+    parts.push({ weight: MATCH_WEIGHTS.location, value: 1 })
+    reasons.push("Remote position")
+  } else if (profile.point && job.location_point && job.location_point.coordinates) {
+    const km = distanceKm(profile.point, job.location_point.coordinates)
+    const value = km <= MATCH_NEARBY_KM ? 1 : Math.max(0, 1 - (km - MATCH_NEARBY_KM) / (MATCH_MAX_KM - MATCH_NEARBY_KM))
+    parts.push({ weight: MATCH_WEIGHTS.location, value })
+    reasons.push(km <= MATCH_NEARBY_KM ? "Within commuting distance" : `${Math.round(km)} km away`)
+  } else if (profile.location && job.location) {
+    const city = (location) => location.split(",")[0].trim().toLowerCase()
+    const same = city(profile.location) === city(job.location)
+    parts.push({ weight: MATCH_WEIGHTS.location, value: same ? 1 : 0 })
+    reasons.push(same ? "Same city" : `Based in ${job.location}`)
+  }
+
+  if (job.seniority && profile.level) {
+    const gap = Math.abs(SENIORITY_ORDER.indexOf(job.seniority) - SENIORITY_ORDER.indexOf(profile.level))
+    parts.push({ weight: MATCH_WEIGHTS.seniority, value: gap === 0 ? 1 : gap === 1 ? 0.5 : 0 })
+    reasons.push(
+      gap === 0
+        ? `${SENIORITY_LEVELS[job.seniority]} role matches experience`
+        : `${SENIORITY_LEVELS[job.seniority]} role; experience suggests ${SENIORITY_LEVELS[profile.level].toLowerCase()}`,
+    )
+  }
+
+  if (!parts.length) return null
+  const total = parts.reduce((sum, part) => sum + part.weight, 0)
+  const score = Math.round((parts.reduce((sum, part) => sum + part.weight * part.value, 0) / total) * 100)
+  return { score, matched_skills: matchedSkills, missing_skills: missingSkills, reasons }
+}
+
+function matchBadgeClass(score) {
+  return score >= 75 ? "bg-success" : score >= 50 ? "bg-warning text-dark" : "bg-secondary"
+}
+
+// The fields buildMatchProfile reads, for .select() on User queries
+const MATCH_PROFILE_FIELDS = "skills experience location location_point"
+
+// Job Recommendations
+// Suggests live jobs whose text resembles the ones a job seeker applied to or saved, blended with
+// the profile match score from above. Similarity is TF-IDF cosine over titles, skills and
+// descriptions, computed in-process from an index of recent live jobs that is rebuilt every few minutes.
+const RECOMMENDATION_POOL_SIZE = 1000
+const RECOMMENDATION_INDEX_TTL = 10 * 60 * 1000
+// How much of a recommendation's score comes from similarity to past activity; the rest is the profile match
+const RECOMMENDATION_SIMILARITY_WEIGHT = 0.6
+// Only this many recent applications and saved jobs shape the suggestions
+const RECOMMENDATION_SEED_LIMIT = 20
+const SIMILAR_JOBS_LIMIT = 4
+const MIN_SIMILARITY = 0.05
+
+const TERM_STOPWORDS = new Set(
+  (
+    "a an and are as at be by for from has have in is it its of on or our that the their this to we will with you your " +
+    "job jobs role work team company looking join experience years year new who what can all about"
+  ).split(" "),
+)
+
+// Term counts for a job: skills and title words count more than words in the description
+function jobTermCounts(job) {
+  const counts = new Map()
+  const add = (term, weight) => counts.set(term, (counts.get(term) || 0) + weight)
+  const words = (text) =>
+    String(text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9+#.]+/)
+      .map((word) => word.replace(/^\.+|\.+$/g, ""))
+      .filter((word) => word.length > 1 && !TERM_STOPWORDS.has(word) && !/^\d+$/.test(word))
+  words(job.title).forEach((word) => add(word, 3))
+  for (const skill of job.skills || []) add(normalizeSkillTag(skill), 3)
+  words(job.description).forEach((word) => add(word, 1))
+  return counts
+}
+
+// Unit-length TF-IDF vector; terms the index has never seen get the rarest weight
+function tfidfVector(counts, index) {
+  const vector = new Map()
+  let norm = 0
+  counts.forEach((count, term) => {
+    const weight = (1 + Math.log(count)) * (index.idf.get(term) || index.maxIdf)
+    vector.set(term, weight)
+    norm += weight * weight
+  })
+  norm = Math.sqrt(norm) || 1
+  vector.forEach((weight, term) => vector.set(term, weight / norm))
+  return vector
+}
+
+function cosineSimilarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a]
+  let sum = 0
+  small.forEach((weight, term) => {
+    const other = large.get(term)
+    if (other) sum += weight * other
+  })
+  return sum
+}
+
+// Adds b into a, scaled by factor
+function addVector(a, b, factor = 1) {
+  b.forEach((weight, term) => a.set(term, (a.get(term) || 0) + weight * factor))
+  return a
+}
+
+let recommendationIndex = null
+let recommendationIndexBuild = null
+
+// The newest live jobs with their vectors. Concurrent callers share one build.
+async function getRecommendationIndex() {
+  if (recommendationIndex && Date.now() - recommendationIndex.builtAt < RECOMMENDATION_INDEX_TTL) {
+    return recommendationIndex
+  }
+  if (!recommendationIndexBuild) {
+    recommendationIndexBuild = (async () => {
+      const jobs = await Job.find(liveJobFilter())
+        .sort({ published_at: -1, _id: -1 })
+        .limit(RECOMMENDATION_POOL_SIZE)
+        .select("title company location location_point remote_policy seniority skills description published_at")
+      const counts = jobs.map(jobTermCounts)
+      const documentFrequency = new Map()
+      counts.forEach((termCounts) => termCounts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)))
+      const index = { builtAt: Date.now(), idf: new Map(), maxIdf: Math.log(jobs.length + 1) + 1 }
+      documentFrequency.forEach((frequency, term) => index.idf.set(term, Math.log((jobs.length + 1) / (frequency + 1)) + 1))
+      index.entries = jobs.map((job, i) => ({ job, vector: tfidfVector(counts[i], index) }))
+      return index
+    })()
+      .then((index) => (recommendationIndex = index))
+      .finally(() => (recommendationIndexBuild = null))
+  }
+  return recommendationIndexBuild
+}
+
+// The cached index can still hold jobs that were closed, taken down or expired since it was
+// built, so shortlisted items are checked against the live filter again before they are shown.
+// Callers pass a few more items than they need to make up for the ones dropped here.
+async function keepLiveItems(items, getJob = (item) => item) {
+  if (!items.length) return items
+  const ids = items.map((item) => getJob(item)._id)
+  const live = await Job.find({ _id: { $in: ids }, ...liveJobFilter() }).select("_id")
+  const liveIds = new Set(live.map((job) => String(job._id)))
+  return items.filter((item) => liveIds.has(String(getJob(item)._id)))
+}
+
+// Live jobs most like the given one, for the "Similar jobs" rail on job pages
+async function findSimilarJobs(job, limit = SIMILAR_JOBS_LIMIT) {
+  const index = await getRecommendationIndex()
+  const vector = tfidfVector(jobTermCounts(job), index)
+  const shortlist = index.entries
+    .filter((entry) => String(entry.job._id) !== String(job._id))
+    .map((entry) => ({ job: entry.job, similarity: cosineSimilarity(vector, entry.vector) }))
+    .filter((entry) => entry.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit * 2)
+    .map((entry) => entry.job)
+  return (await keepLiveItems(shortlist)).slice(0, limit)
+}
+
+// Returns up to limit { job, score, reason } suggestions for a job seeker, best first. Jobs they
+// applied to or saved are left out. Without any activity or profile skills there is nothing to go on.
+async function recommendJobs(userId, limit = 6) {
+  const [user, applications, saved] = await Promise.all([
+    User.findById(userId).select(MATCH_PROFILE_FIELDS),
+    Application.find({ user_id: userId }).sort({ createdAt: -1 }).select("job_id"),
+    SavedJob.find({ user_id: userId }).sort({ createdAt: -1 }).select("job_id"),
+  ])
+  if (!user) return []
+
+  const seenIds = new Set([...applications, ...saved].map((row) => String(row.job_id)))
+  const seedIds = [...seenIds].slice(0, RECOMMENDATION_SEED_LIMIT)
+  const [index, seedJobs] = await Promise.all([
+    getRecommendationIndex(),
+    Job.find({ _id: { $in: seedIds }, taken_down_at: null }).select("title skills description"),
+  ])
+
+  const seeds = seedJobs.map((job) => ({ job, vector: tfidfVector(jobTermCounts(job), index) }))
+  // The profile's skills act as one more seed, so new users with a filled-in profile get suggestions too
+  const profile = buildMatchProfile(user)
+  const interest = new Map()
+  seeds.forEach((seed) => addVector(interest, seed.vector))
+  if (profile.tags.size) {
+    addVector(interest, tfidfVector(jobTermCounts({ skills: [...profile.tags] }), index), Math.max(1, seeds.length / 2))
+  }
+  if (!interest.size) return []
+
+  const candidates = index.entries
+    .filter((entry) => !seenIds.has(String(entry.job._id)))
+    .map((entry) => ({ entry, similarity: cosineSimilarity(interest, entry.vector) }))
+  const maxSimilarity = Math.max(0, ...candidates.map((candidate) => candidate.similarity))
+  if (!maxSimilarity) return []
+
+  const shortlist = candidates
+    .map(({ entry, similarity }) => {
+      const match = scoreJobMatch(profile, entry.job)
+      const relative = similarity / maxSimilarity
+      const score = match
+        ? RECOMMENDATION_SIMILARITY_WEIGHT * relative + (1 - RECOMMENDATION_SIMILARITY_WEIGHT) * (match.score / 100)
+        : relative
+      return { entry, similarity, match, score }
+    })
+    .filter((candidate) => candidate.similarity >= MIN_SIMILARITY * maxSimilarity)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit * 2)
+
+  return (await keepLiveItems(shortlist, (candidate) => candidate.entry.job))
+    .slice(0, limit)
+    .map(({ entry, match, score }) => {
+      // Explain the suggestion by the past job it is closest to, or else by the profile match
+      const closest = seeds
+        .map((seed) => ({ seed, similarity: cosineSimilarity(seed.vector, entry.vector) }))
+        .sort((a, b) => b.similarity - a.similarity)[0]
+      const reason =
+        closest && closest.similarity >= MIN_SIMILARITY
+          ? `Similar to ${closest.seed.job.title}`
+          : match && match.matched_skills.length
+            ? `Matches your skills: ${match.matched_skills.slice(0, 3).join(", ")}`
+            : "Based on your profile"
+      return { job: entry.job, score: Math.round(score * 100), match, reason }
+    })
+}
+
+// Compact job list used by the dashboard recommendations and the similar jobs rail
+function jobSuggestionList(items) {
+  return `
+    <div class="list-group list-group-flush">
+      ${items
+        .map(
+          ({ job, reason, match }) => `
+        <a href="${job.url_path}" class="list-group-item list-group-item-action px-0" style="background: transparent;">
+          <div class="d-flex justify-content-between align-items-start gap-2">
+            <div>
+              <div class="fw-semibold">${escapeHtml(job.title)}</div>
+              <small class="text-muted">
+                ${escapeHtml(job.company)}${job.location ? ` · ${escapeHtml(job.location)}` : ""}${REMOTE_POLICIES[job.remote_policy] ? ` · ${REMOTE_POLICIES[job.remote_policy]}` : ""}
+              </small>
+              ${reason ? `<small class="text-muted d-block"><i class="fas fa-lightbulb me-1"></i>${escapeHtml(reason)}</small>` : ""}
+            </div>
+            ${match ? `<span class="badge ${matchBadgeClass(match.score)}">${match.score}% match</span>` : ""}
+          </div>
+        </a>
+      `,
+        )
+        .join("")}
+    </div>
+  `
+}
+
+// Job search: every filter is optional and results come back a page at a time.
+// Pages are chained with an opaque cursor taken from the previous response's next_cursor.
+const JOB_SEARCH_PAGE_SIZE = 20
+const JOB_SEARCH_MAX_PAGE_SIZE = 100
+
+// Sort orders; key lists the fields the cursor continues from (ties are broken by _id)
+const JOB_SEARCH_SORTS = {
+  newest: { sort: { published_at: -1, _id: -1 }, key: "published_at" },
+  oldest: { sort: { published_at: 1, _id: 1 }, key: "published_at" },
+  title: { sort: { title: 1, _id: 1 }, key: "title" },
+  relevance: { sort: { score: { $meta: "textScore" }, published_at: -1, _id: -1 } },
+  // Ordered by $geoNear from the search origin
+  distance: {},
+}
+const JOB_SEARCH_MAX_RADIUS_KM = 20000
+
+function queryParam(req, name) {
+  const value = req.query[name]
+  return typeof value === "string" ? value.trim() : ""
+}
+
+function parseQueryDate(value, name) {
+  if (!value) return null
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) throw new RangeError(`${name} must be a date`)
+  return date
+}
+
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString("base64url")
+}
+
+function decodeCursor(cursor) {
+  let data
+  try {
+    data = JSON.parse(Buffer.from(cursor, "base64url").toString())
+  } catch (err) {
+    throw new RangeError("cursor is invalid")
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new RangeError("cursor is invalid")
+  if (data.offset !== undefined && !(Number.isSafeInteger(data.offset) && data.offset >= 0)) {
+    throw new RangeError("cursor is invalid")
+  }
+  return data
+}
+
+// Builds the Mongo filter for the listing query parameters (without the cursor)
+function buildJobSearchFilter(req) {
+  const filter = liveJobFilter()
+
+  const keyword = queryParam(req, "q")
+  if (keyword) filter.$text = { $search: keyword }
+
+  const location = queryParam(req, "location")
+  if (location) filter.location = new RegExp(escapeRegExp(location), "i")
+
+  const company = queryParam(req, "company")
+  if (company) filter.company = new RegExp(escapeRegExp(company), "i")
+
+  const postedAfter = parseQueryDate(queryParam(req, "posted_after"), "posted_after")
+  const postedBefore = parseQueryDate(queryParam(req, "posted_before"), "posted_before")
+  if (postedAfter || postedBefore) {
+    filter.published_at = {}
+    if (postedAfter) filter.published_at.$gte = postedAfter
+    if (postedBefore) filter.published_at.$lte = postedBefore
+  }
+
+  const choices = { employment_type: EMPLOYMENT_TYPES, remote_policy: REMOTE_POLICIES, seniority: SENIORITY_LEVELS }
+  Object.entries(choices).forEach(([field, labels]) => {
+    const value = queryParam(req, field)
+    if (!value) return
+    if (!labels[value]) throw new RangeError(`${field} must be one of: ${Object.keys(labels).join(", ")}`)
+    filter[field] = value
+  })
+
+  return filter
+}
+
+// Where distances are measured from: near=<place>, lat/lng, or by default the signed-in
+// user's profile location. Returns { point, label } or null.
+async function resolveSearchOrigin(req) {
+  const near = queryParam(req, "near")
+  const lat = queryParam(req, "lat")
+  const lng = queryParam(req, "lng")
+
+  if (near) {
+    const point = await geocodePoint(near)
+    if (!point) throw new RangeError(`Couldn't find a place called "${near}"`)
+    return { point, label: near }
+  }
+  if (lat || lng) {
+    const coordinates = [Number(lng), Number(lat)]
+    if (!lat || !lng || coordinates.some(Number.isNaN) || Math.abs(coordinates[0]) > 180 || Math.abs(coordinates[1]) > 90) {
+      throw new RangeError("lat and lng must be valid coordinates")
+    }
+    return { point: { type: "Point", coordinates }, label: `${coordinates[1]}, ${coordinates[0]}` }
+  }
+
+  const viewer = req.apiUser || req.session.user
+  if (viewer) {
+    const user = await User.findById(viewer._id).select("location location_point")
+    if (user && user.location_point && user.location_point.coordinates) {
+      return {
+        point: { type: "Point", coordinates: [...user.location_point.coordinates] },
+        label: user.location,
+        from_profile: true,
+      }
+    }
+  }
+  return null
+}
+
+// Limits the filter to radius_km around the origin; returns the radius, or null when there is none
+function applyRadiusFilter(req, filter, origin) {
+  const radiusParam = queryParam(req, "radius_km")
+  const radiusKm = radiusParam ? Number(radiusParam) : null
+  if (radiusParam && !(radiusKm > 0 && radiusKm <= JOB_SEARCH_MAX_RADIUS_KM)) {
+    throw new RangeError(`radius_km must be between 0 and ${JOB_SEARCH_MAX_RADIUS_KM}`)
+  }
+  if (radiusKm && !origin) throw new RangeError("radius_km needs near, lat/lng or a profile location")
+  if (radiusKm) {
+    filter.location_point = {
+      $geoWithin: { $centerSphere: [origin.point.coordinates, radiusKm / EARTH_RADIUS_KM] },
+    }
+  }
+  return radiusKm
+}
+
+// Keyset condition for "after this document" in the given sort order
+function cursorCondition(sortOrder, cursor) {
+  const [field, direction] = Object.entries(sortOrder.sort)[0]
+  const op = direction === 1 ? "$gt" : "$lt"
+  // Only scalars reach the query, so a crafted cursor can't smuggle in operators
+  let value = null
+  if (sortOrder.key === "published_at") {
+    if (typeof cursor.value === "string") value = parseQueryDate(cursor.value, "cursor")
+  } else if (typeof cursor.value === "string" || Number.isFinite(cursor.value)) {
+    value = cursor.value
+  }
+  if (value == null) throw new RangeError("cursor is invalid")
+  if (typeof cursor.id !== "string" || !/^[0-9a-f]{24}$/i.test(cursor.id)) throw new RangeError("cursor is invalid")
+  const id = new mongoose.Types.ObjectId(cursor.id)
+  return { $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] }
+}
+
+// Runs a job search for the listing query parameters; shared by /api/jobs and the job feeds.
+// Throws a RangeError for invalid parameters.
+async function searchJobs(req, { defaultLimit = JOB_SEARCH_PAGE_SIZE, defaultSort } = {}) {
+  const filter = buildJobSearchFilter(req)
+  const origin = await resolveSearchOrigin(req)
+  const radiusKm = applyRadiusFilter(req, filter, origin)
+
+  const sortName = queryParam(req, "sort") || defaultSort || (filter.$text ? "relevance" : "newest")
+  const sortOrder = JOB_SEARCH_SORTS[sortName]
+  if (!sortOrder) throw new RangeError(`sort must be one of: ${Object.keys(JOB_SEARCH_SORTS).join(", ")}`)
+  if (sortName === "relevance" && !filter.$text) throw new RangeError("sort=relevance needs a q keyword")
+  if (sortName === "distance" && !origin) throw new RangeError("sort=distance needs near, lat/lng or a profile location")
+  if (sortName === "distance" && filter.$text) throw new RangeError("sort=distance can't be combined with q")
+
+  const limit = Math.min(Number.parseInt(queryParam(req, "limit"), 10) || defaultLimit, JOB_SEARCH_MAX_PAGE_SIZE)
+  if (limit < 1) throw new RangeError("limit must be positive")
+
+  const cursorParam = queryParam(req, "cursor")
+  const cursor = cursorParam ? decodeCursor(cursorParam) : null
+  if (cursor && cursor.sort !== sortName) throw new RangeError("cursor belongs to a different sort order")
+
+  // Relevance scores and distances can't be compared in a query, so those orders page by offset instead
+  const offset = cursor ? cursor.offset || 0 : 0
+  let query
+  if (sortOrder.key) {
+    const pageFilter = cursor ? { $and: [filter, cursorCondition(sortOrder, cursor)] } : filter
+    query = Job.find(pageFilter).sort(sortOrder.sort).limit(limit + 1)
+  } else if (sortName === "distance") {
+    // $geoNear applies the radius itself and only returns jobs that have coordinates
+    const { location_point, ...nearFilter } = filter
+    query = Job.aggregate([
+      {
+        $geoNear: {
+          near: origin.point,
+          distanceField: "distance_m",
+          spherical: true,
+          query: nearFilter,
+          ...(radiusKm ? { maxDistance: radiusKm * 1000 } : {}),
+        },
+      },
+      { $skip: offset },
+      { $limit: limit + 1 },
+    ]).then((docs) => docs.map((doc) => Job.hydrate(doc)))
+  } else {
+    query = Job.find(filter, { score: { $meta: "textScore" } })
+      .sort(sortOrder.sort)
+      .skip(offset)
+      .limit(limit + 1)
+  }
+
+  // $geoNear leaves out jobs without coordinates, so the total has to as well
+  const countFilter =
+    sortName === "distance" && !filter.location_point ? { ...filter, location_point: { $exists: true } } : filter
+  const [jobs, total] = await Promise.all([query, Job.countDocuments(countFilter)])
+  const hasMore = jobs.length > limit
+  const page = jobs.slice(0, limit)
+
+  let nextCursor = null
+  if (hasMore) {
+    const last = page[page.length - 1]
+    nextCursor = sortOrder.key
+      ? encodeCursor({ sort: sortName, value: last[sortOrder.key], id: last._id })
+      : encodeCursor({ sort: sortName, offset: offset + page.length })
+  }
+
+  return { jobs: page, total, nextCursor, origin }
+}
+
+app.get("/api/jobs", async (req, res) => {
+  try {
+    const { jobs, total, nextCursor, origin } = await searchJobs(req)
+
+    // Job seekers see which results they've bookmarked and how well each fits their profile
+    const viewer = req.apiUser || req.session.user
+    const isSeeker = viewer && viewer.type === "user"
+    const savedIds = isSeeker
+      ? new Set(
+          (await SavedJob.find({ user_id: viewer._id, job_id: { $in: jobs.map((job) => job._id) } }).select("job_id")).map(
+            (saved) => String(saved.job_id),
+          ),
+        )
+      : null
+    const seeker = isSeeker ? await User.findById(viewer._id).select(MATCH_PROFILE_FIELDS) : null
+    const matchProfile = seeker ? buildMatchProfile(seeker) : null
+
+    res.json({
+      jobs: jobs.map((job) => {
+        const json = job.toJSON()
+        if (origin && job.location_point && job.location_point.coordinates) {
+          json.distance_km = Math.round(distanceKm(origin.point.coordinates, job.location_point.coordinates) * 10) / 10
+        }
+        if (savedIds) json.saved = savedIds.has(String(job._id))
+        if (matchProfile) json.match = scoreJobMatch(matchProfile, job)
+        return json
+      }),
+      total,
+      next_cursor: nextCursor,
+      origin: origin ? { label: origin.label, from_profile: Boolean(origin.from_profile) } : null,
+    })
+  } catch (err) {
+    if (err instanceof RangeError || err.name === "CastError" || err.name === "BSONError") {
+      return res.status(400).json({ error: err.message })
+    }
+    res.status(500).json({ error: "Failed to fetch jobs" })
+  }
+})
+
+// Job Feeds
+// RSS 2.0, Atom and JSON Feed versions of the job search for aggregators and feed readers.
+// They take the same query parameters as /api/jobs and list the newest postings first.
+const JOB_FEED_SIZE = 50
+
+// Feed links are absolute; the next page keeps the filters and swaps in the new cursor
+function jobFeedUrl(req, format, cursor) {
+  const params = new URLSearchParams(req.query)
+  params.delete("cursor")
+  if (cursor) params.set("cursor", cursor)
+  const query = params.toString()
+  return `${APP_URL}/feeds/jobs.${format}${query ? `?${query}` : ""}`
+}
+
+function jobFeedTitle(req) {
+  const keyword = queryParam(req, "q")
+  return keyword ? `JobPortal jobs matching "${keyword}"` : "JobPortal jobs"
+}
+
+// Location, job type and salary on one line, e.g. "Berlin · Full-time · Hybrid · €60,000 – €75,000 / year"
+function jobFeedSummary(job) {
+  return [job.location, EMPLOYMENT_TYPES[job.employment_type], REMOTE_POLICIES[job.remote_policy], formatSalary(job)]
+    .filter(Boolean)
+    .join(" · ")
+}
+
+function jobFeedCategories(job) {
+  return [EMPLOYMENT_TYPES[job.employment_type], REMOTE_POLICIES[job.remote_policy], SENIORITY_LEVELS[job.seniority], ...(job.skills || [])].filter(Boolean)
+}
+
+function renderRssFeed(req, jobs, nextCursor) {
+  const items = jobs.map((job) => {
+    const url = APP_URL + job.url_path
+    return `
+    <item>
+      <title>${escapeHtml(`${job.title} at ${job.company}`)}</title>
+      <link>${escapeHtml(url)}</link>
+      <guid isPermaLink="true">${escapeHtml(url)}</guid>
+      <pubDate>${(job.published_at || job.createdAt).toUTCString()}</pubDate>
+      <description>${escapeHtml(`${jobFeedSummary(job)}\n\n${job.description}`)}</description>
+      ${jobFeedCategories(job).map((category) => `<category>${escapeHtml(category)}</category>`).join("\n      ")}
+    </item>`
+  })
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(jobFeedTitle(req))}</title>
+    <link>${APP_URL}/jobs</link>
+    <description>The latest job postings on JobPortal</description>
+    <language>en</language>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeHtml(jobFeedUrl(req, "rss"))}" rel="self" type="application/rss+xml"/>
+    ${nextCursor ? `<atom:link href="${escapeHtml(jobFeedUrl(req, "rss", nextCursor))}" rel="next" type="application/rss+xml"/>` : ""}${items.join("")}
+  </channel>
+</rss>
+`
+}
+
+function renderAtomFeed(req, jobs, nextCursor) {
+  const updated = jobs.reduce((latest, job) => (job.updatedAt > latest ? job.updatedAt : latest), new Date(0))
+  const entries = jobs.map((job) => {
+    const url = APP_URL + job.url_path
+    return `
+  <entry>
+    <id>${escapeHtml(url)}</id>
+    <title>${escapeHtml(`${job.title} at ${job.company}`)}</title>
+    <link rel="alternate" type="text/html" href="${escapeHtml(url)}"/>
+    <published>${(job.published_at || job.createdAt).toISOString()}</published>
+    <updated>${job.updatedAt.toISOString()}</updated>
+    <author><name>${escapeHtml(job.company)}</name></author>
+    <summary type="text">${escapeHtml(jobFeedSummary(job))}</summary>
+    <content type="text">${escapeHtml(job.description)}</content>
+    ${jobFeedCategories(job).map((category) => `<category term="${escapeHtml(category)}"/>`).join("\n    ")}
+  </entry>`
+  })
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeHtml(jobFeedUrl(req, "atom"))}</id>
+  <title>${escapeHtml(jobFeedTitle(req))}</title>
+  <updated>${(jobs.length ? updated : new Date()).toISOString()}</updated>
+  <author><name>JobPortal</name></author>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(jobFeedUrl(req, "atom"))}"/>
+  <link rel="alternate" type="text/html" href="${APP_URL}/jobs"/>
+  ${nextCursor ? `<link rel="next" type="application/atom+xml" href="${escapeHtml(jobFeedUrl(req, "atom", nextCursor))}"/>` : ""}${entries.join("")}
+</feed>
+`
+}
+
+// JSON Feed 1.1; the structured job fields go in a _job extension object
+function renderJsonFeed(req, jobs, nextCursor) {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: jobFeedTitle(req),
+    home_page_url: `${APP_URL}/jobs`,
+    feed_url: jobFeedUrl(req, "json"),
+    language: "en",
+    items: jobs.map((job) => ({
+      id: APP_URL + job.url_path,
+      url: APP_URL + job.url_path,
+      title: `${job.title} at ${job.company}`,
+      summary: jobFeedSummary(job),
+      content_text: job.description,
+      date_published: (job.published_at || job.createdAt).toISOString(),
+      date_modified: job.updatedAt.toISOString(),
+      authors: [{ name: job.company }],
+      tags: jobFeedCategories(job),
+      _job: {
+        title: job.title,
+        company: job.company,
+        location: job.location || null,
+        employment_type: job.employment_type,
+        remote_policy: job.remote_policy || null,
+        seniority: job.seniority || null,
+        salary_min: job.salary_min ?? null,
+        salary_max: job.salary_max ?? null,
+        salary_currency: job.salary_currency || null,
+        salary_period: job.salary_period || null,
+        skills: job.skills || [],
+        expires_at: job.expires_at || null,
+      },
+    })),
+  }
+  if (nextCursor) feed.next_url = jobFeedUrl(req, "json", nextCursor)
+  return JSON.stringify(feed, null, 2)
+}
+
+async function sendJobFeed(req, res, contentType, render) {
+  try {
+    const { jobs, nextCursor } = await searchJobs(req, { defaultLimit: JOB_FEED_SIZE, defaultSort: "newest" })
+    res.type(contentType).send(render(req, jobs, nextCursor))
+  } catch (err) {
+    if (err instanceof RangeError || err.name === "CastError" || err.name === "BSONError") {
+      return res.status(400).type("text/plain").send(err.message)
+    }
+    res.status(500).type("text/plain").send("Failed to build the job feed")
+  }
+}
+
+app.get("/feeds/jobs.rss", (req, res) => sendJobFeed(req, res, "application/rss+xml; charset=utf-8", renderRssFeed))
+app.get("/feeds/jobs.atom", (req, res) => sendJobFeed(req, res, "application/atom+xml; charset=utf-8", renderAtomFeed))
+app.get("/feeds/jobs.json", (req, res) => sendJobFeed(req, res, "application/feed+json; charset=utf-8", renderJsonFeed))
+
+// Sitemap of the public pages, company pages and every open job for search engines
+const SITEMAP_MAX_URLS = 50000
+
+app.get("/sitemap.xml", async (req, res) => {
+  try {
+    const [companies, jobs] = await Promise.all([
+      Company.find().select("slug updatedAt").sort({ name: 1 }),
+      Job.find(liveJobFilter()).select("title updatedAt").sort({ published_at: -1 }).limit(SITEMAP_MAX_URLS),
+    ])
+    const entries = [
+      ...["/", "/jobs", "/companies", "/about", "/contact"].map((pathname) => ({ loc: pathname })),
+      ...companies.map((company) => ({ loc: `/companies/${company.slug}`, lastmod: company.updatedAt })),
+      ...jobs.map((job) => ({ loc: job.url_path, lastmod: job.updatedAt })),
+    ].slice(0, SITEMAP_MAX_URLS)
+
+    res.type("application/xml").send(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries
+  .map(
+    (entry) =>
+      `  <url><loc>${escapeHtml(APP_URL + entry.loc)}</loc>${entry.lastmod ? `<lastmod>${entry.lastmod.toISOString()}</lastmod>` : ""}</url>`,
+  )
+  .join("\n")}
+</urlset>
+`)
+  } catch (err) {
+    res.status(500).type("text/plain").send("Failed to build the sitemap")
+  }
+})
+
+app.get("/robots.txt", (req, res) => {
+  res.type("text/plain").send(`User-agent: *\nAllow: /\n\nSitemap: ${APP_URL}/sitemap.xml\n`)
+})
+
+// Employer API: manage postings and read applicants with a token or a signed-in session
+function requireApiEmployer(req, res, next) {
+  if (req.apiUser.type !== "employer") {
+    return res.status(403).json({ error: "Only employer accounts can use this endpoint" })
+  }
+  next()
+}
+
+app.get("/api/employer/jobs", requireApiScope("jobs:read"), requireApiEmployer, async (req, res) => {
+  try {
+    const jobs = await Job.find({ posted_by: req.apiUser._id }).sort({ createdAt: -1 })
+    res.json(jobs)
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch jobs" })
+  }
+})
+
+app.post("/api/jobs", requireApiScope("jobs:write"), requireApiEmployer, async (req, res) => {
+  if (req.apiUser.email_verified === false) {
+    return res.status(403).json({ error: "Verify your email address before posting jobs" })
+  }
+
+  try {
+    const job = await Job.create({ ...parseJobFields(req.body || {}), posted_by: req.apiUser._id })
+    res.status(201).json(job)
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message })
+    }
+    res.status(500).json({ error: "Failed to create job" })
+  }
+})
+
+app.patch("/api/jobs/:id", requireApiScope("jobs:write"), requireApiEmployer, async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, posted_by: req.apiUser._id })
+    if (!job) return res.status(404).json({ error: "Job not found" })
+    if (job.taken_down_at) {
+      return res.status(409).json({ error: "This job was taken down by a moderator and can't be changed" })
+    }
+
+    job.set(parseJobFields(req.body || {}))
+    await job.save()
+    res.json(job)
+  } catch (err) {
+    if (err.name === "ValidationError" || err.name === "CastError") {
+      return res.status(400).json({ error: err.message })
+    }
+    res.status(500).json({ error: "Failed to update job" })
+  }
+})
+
+// Application with user_id and job_id populated, as returned by the applicants API
+function applicantJson(application) {
+  return {
+    id: application._id,
+    job_id: application.job_id ? application.job_id._id : null,
+    job_title: application.job_id ? application.job_id.title : null,
+    applicant: application.user_id ? { name: application.user_id.name, email: application.user_id.email } : null,
+    resume_url: `${APP_URL}${application.resume_url}`,
+    status: application.status,
+    next_statuses: APPLICATION_PIPELINE[application.status] || [],
+    status_history: application.status_history.map((step) => ({ status: step.status, changed_at: step.changed_at })),
+    withdrawal_reason: application.withdrawal_reason || null,
+    applied_at: application.createdAt,
+    reapplied_at: application.reapplied_at || null,
+  }
+}
+
+app.get("/api/employer/applicants", requireApiScope("applicants:read"), requireApiEmployer, async (req, res) => {
+  try {
+    const jobs = await Job.find({ posted_by: req.apiUser._id }).select("_id title")
+    const applications = await Application.find({ job_id: { $in: jobs.map((job) => job._id) } })
+      .populate("user_id", "name email")
+      .populate("job_id", "title")
+      .sort({ createdAt: -1 })
+
+    res.json(applications.map(applicantJson))
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch applicants" })
+  }
+})
+
+// Moves an application along the pipeline: { "status": "Reviewed" }
+app.patch("/api/employer/applicants/:id", requireApiScope("applicants:write"), requireApiEmployer, async (req, res) => {
+  try {
+    const application = await findEmployerApplication(req.params.id, req.apiUser._id)
+    if (!application) return res.status(404).json({ error: "Application not found" })
+
+    const updated = await transitionApplication(application, String((req.body && req.body.status) || ""), req.apiUser)
+    await updated.populate([
+      { path: "user_id", select: "name email" },
+      { path: "job_id", select: "title" },
+    ])
+    res.json(applicantJson(updated))
+  } catch (err) {
+    if (err instanceof RangeError) {
+      return res.status(409).json({ error: err.message })
+    }
+    res.status(500).json({ error: "Failed to update application" })
+  }
+})
+
+// Apply Page
+function jobUnavailableContent() {
+  return `
+    <div class="text-center">
+      <i class="fas fa-eye-slash fa-3x text-warning mb-3"></i>
+      <h2 class="fw-bold text-warning mb-3">Job No Longer Available</h2>
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        This job posting has been closed or removed and is no longer accepting applications.
+      </div>
+      <a href="/jobs" class="btn btn-primary-custom btn-custom">
+        <i class="fas fa-search me-2"></i>Browse Other Jobs
+      </a>
+    </div>
+  `
+}
+
+// Whether a job seeker who already applied to this job may apply again under the job's reapply
+// policy. Returns { allowed: true } or { allowed: false, reason } where reason is "active" (the
+// application is still open or was successful), "policy" or "waiting" (with available_at).
+function reapplyEligibility(job, application) {
+  if (!["Withdrawn", "Rejected"].includes(application.status)) return { allowed: false, reason: "active" }
+  const policy = job.reapply_policy || "withdrawn"
+  if (policy === "none" || (policy === "withdrawn" && application.status === "Rejected")) {
+    return { allowed: false, reason: "policy" }
+  }
+  const history = application.status_history || []
+  const endedAt = history.length ? history[history.length - 1].changed_at : application.updatedAt
+  const availableAt = new Date(new Date(endedAt).getTime() + (job.reapply_after_days || 0) * 24 * 60 * 60 * 1000)
+  if (availableAt > new Date()) return { allowed: false, reason: "waiting", available_at: availableAt }
+  return { allowed: true }
+}
+
+// Shown instead of the application form when the job seeker can't apply (again)
+function alreadyAppliedContent(application, eligibility) {
+  const reason = eligibility ? eligibility.reason : "active"
+  const message = {
+    active: application
+      ? `You applied ${formatTimeAgo(application.reapplied_at || application.createdAt)} and your application is ${applicationStatusBadge(application.status)}.`
+      : "You have already applied for this position.",
+    policy: `Your application was ${application && application.status === "Rejected" ? "not successful" : "withdrawn"}, and the employer doesn't accept new applications from candidates who ${application && application.status === "Rejected" ? "were rejected" : "withdrew"}.`,
+    waiting: `You can apply for this position again from ${eligibility && eligibility.available_at ? eligibility.available_at.toLocaleDateString() : ""}.`,
+  }[reason]
+  return `
+    <div class="text-center">
+      <i class="fas fa-clipboard-check fa-3x text-primary mb-3"></i>
+      <h2 class="fw-bold mb-3">${{ active: "Already Applied", policy: "You Can't Reapply", waiting: "You Can't Reapply Yet" }[reason]}</h2>
+      <div class="alert alert-info-custom">
+        <i class="fas fa-info-circle me-2"></i>${message}
+      </div>
+      <div class="d-flex justify-content-center gap-3">
+        <a href="/my-applications" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-file-alt me-2"></i>View My Applications
+        </a>
+        <a href="/jobs" class="btn btn-secondary-custom btn-custom">
+          <i class="fas fa-search me-2"></i>Browse Other Jobs
+        </a>
+      </div>
+    </div>
+  `
+}
+
+app.get("/apply/:jobId", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "user") {
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-user-lock fa-3x text-warning mb-3"></i>
+        <h2 class="fw-bold text-warning mb-3">Access Restricted</h2>
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-exclamation-triangle me-2"></i>
+          <strong>Job Seekers Only!</strong><br>
+          Only registered job seekers can apply for positions. Please sign in with a job seeker account.
+        </div>
+        <div class="d-flex justify-content-center gap-3">
+          <a href="/login" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-sign-in-alt me-2"></i>Sign In
+          </a>
+          <a href="/register" class="btn btn-success-custom btn-custom">
+            <i class="fas fa-user-plus me-2"></i>Create Job Seeker Account
+          </a>
+        </div>
+      </div>
+    `
+    return res.send(generateEnhancedHTML("Access Restricted", content))
+  }
+  if (!(await isEmailVerified(req))) {
+    return res.send(generateEnhancedHTML("Email Not Verified", verifyEmailRequiredContent("apply for jobs"), req.session.user))
+  }
+
+  const job = await Job.findOne({ _id: req.params.jobId, ...liveJobFilter() }).catch(() => null)
+  if (!job) {
+    return res.send(generateEnhancedHTML("Job No Longer Available", jobUnavailableContent(), req.session.user))
+  }
+  const existing = await Application.findOne({ user_id: req.session.user._id, job_id: job._id }).catch(() => null)
+  const eligibility = existing ? reapplyEligibility(job, existing) : null
+  if (eligibility && !eligibility.allowed) {
+    return res.send(generateEnhancedHTML("Already Applied", alreadyAppliedContent(existing, eligibility), req.session.user))
+  }
+  sendView(res, "apply.html")
+})
+
+// Submit Application with File Upload
+app.post("/apply/:jobId", upload.single("resume"), verifyCsrf, async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "user") {
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-ban fa-3x text-danger mb-3"></i>
+        <h2 class="fw-bold text-danger mb-3">Access Denied</h2>
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-exclamation-triangle me-2"></i>
+          <strong>Unauthorized!</strong> Only job seekers can submit applications.
+        </div>
+        <a href="/login" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-sign-in-alt me-2"></i>Sign In
+        </a>
+      </div>
+    `
+    return res.send(generateEnhancedHTML("Access Denied", content))
+  }
+  if (!(await isEmailVerified(req))) {
+    return res.send(generateEnhancedHTML("Email Not Verified", verifyEmailRequiredContent("apply for jobs"), req.session.user))
+  }
+
+  try {
+    const jobId = req.params.jobId
+    const userId = req.session.user._id
+
+    const job = await Job.findOne({ _id: jobId, ...liveJobFilter() })
+    if (!job) {
+      return res.send(generateEnhancedHTML("Job No Longer Available", jobUnavailableContent(), req.session.user))
+    }
+
+    const resume_url = "/uploads/resumes/" + req.file.filename
+
+    const existing = await Application.findOne({ user_id: userId, job_id: job._id })
+    if (existing) {
+      const eligibility = reapplyEligibility(job, existing)
+      // Reapplying reopens the earlier application with the new resume, keeping its history
+      const reopened =
+        eligibility.allowed &&
+        (await Application.findOneAndUpdate(
+          { _id: existing._id, status: existing.status },
+          {
+            status: "Pending",
+            resume_url,
+            reapplied_at: new Date(),
+            $unset: { withdrawal_reason: 1 },
+            $push: { status_history: { status: "Pending", changed_by: userId, changed_at: new Date() } },
+          },
+        ))
+      if (!reopened) {
+        await removeUpload(resume_url)
+        return res.send(generateEnhancedHTML("Already Applied", alreadyAppliedContent(existing, eligibility), req.session.user))
+      }
+      await removeUpload(existing.resume_url)
+    } else {
+      const newApplication = new Application({ user_id: userId, job_id: jobId, resume_url })
+      await newApplication.save()
+    }
+
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-paper-plane fa-3x text-success mb-3"></i>
+        <h2 class="fw-bold text-success mb-3">Application Submitted!</h2>
+        <div class="alert alert-success-custom">
+          <i class="fas fa-check-circle me-2"></i>
+          <strong>Success!</strong> Your application has been submitted successfully. The employer will review your resume and contact you if you're a good fit.
+        </div>
+        <div class="card-custom mt-4">
+          <div class="card-body-custom">
+            <h5 class="fw-bold mb-3">
+              <i class="fas fa-info-circle me-2 text-info"></i>What's Next?
+            </h5>
+            <ul class="text-start">
+              <li>Your resume has been sent to the employer</li>
+              <li>You'll receive updates on your application status</li>
+              <li>Keep applying to increase your chances</li>
+              <li>Update your resume regularly for better results</li>
+            </ul>
+          </div>
+        </div>
+        <div class="d-flex justify-content-center gap-3 mt-4">
+          <a href="/jobs" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-search me-2"></i>Find More Jobs
+          </a>
+          <a href="/my-applications" class="btn btn-success-custom btn-custom">
+            <i class="fas fa-file-alt me-2"></i>Track Applications
+          </a>
+          <a href="/dashboard" class="btn btn-secondary-custom btn-custom">
+            <i class="fas fa-home me-2"></i>Dashboard
+          </a>
+        </div>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Application Submitted", content, req.session.user))
+  } catch (err) {
+    if (err.code === 11000) {
+      // Another submission for the same job got there first
+      if (req.file) await removeUpload(`/uploads/resumes/${req.file.filename}`)
+      return res.send(generateEnhancedHTML("Already Applied", alreadyAppliedContent(null), req.session.user))
+    }
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+        <h2 class="fw-bold text-danger mb-3">Application Error</h2>
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-times-circle me-2"></i>
+          <strong>Error!</strong> An unexpected error occurred. Please try again.
+        </div>
+      </div>
+    `
+    return res.send(generateEnhancedHTML("Application Failed", content, req.session.user))
+  }
+})
+
+// View My Applications
+const MY_APPLICATION_MESSAGES = {
+  withdrawn: { type: "info", text: "Application withdrawn. The employer can see that you withdrew." },
+  "not-withdrawn": { type: "danger", text: "That application can no longer be withdrawn." },
+}
+
+// Applications can be withdrawn until the employer makes a final decision
+const WITHDRAWABLE_STATUSES = Object.keys(APPLICATION_PIPELINE).filter((status) => APPLICATION_PIPELINE[status].length)
+
+// "Apply Again" for withdrawn or rejected applications the job's reapply policy lets through
+function reapplyAction(job, application) {
+  if (!["Withdrawn", "Rejected"].includes(application.status)) return ""
+  if (job.taken_down_at || job.closed_at || job.status === "draft" || isJobExpired(job)) return ""
+  const eligibility = reapplyEligibility(job, application)
+  if (eligibility.reason === "waiting") {
+    return `<small class="text-muted">You can reapply from ${eligibility.available_at.toLocaleDateString()}</small>`
+  }
+  if (!eligibility.allowed) return ""
+  return `
+    <a href="/apply/${job._id}" class="btn btn-primary-custom btn-custom btn-sm">
+      <i class="fas fa-redo me-2"></i>Apply Again
+    </a>
+  `
+}
+
+app.post("/my-applications/:id/withdraw", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "user") return res.redirect("/login")
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.redirect("/my-applications")
+    const reason = String(req.body.reason || "").trim().slice(0, 500)
+    const application = await Application.findOneAndUpdate(
+      { _id: req.params.id, user_id: req.session.user._id, status: { $in: WITHDRAWABLE_STATUSES } },
+      {
+        status: "Withdrawn",
+        ...(reason ? { withdrawal_reason: reason } : {}),
+        $push: { status_history: { status: "Withdrawn", changed_by: req.session.user._id, changed_at: new Date() } },
+      },
+    )
+    res.redirect(`/my-applications?status=${application ? "withdrawn" : "not-withdrawn"}`)
+  } catch (err) {
+    res.redirect("/my-applications")
+  }
+})
+
+app.get("/my-applications", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "user") {
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-ban fa-3x text-danger mb-3"></i>
+        <h2 class="fw-bold text-danger mb-3">Access Denied</h2>
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-exclamation-triangle me-2"></i>
+          <strong>Unauthorized!</strong> Only job seekers can view applications.
+        </div>
+        <a href="/login" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-sign-in-alt me-2"></i>Sign In
+        </a>
+      </div>
+    `
+    return res.send(generateEnhancedHTML("Access Denied", content))
+  }
+
+  try {
+    const userId = req.session.user._id
+    const applications = await Application.find({ user_id: userId })
+      .populate("job_id")
+      .sort({ createdAt: -1 })
+
+    const message = MY_APPLICATION_MESSAGES[req.query.status]
+    let content = `
+      ${
+        message
+          ? `
+        <div class="alert alert-${message.type}-custom alert-dismissible fade show" role="alert">
+          <i class="fas fa-info-circle me-2"></i>${message.text}
+          <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        </div>
+      `
+          : ""
+      }
+      <div class="text-center mb-4">
+        <i class="fas fa-file-alt fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold mb-3">My Applications</h2>
+        <p class="text-muted">Track your job application progress</p>
+      </div>
+    `
+
+    if (applications.length === 0) {
+      content += `
+        <div class="text-center py-5">
+          <i class="fas fa-search fa-3x text-muted mb-3"></i>
+          <h4>No Applications Yet</h4>
+          <p class="text-muted mb-4">You haven't applied to any jobs yet. Start exploring opportunities!</p>
+          <a href="/jobs" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-search me-2"></i>Browse Jobs
+          </a>
+        </div>
+      `
+    } else {
+      content += `
+        <div class="row g-4">
+      `
+
+      applications.forEach((application, index) => {
+        const job = application.job_id
+        if (!job) return; // Skip if job has been deleted
+
+        content += `
+          <div class="col-md-6">
+            <div class="card-custom hover-lift" style="animation-delay: ${index * 0.1}s">
+              <div class="card-body-custom">
+                <div class="d-flex justify-content-between align-items-start mb-3">
+                  <h5 class="job-title mb-0">
+                    <a href="${job.url_path}" class="text-decoration-none text-reset">${escapeHtml(job.title)}</a>
+                  </h5>
+                  ${applicationStatusBadge(application.status)}
+                </div>
+                <div class="job-company mb-2">
+                  <i class="fas fa-building me-2"></i>${job.company}
+                </div>
+                ${
+                  job.location
+                    ? `
+                  <div class="job-location mb-3">
+                    <i class="fas fa-map-marker-alt me-2"></i>${job.location}
+                  </div>
+                `
+                    : ""
+                }
+                <div class="mb-3">${applicationTimeline(application)}</div>
+                ${
+                  application.withdrawal_reason
+                    ? `<p class="small text-muted mb-3"><strong>Your reason:</strong> ${escapeHtml(application.withdrawal_reason)}</p>`
+                    : ""
+                }
+                <div class="d-flex flex-wrap align-items-center gap-2">
+                  <a href="${application.resume_url}" target="_blank" class="btn btn-success-custom btn-custom btn-sm">
+                    <i class="fas fa-file-pdf me-2"></i>View Resume
+                  </a>
+                  ${reapplyAction(job, application)}
+                </div>
+                ${
+                  WITHDRAWABLE_STATUSES.includes(application.status)
+                    ? `
+                  <details class="mt-3">
+                    <summary class="small text-muted">Withdraw application</summary>
+                    <form action="/my-applications/${application._id}/withdraw" method="POST" class="mt-2"
+                          onsubmit="return confirm('Withdraw your application for this job?')">
+                      <textarea name="reason" class="form-control form-control-custom mb-2" rows="2" maxlength="500"
+                                placeholder="Reason (optional, shared with the employer)"></textarea>
+                      <button type="submit" class="btn btn-outline-danger btn-sm">
+                        <i class="fas fa-undo me-1"></i>Withdraw
+                      </button>
+                    </form>
+                  </details>
+                `
+                    : ""
+                }
+              </div>
+            </div>
+          </div>
+        `
+      })
+
+      content += `
+        </div>
+        <div class="text-center mt-4">
+          <p class="text-muted">
+            <i class="fas fa-info-circle me-1"></i>
+            Total Applications: <strong>${applications.length}</strong>
+          </p>
+        </div>
+      `
+    }
+
+    res.send(generateEnhancedHTML("My Applications", content, req.session.user))
+  } catch (err) {
+    const content = `
+        <div class="text-center">
+          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+          <h2 class="fw-bold text-danger mb-3">Error Loading Applications</h2>
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-times-circle me-2"></i>
+            <strong>Oops!</strong> Failed to retrieve your applications. Please try again later.
+          </div>
+          <a href="/dashboard" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-home me-2"></i>Back to Dashboard
+          </a>
+        </div>
+      `
+    return res.send(generateEnhancedHTML("Error", content, req.session.user))
+  }
+})
+
+// Saved Jobs
+// Job seekers bookmark postings from the listings or a job page. /saved-jobs keeps postings
+// that have since closed and marks the ones already applied to.
+function savedJobsAccessDeniedContent(action = "save jobs") {
+  return `
+    <div class="text-center">
+      <i class="fas fa-ban fa-3x text-danger mb-3"></i>
+      <h2 class="fw-bold text-danger mb-3">Access Denied</h2>
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        <strong>Unauthorized!</strong> Only job seekers can ${action}.
+      </div>
+      <a href="/login" class="btn btn-primary-custom btn-custom">
+        <i class="fas fa-sign-in-alt me-2"></i>Sign In
+      </a>
+    </div>
+  `
+}
+
+// Any posting with a public job page can be saved
+function findSaveableJob(jobId) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return Promise.resolve(null)
+  return Job.findOne({ _id: jobId, taken_down_at: null, status: { $ne: "draft" } })
+}
+
+// Whether a saved posting can still be applied to: open, closed, expired or removed by a moderator
+function savedJobState(job) {
+  if (job.taken_down_at) return "removed"
+  if (job.closed_at) return "closed"
+  if (isJobExpired(job)) return "expired"
+  return "open"
+}
+
+// Only paths on this site are followed back after saving from a page
+function localReturnPath(value, fallback) {
+  return typeof value === "string" && /^\/(?![/\\])/.test(value) ? value : fallback
+}
+
+app.get("/saved-jobs", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "user") {
+    return res.send(generateEnhancedHTML("Access Denied", savedJobsAccessDeniedContent(), req.session.user))
+  }
+
+  try {
+    const userId = req.session.user._id
+    const savedJobs = (await SavedJob.find({ user_id: userId }).populate("job_id").sort({ createdAt: -1 })).filter(
+      (saved) => saved.job_id,
+    )
+    const applications = await Application.find({
+      user_id: userId,
+      job_id: { $in: savedJobs.map((saved) => saved.job_id._id) },
+    })
+    const appliedJobs = new Map(applications.map((application) => [String(application.job_id), application]))
+
+    const stateBadges = {
+      closed: `<span class="badge bg-secondary"><i class="fas fa-lock me-1"></i>Closed</span>`,
+      expired: `<span class="badge bg-secondary"><i class="fas fa-hourglass-end me-1"></i>Expired</span>`,
+      removed: `<span class="badge bg-danger"><i class="fas fa-ban me-1"></i>No longer available</span>`,
+    }
+
+    const content = `
+      <div class="text-center mb-4">
+        <i class="fas fa-bookmark fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold mb-3">Saved Jobs</h2>
+        <p class="text-muted">Jobs you've bookmarked to come back to</p>
+      </div>
+
+      ${
+        savedJobs.length === 0
+          ? `
+        <div class="text-center py-5">
+          <i class="far fa-bookmark fa-3x text-muted mb-3"></i>
+          <h4>No Saved Jobs Yet</h4>
+          <p class="text-muted mb-4">Use the bookmark button on a job to save it here.</p>
+          <a href="/jobs" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-search me-2"></i>Browse Jobs
+          </a>
+        </div>
+      `
+          : `
+        <div class="row g-4">
+          ${savedJobs
+            .map((saved) => {
+              const job = saved.job_id
+              const state = savedJobState(job)
+              const application = appliedJobs.get(String(job._id))
+              return `
+            <div class="col-md-6">
+              <div class="card-custom h-100">
+                <div class="card-body-custom">
+                  <div class="d-flex justify-content-between align-items-start gap-2 mb-2">
+                    <h5 class="job-title mb-0">
+                      ${
+                        state === "removed"
+                          ? escapeHtml(job.title)
+                          : `<a href="${job.url_path}" class="text-decoration-none text-reset">${escapeHtml(job.title)}</a>`
+                      }
+                    </h5>
+                    <div class="d-flex gap-1 flex-wrap justify-content-end">
+                      ${stateBadges[state] || ""}
+                      ${application ? `<span class="badge bg-primary"><i class="fas fa-check me-1"></i>Applied</span>` : ""}
+                    </div>
+                  </div>
+                  <div class="job-company mb-1">
+                    <i class="fas fa-building me-2"></i>${escapeHtml(job.company)}
+                  </div>
+                  ${
+                    job.location
+                      ? `
+                    <div class="job-location mb-2">
+                      <i class="fas fa-map-marker-alt me-2"></i>${escapeHtml(job.location)}
+                    </div>
+                  `
+                      : ""
+                  }
+                  <small class="text-muted d-block mb-3">
+                    <i class="fas fa-bookmark me-1"></i>Saved ${formatTimeAgo(saved.createdAt)}
+                    ${application ? ` • Applied ${formatTimeAgo(application.createdAt)}` : ""}
+                  </small>
+                  <div class="d-flex gap-2 flex-wrap">
+                    ${
+                      application
+                        ? `
+                      <a href="/my-applications" class="btn btn-secondary-custom btn-custom btn-sm">
+                        <i class="fas fa-file-alt me-2"></i>View Application
+                      </a>
+                    `
+                        : state === "open"
+                          ? `
+                      <a href="/apply/${job._id}" class="btn btn-success-custom btn-custom btn-sm">
+                        <i class="fas fa-paper-plane me-2"></i>Apply Now
+                      </a>
+                    `
+                          : ""
+                    }
+                    <form action="/saved-jobs/${job._id}/remove" method="POST" class="d-inline">
+                      <button type="submit" class="btn btn-outline-danger btn-sm">
+                        <i class="fas fa-trash me-1"></i>Remove
+                      </button>
+                    </form>
+                  </div>
+                </div>
+              </div>
+            </div>
+          `
+            })
+            .join("")}
+        </div>
+      `
+      }
+    `
+    res.send(generateEnhancedHTML("Saved Jobs", content, req.session.user))
+  } catch (err) {
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+        <h2 class="fw-bold text-danger mb-3">Error Loading Saved Jobs</h2>
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-times-circle me-2"></i>
+          <strong>Oops!</strong> Failed to retrieve your saved jobs. Please try again later.
+        </div>
+        <a href="/dashboard" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-home me-2"></i>Back to Dashboard
+        </a>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Error", content, req.session.user))
+  }
+})
+
+app.post("/saved-jobs/:jobId", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "user") {
+    return res.send(generateEnhancedHTML("Access Denied", savedJobsAccessDeniedContent(), req.session.user))
+  }
+
+  try {
+    const job = await findSaveableJob(req.params.jobId)
+    if (job) {
+      await SavedJob.updateOne(
+        { user_id: req.session.user._id, job_id: job._id },
+        { $setOnInsert: { user_id: req.session.user._id, job_id: job._id } },
+        { upsert: true },
+      )
+    }
+    res.redirect(localReturnPath(req.body.return_to, "/saved-jobs"))
+  } catch (err) {
+    res.redirect("/saved-jobs")
+  }
+})
+
+app.post("/saved-jobs/:jobId/remove", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "user") {
+    return res.send(generateEnhancedHTML("Access Denied", savedJobsAccessDeniedContent(), req.session.user))
+  }
+
+  try {
+    if (mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      await SavedJob.deleteOne({ user_id: req.session.user._id, job_id: req.params.jobId })
+    }
+    res.redirect(localReturnPath(req.body.return_to, "/saved-jobs"))
+  } catch (err) {
+    res.redirect("/saved-jobs")
+  }
+})
+
+// Saved jobs API, used by the bookmark buttons on the job listings
+function requireApiJobSeeker(req, res, next) {
+  if (req.apiUser.type !== "user") {
+    return res.status(403).json({ error: "Only job seeker accounts can save jobs" })
+  }
+  next()
+}
+
+app.get("/api/saved-jobs", requireApiScope("saved_jobs:read"), requireApiJobSeeker, async (req, res) => {
+  try {
+    const savedJobs = (await SavedJob.find({ user_id: req.apiUser._id }).populate("job_id").sort({ createdAt: -1 })).filter(
+      (saved) => saved.job_id,
+    )
+    const applied = new Set(
+      (await Application.find({ user_id: req.apiUser._id, job_id: { $in: savedJobs.map((saved) => saved.job_id._id) } })).map(
+        (application) => String(application.job_id),
+      ),
+    )
+    res.json(
+      savedJobs.map((saved) => ({
+        job: saved.job_id.toJSON(),
+        saved_at: saved.createdAt,
+        state: savedJobState(saved.job_id),
+        applied: applied.has(String(saved.job_id._id)),
+      })),
+    )
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch saved jobs" })
+  }
+})
+
+app.put("/api/saved-jobs/:jobId", requireApiScope("saved_jobs:write"), requireApiJobSeeker, async (req, res) => {
+  try {
+    const job = await findSaveableJob(req.params.jobId)
+    if (!job) return res.status(404).json({ error: "Job not found" })
+
+    await SavedJob.updateOne(
+      { user_id: req.apiUser._id, job_id: job._id },
+      { $setOnInsert: { user_id: req.apiUser._id, job_id: job._id } },
+      { upsert: true },
+    )
+    res.json({ job_id: job._id, saved: true })
+  } catch (err) {
+    res.status(500).json({ error: "Failed to save job" })
+  }
+})
+
+app.delete("/api/saved-jobs/:jobId", requireApiScope("saved_jobs:write"), requireApiJobSeeker, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+    return res.status(404).json({ error: "Job not found" })
+  }
+
+  try {
+    await SavedJob.deleteOne({ user_id: req.apiUser._id, job_id: req.params.jobId })
+    res.json({ job_id: req.params.jobId, saved: false })
+  } catch (err) {
+    res.status(500).json({ error: "Failed to unsave job" })
+  }
+})
+
+// Saved Searches and Job Alerts
+// Job seekers save the filters from /jobs and choose how often to be emailed about new matches.
+// A background job sends each due search a digest of jobs published since its last check;
+// every job is recorded per user so it is never emailed to them twice.
+const SAVED_SEARCH_PARAMS = ["q", "location", "company", "near", "lat", "lng", "radius_km", "employment_type", "remote_policy", "seniority"]
+const SAVED_SEARCH_LIMIT = 20
+const JOB_ALERT_FREQUENCIES = {
+  immediate: { label: "Immediately", interval: 0 },
+  daily: { label: "Daily digest", interval: 24 * 60 * 60 * 1000 },
+  weekly: { label: "Weekly digest", interval: 7 * 24 * 60 * 60 * 1000 },
+  off: { label: "No emails" },
+}
+const JOB_ALERT_INTERVAL = 5 * 60 * 1000
+// Each check looks back a little past the previous one in case a job was saved while it ran;
+// the delivery log keeps those jobs from being sent twice
+const JOB_ALERT_OVERLAP = 10 * 60 * 1000
+const JOB_ALERT_MAX_JOBS = 20
+
+const SAVED_SEARCH_MESSAGES = {
+  created: { type: "success", text: "Search saved. We'll email you when new jobs match it." },
+  "created-off": { type: "success", text: "Search saved." },
+  updated: { type: "success", text: "Alert settings updated." },
+  deleted: { type: "info", text: "Saved search deleted." },
+  limit: { type: "danger", text: `You can save up to ${SAVED_SEARCH_LIMIT} searches. Delete one to add another.` },
+}
+
+// Keeps only the filters a saved search supports, e.g. no sort order or cursor
+function normalizeSavedSearchQuery(raw) {
+  const input = new URLSearchParams(typeof raw === "string" ? raw : "")
+  const params = new URLSearchParams()
+  SAVED_SEARCH_PARAMS.forEach((name) => {
+    const value = (input.get(name) || "").trim()
+    if (value) params.set(name, value)
+  })
+  return params
+}
+
+// A request-like object for the search helpers, so alerts match exactly what /jobs would show
+function savedSearchRequest(query, user) {
+  return { query: Object.fromEntries(new URLSearchParams(query)), apiUser: user, session: {} }
+}
+
+// Builds the Mongo filter for a saved search; throws a RangeError if its filters are invalid
+async function buildSavedSearchFilter(query, user) {
+  const req = savedSearchRequest(query, user)
+  const filter = buildJobSearchFilter(req)
+  applyRadiusFilter(req, filter, await resolveSearchOrigin(req))
+  return filter
+}
+
+// One line summary such as: "designer" · near Berlin (25 km) · Full-time · Remote
+function describeSavedSearch(query) {
+  const params = new URLSearchParams(query)
+  const radius = params.get("radius_km") ? ` (${params.get("radius_km")} km)` : ""
+  const parts = [
+    params.get("q") && `"${params.get("q")}"`,
+    params.get("near") && `near ${params.get("near")}${radius}`,
+    !params.get("near") && params.get("lat") && `near ${params.get("lat")}, ${params.get("lng")}${radius}`,
+    !params.get("near") && !params.get("lat") && radius && `within ${params.get("radius_km")} km of your profile location`,
+    params.get("location") && `in ${params.get("location")}`,
+    params.get("company") && `at ${params.get("company")}`,
+    EMPLOYMENT_TYPES[params.get("employment_type")],
+    REMOTE_POLICIES[params.get("remote_policy")],
+    SENIORITY_LEVELS[params.get("seniority")],
+  ].filter(Boolean)
+  return parts.length ? parts.join(" · ") : "All new jobs"
+}
+
+function findOwnSavedSearch(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return Promise.resolve(null)
+  return SavedSearch.findOne({ _id: req.params.id, user_id: req.session.user._id })
+}
+
+function frequencyOptions(selected) {
+  return Object.entries(JOB_ALERT_FREQUENCIES)
+    .map(([value, { label }]) => `<option value="${value}"${value === selected ? " selected" : ""}>${label}</option>`)
+    .join("")
+}
+
+app.get("/saved-searches", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "user") {
+    return res.send(generateEnhancedHTML("Access Denied", savedJobsAccessDeniedContent("save searches"), req.session.user))
+  }
+
+  try {
+    const searches = await SavedSearch.find({ user_id: req.session.user._id }).sort({ createdAt: -1 })
+    const message = SAVED_SEARCH_MESSAGES[req.query.status]
+    const error = req.query.error ? { type: "danger", text: escapeHtml(req.query.error) } : null
+    const alert = message || error
+
+    const content = `
+      ${
+        alert
+          ? `
+        <div class="alert alert-${alert.type}-custom alert-dismissible fade show" role="alert">
+          <i class="fas fa-info-circle me-2"></i>${alert.text}
+          <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        </div>
+      `
+          : ""
+      }
+      <div class="text-center mb-4">
+        <i class="fas fa-bell fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold mb-3">Saved Searches</h2>
+        <p class="text-muted">Rerun your searches and choose how often we email you new matches</p>
+      </div>
+
+      ${
+        searches.length === 0
+          ? `
+        <div class="text-center py-5">
+          <i class="far fa-bell fa-3x text-muted mb-3"></i>
+          <h4>No Saved Searches Yet</h4>
+          <p class="text-muted mb-4">Set up your filters on the job listings and choose <strong>Save Search</strong>.</p>
+          <a href="/jobs" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-search me-2"></i>Browse Jobs
+          </a>
+        </div>
+      `
+          : `
+        <div class="card-custom">
+          <div class="card-body-custom">
+            <div class="table-responsive">
+              <table class="table align-middle mb-0">
+                <thead>
+                  <tr>
+                    <th>Search</th>
+                    <th>Email Alerts</th>
+                    <th class="text-end">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${searches
+                    .map(
+                      (search) => `
+                    <tr>
+                      <td>
+                        <span class="fw-semibold">${escapeHtml(search.name)}</span>
+                        <small class="text-muted d-block">${escapeHtml(describeSavedSearch(search.query))}</small>
+                        ${search.last_sent_at ? `<small class="text-muted d-block">Last alert ${formatTimeAgo(search.last_sent_at)}</small>` : ""}
+                      </td>
+                      <td>
+                        <form action="/saved-searches/${search._id}" method="POST" class="d-flex gap-2">
+                          <select name="frequency" class="form-select form-select-custom form-select-sm">
+                            ${frequencyOptions(search.frequency)}
+                          </select>
+                          <button type="submit" class="btn btn-secondary-custom btn-custom btn-sm">Save</button>
+                        </form>
+                      </td>
+                      <td class="text-end">
+                        <div class="d-inline-flex gap-2">
+                          <a href="/jobs${search.query ? `?${escapeHtml(search.query)}` : ""}" class="btn btn-primary-custom btn-custom btn-sm">
+                            <i class="fas fa-search me-1"></i>Run
+                          </a>
+                          <form action="/saved-searches/${search._id}/delete" method="POST" onsubmit="return confirm('Delete this saved search?')">
+                            <button type="submit" class="btn btn-outline-danger btn-sm">
+                              <i class="fas fa-trash"></i>
+                            </button>
+                          </form>
+                        </div>
+                      </td>
+                    </tr>
+                  `,
+                    )
+                    .join("")}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      `
+      }
+    `
+    res.send(generateEnhancedHTML("Saved Searches", content, req.session.user))
+  } catch (err) {
+    res.redirect("/dashboard")
+  }
+})
+
+app.post("/saved-searches", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "user") {
+    return res.send(generateEnhancedHTML("Access Denied", savedJobsAccessDeniedContent("save searches"), req.session.user))
+  }
+
+  try {
+    const userId = req.session.user._id
+    if ((await SavedSearch.countDocuments({ user_id: userId })) >= SAVED_SEARCH_LIMIT) {
+      return res.redirect("/saved-searches?status=limit")
+    }
+
+    const query = normalizeSavedSearchQuery(req.body.query).toString()
+    await buildSavedSearchFilter(query, req.session.user)
+
+    const frequency = JOB_ALERT_FREQUENCIES[req.body.frequency] ? req.body.frequency : "daily"
+    await SavedSearch.create({
+      user_id: userId,
+      name: (req.body.name || "").trim() || describeSavedSearch(query).slice(0, 100),
+      query,
+      frequency,
+      unsubscribe_token: crypto.randomBytes(24).toString("hex"),
+    })
+    res.redirect(`/saved-searches?status=${frequency === "off" ? "created-off" : "created"}`)
+  } catch (err) {
+    if (err instanceof RangeError || err.name === "ValidationError") {
+      return res.redirect(`/saved-searches?error=${encodeURIComponent(`The search couldn't be saved: ${err.message}`)}`)
+    }
+    res.redirect("/saved-searches")
+  }
+})
+
+app.post("/saved-searches/:id", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "user") return res.redirect("/login")
+
+  try {
+    const search = await findOwnSavedSearch(req)
+    if (search && JOB_ALERT_FREQUENCIES[req.body.frequency]) {
+      // Switching alerts back on starts from now rather than sending everything missed meanwhile
+      if (search.frequency === "off" && req.body.frequency !== "off") search.last_checked_at = new Date()
+      search.frequency = req.body.frequency
+      await search.save()
+    }
+    res.redirect("/saved-searches?status=updated")
+  } catch (err) {
+    res.redirect("/saved-searches")
+  }
+})
+
+app.post("/saved-searches/:id/delete", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "user") return res.redirect("/login")
+
+  try {
+    const search = await findOwnSavedSearch(req)
+    if (search) await search.deleteOne()
+    res.redirect("/saved-searches?status=deleted")
+  } catch (err) {
+    res.redirect("/saved-searches")
+  }
+})
+
+// Unsubscribe links in alert emails. The page asks for confirmation so link scanners can't
+// unsubscribe anyone; mail clients use the one-click POST from the List-Unsubscribe header.
+function unsubscribeContent(search, done) {
+  return `
+    <div class="text-center">
+      <i class="fas fa-bell-slash fa-3x text-primary mb-3"></i>
+      <h2 class="fw-bold mb-3">${done ? "You're Unsubscribed" : "Unsubscribe from Job Alerts"}</h2>
+      <p class="text-muted mb-4">
+        ${
+          done
+            ? `You won't get any more emails for <strong>${escapeHtml(search.name)}</strong>. The search is still saved if you want to run it again.`
+            : `Stop emails about new jobs matching <strong>${escapeHtml(search.name)}</strong>?`
+        }
+      </p>
+      ${
+        done
+          ? `
+        <a href="/saved-searches" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-cog me-2"></i>Manage Saved Searches
+        </a>
+      `
+          : `
+        <form action="/alerts/unsubscribe/${search.unsubscribe_token}" method="POST">
+          <button type="submit" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-bell-slash me-2"></i>Unsubscribe
+          </button>
+        </form>
+      `
+      }
+    </div>
+  `
+}
+
+function unsubscribeNotFoundContent() {
+  return `
+    <div class="text-center">
+      <i class="fas fa-unlink fa-3x text-muted mb-3"></i>
+      <h2 class="fw-bold mb-3">Link Not Valid</h2>
+      <div class="alert alert-info-custom">
+        <i class="fas fa-info-circle me-2"></i>
+        This unsubscribe link doesn't match a saved search. It may have been deleted already.
+      </div>
+    </div>
+  `
+}
+
+app.get("/alerts/unsubscribe/:token", async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ unsubscribe_token: String(req.params.token) })
+    if (!search) {
+      return res.status(404).send(generateEnhancedHTML("Unsubscribe", unsubscribeNotFoundContent(), req.session.user))
+    }
+    res.send(generateEnhancedHTML("Unsubscribe", unsubscribeContent(search, search.frequency === "off"), req.session.user))
+  } catch (err) {
+    res.redirect("/")
+  }
+})
+
+app.post("/alerts/unsubscribe/:token", async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndUpdate(
+      { unsubscribe_token: String(req.params.token) },
+      { frequency: "off" },
+      { new: true },
+    )
+    if (!search) {
+      return res.status(404).send(generateEnhancedHTML("Unsubscribe", unsubscribeNotFoundContent(), req.session.user))
+    }
+    res.send(generateEnhancedHTML("Unsubscribe", unsubscribeContent(search, true), req.session.user))
+  } catch (err) {
+    res.redirect("/")
+  }
+})
+
+// Emails the jobs published since the search was last checked that the user hasn't been sent yet
+async function sendJobAlert(search, now) {
+  const user = await User.findById(search.user_id)
+  if (!user || user.suspended_at || user.email_verified === false || user.deletion_scheduled_for) {
+    search.last_checked_at = now
+    return search.save()
+  }
+
+  let filter
+  try {
+    filter = await buildSavedSearchFilter(search.query, user)
+  } catch (err) {
+    if (!(err instanceof RangeError)) throw err
+    // e.g. radius_km around a profile location that has since been removed
+    search.last_checked_at = now
+    return search.save()
+  }
+  filter.published_at = {
+    ...filter.published_at,
+    $gt: new Date(search.last_checked_at.getTime() - JOB_ALERT_OVERLAP),
+    $lte: now,
+  }
+
+  const matches = await Job.find(filter).sort({ published_at: -1 }).limit(JOB_ALERT_MAX_JOBS)
+  const total = matches.length < JOB_ALERT_MAX_JOBS ? matches.length : await Job.countDocuments(filter)
+
+  // Claim each job for this user first; a duplicate key means an earlier alert already sent it
+  const jobs = []
+  for (const job of matches) {
+    try {
+      await JobAlertDelivery.create({ user_id: user._id, job_id: job._id, saved_search_id: search._id })
+      jobs.push(job)
+    } catch (err) {
+      if (err.code !== 11000) throw err
+    }
+  }
+
+  if (jobs.length) {
+    const unsubscribeUrl = `${APP_URL}/alerts/unsubscribe/${search.unsubscribe_token}`
+    const searchUrl = `${APP_URL}/jobs${search.query ? `?${search.query}` : ""}`
+    const lines = jobs.map((job) => {
+      const details = [job.company, jobFeedSummary(job)].filter(Boolean).join(" · ")
+      return `- ${job.title}\n  ${details}\n  ${APP_URL}${job.url_path}`
+    })
+    const more = total > jobs.length ? `\n\nSee all ${total} matches: ${searchUrl}` : ""
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `${jobs.length} new job${jobs.length !== 1 ? "s" : ""} for "${search.name}"`,
+        text: `Hi ${user.name},\n\nNew jobs matching your saved search "${search.name}" (${describeSavedSearch(search.query)}):\n\n${lines.join("\n\n")}${more}\n\nManage your alerts: ${APP_URL}/saved-searches\nUnsubscribe from this alert: ${unsubscribeUrl}`,
+        headers: {
+          "List-Unsubscribe": `<${unsubscribeUrl}>`,
+          "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+        },
+      })
+    } catch (err) {
+      // Release the claims so the jobs go out with the next attempt
+      await JobAlertDelivery.deleteMany({ saved_search_id: search._id, job_id: { $in: jobs.map((job) => job._id) } })
+      throw err
+    }
+    search.last_sent_at = now
+  }
+
+  search.last_checked_at = now
+  await search.save()
+}
+
+scheduleBackgroundJob("job alerts", JOB_ALERT_INTERVAL, async () => {
+  const now = new Date()
+  const due = await SavedSearch.find({
+    $or: Object.entries(JOB_ALERT_FREQUENCIES)
+      .filter(([, { interval }]) => interval !== undefined)
+      .map(([frequency, { interval }]) => ({ frequency, last_checked_at: { $lte: new Date(now - interval) } })),
+  })
+  for (const search of due) {
+    await sendJobAlert(search, now).catch((err) => console.error(`Failed to send job alert ${search._id}:`, err))
+  }
+})
+
+// Employer View: Applicants
+const APPLICATION_STATUS_BADGES = {
+  Pending: "bg-secondary",
+  Reviewed: "bg-info",
+  Shortlisted: "bg-primary",
+  Interview: "bg-warning text-dark",
+  Offer: "bg-success",
+  Hired: "bg-success",
+  Rejected: "bg-danger",
+  Withdrawn: "bg-dark",
+}
+
+function applicationStatusBadge(status) {
+  return `<span class="badge ${APPLICATION_STATUS_BADGES[status] || "bg-secondary"}">${escapeHtml(status)}</span>`
+}
+
+// Moves an application one step along the pipeline and records who did it. Throws a RangeError
+// when the pipeline doesn't allow the move or the application changed since it was loaded.
+async function transitionApplication(application, status, actor) {
+  if (!(APPLICATION_PIPELINE[application.status] || []).includes(status)) {
+    throw new RangeError(`An application can't move from ${application.status} to ${status || "an empty status"}`)
+  }
+  const updated = await Application.findOneAndUpdate(
+    { _id: application._id, status: application.status },
+    { status, $push: { status_history: { status, changed_by: actor._id, changed_at: new Date() } } },
+    { new: true, runValidators: true },
+  )
+  if (!updated) throw new RangeError("This application was updated in the meantime. Reload the page and try again.")
+  return updated
+}
+
+// An application to one of the employer's jobs, or null
+async function findEmployerApplication(applicationId, employerId) {
+  if (!mongoose.Types.ObjectId.isValid(applicationId)) return null
+  const application = await Application.findById(applicationId)
+  if (!application || !(await Job.exists({ _id: application.job_id, posted_by: employerId }))) return null
+  return application
+}
+
+// Submission followed by each status change, as a vertical list. actorNames maps user ids to
+// names for the employer's view; job seekers only see when each step happened.
+function applicationTimeline(application, actorNames) {
+  const steps = [
+    { status: "Applied", changed_at: application.createdAt || application.application_createdAt },
+    ...(application.status_history || []),
+  ]
+  return `
+    <ul class="list-unstyled small mb-0">
+      ${steps
+        .map((step) => {
+          const actor = actorNames && step.changed_by ? actorNames.get(String(step.changed_by)) : null
+          return `
+        <li class="mb-1">
+          <i class="fas fa-circle me-2 text-${["Rejected", "Withdrawn"].includes(step.status) ? "danger" : "primary"}" style="font-size: 0.5rem; vertical-align: middle;"></i>
+          <strong>${step.status === "Pending" ? "Reapplied" : escapeHtml(step.status)}</strong>
+          <span class="text-muted" title="${step.changed_at ? new Date(step.changed_at).toLocaleString() : ""}">
+            ${step.changed_at ? formatTimeAgo(step.changed_at) : ""}${actor ? ` by ${escapeHtml(actor)}` : ""}
+          </span>
+        </li>
+      `
+        })
+        .join("")}
+    </ul>
+  `
+}
+
+app.get("/employer/applicants", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "employer") {
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-ban fa-3x text-danger mb-3"></i>
+        <h2 class="fw-bold text-danger mb-3">Access Denied</h2>
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-exclamation-triangle me-2"></i>
+          <strong>Employers Only!</strong> Only employers can view applicants.
+        </div>
+        <a href="/login" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-sign-in-alt me-2"></i>Sign In
+        </a>
+      </div>
+    `
+    return res.send(generateEnhancedHTML("Access Denied", content))
+  }
+
+  try {
+    const employerId = req.session.user._id
+
+    const jobMatch = { posted_by: new mongoose.Types.ObjectId(employerId) }
+    if (req.query.job && mongoose.Types.ObjectId.isValid(req.query.job)) {
+      jobMatch._id = new mongoose.Types.ObjectId(String(req.query.job))
+    }
+
+    const rows = await Job.aggregate([
+      { $match: jobMatch },
+      {
+        $lookup: {
+          from: 'applications',
+          localField: '_id',
+          foreignField: 'job_id',
+          as: 'applications'
+        }
+      },
+      { $unwind: { path: '$applications', preserveNullAndEmptyArrays: true } },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'applications.user_id',
+          foreignField: '_id',
+          as: 'applicant'
+        }
+      },
+      { $unwind: { path: '$applicant', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          job_title: '$title',
+          job_id: '$_id',
+          job_skills: '$skills',
+          job_location: '$location',
+          job_location_point: '$location_point',
+          job_remote_policy: '$remote_policy',
+          job_seniority: '$seniority',
+          applicant_name: '$applicant.name',
+          email: '$applicant.email',
+          skills: '$applicant.skills',
+          experience: '$applicant.experience',
+          location: '$applicant.location',
+          location_point: '$applicant.location_point',
+          resume_url: '$applications.resume_url',
+          application_id: '$applications._id',
+          status: '$applications.status',
+          status_history: '$applications.status_history',
+          withdrawal_reason: '$applications.withdrawal_reason',
+          job_createdAt: '$createdAt',
+          application_createdAt: '$applications.createdAt'
+        }
+      },
+      { $sort: { job_createdAt: -1, application_createdAt: -1 } }
+    ]);
+
+    // Applicants are ranked by how well their profile matches the job unless sorted by date
+    const sortByDate = req.query.sort === "newest"
+    const pageParams = new URLSearchParams()
+    if (req.query.job) pageParams.set("job", String(req.query.job))
+    if (sortByDate) pageParams.set("sort", "newest")
+    const returnTo = `/employer/applicants${pageParams.size ? `?${pageParams}` : ""}`
+    const sortLink = (sort, label) => {
+      const params = new URLSearchParams()
+      if (req.query.job) params.set("job", String(req.query.job))
+      if (sort) params.set("sort", sort)
+      const active = sort === "newest" ? sortByDate : !sortByDate
+      return `<a href="/employer/applicants${params.size ? `?${params}` : ""}" class="btn btn-sm ${active ? "btn-primary-custom" : "btn-secondary-custom"} btn-custom">${label}</a>`
+    }
+
+    // Names of the people who moved applications along, for the timelines
+    const actorIds = [...new Set(rows.flatMap((row) => (row.status_history || []).filter((step) => step.changed_by).map((step) => String(step.changed_by))))]
+    const actorNames = new Map(
+      (await User.find({ _id: { $in: actorIds } }).select("name")).map((actor) => [String(actor._id), actor.name]),
+    )
+
+    let content = `
+      ${
+        req.query.updated
+          ? `
+        <div class="alert alert-success-custom alert-dismissible fade show" role="alert">
+          <i class="fas fa-check-circle me-2"></i>Application status updated.
+          <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        </div>
+      `
+          : ""
+      }
+      ${
+        req.query.error
+          ? `
+        <div class="alert alert-danger-custom alert-dismissible fade show" role="alert">
+          <i class="fas fa-exclamation-triangle me-2"></i>${escapeHtml(req.query.error)}
+          <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        </div>
+      `
+          : ""
+      }
+      <div class="text-center mb-4">
+        <i class="fas fa-users fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold mb-3">Job Applicants</h2>
+        <p class="text-muted">Review applications for your job postings</p>
+        <div class="d-inline-flex gap-2">
+          ${sortLink("", '<i class="fas fa-bullseye me-1"></i>Best match')}
+          ${sortLink("newest", '<i class="fas fa-clock me-1"></i>Newest')}
+        </div>
+      </div>
+    `
+
+    if (rows.length === 0 || rows.every((row) => row.applicant_name === null)) {
+      content += `
+        <div class="text-center py-5">
+          <i class="fas fa-inbox fa-3x text-muted mb-3"></i>
+          <h4>No Applications Yet</h4>
+          <p class="text-muted mb-4">You haven't received any applications yet. Make sure your job postings are attractive!</p>
+          <div class="d-flex justify-content-center gap-3">
+            <a href="/post-job" class="btn btn-primary-custom btn-custom">
+              <i class="fas fa-plus me-2"></i>Post New Job
+            </a>
+            <a href="/dashboard" class="btn btn-secondary-custom btn-custom">
+              <i class="fas fa-home me-2"></i>Dashboard
+            </a>
           </div>
         </div>
-      </div>
+      `
+    } else {
+      // Group applications by job and score each applicant against it
+      const jobGroups = new Map()
+      rows.forEach((row) => {
+        const key = String(row.job_id)
+        if (!jobGroups.has(key)) {
+          jobGroups.set(key, { title: row.job_title, applicants: [] })
+        }
+        if (row.applicant_name) {
+          const job = {
+            skills: row.job_skills,
+            location: row.job_location,
+            location_point: row.job_location_point,
+            remote_policy: row.job_remote_policy,
+            seniority: row.job_seniority,
+          }
+          row.match = scoreJobMatch(buildMatchProfile(row), job)
+          jobGroups.get(key).applicants.push(row)
+        }
+      })
+      if (!sortByDate) {
+        jobGroups.forEach(({ applicants }) =>
+          applicants.sort((a, b) => (b.match ? b.match.score : -1) - (a.match ? a.match.score : -1)),
+        )
+      }
 
-      <!-- Quick Stats Section -->
-      <div class="container my-5">
-        <div class="row g-4">
-          <div class="col-md-4">
-            <div class="card-custom text-center hover-lift">
-              <div class="card-body-custom">
-                <i class="fas fa-briefcase fa-2x text-primary mb-3"></i>
-                <h5 class="fw-bold">1,000+</h5>
-                <p class="text-muted">Active Jobs</p>
+      Array.from(jobGroups.values()).forEach(({ title: jobTitle, applicants }, jobIndex) => {
+
+        content += `
+          <div class="card-custom mb-4 hover-lift" style="animation-delay: ${jobIndex * 0.1}s">
+            <div class="card-header-custom">
+              <div class="d-flex justify-content-between align-items-center">
+                <h5 class="mb-0">
+                  <i class="fas fa-briefcase me-2 text-primary"></i>${jobTitle}
+                </h5>
+                <span class="badge bg-primary">${applicants.length} Applicant${applicants.length !== 1 ? "s" : ""}</span>
               </div>
             </div>
-          </div>
-          <div class="col-md-4">
-            <div class="card-custom text-center hover-lift">
-              <div class="card-body-custom">
-                <i class="fas fa-users fa-2x text-success mb-3"></i>
-                <h5 class="fw-bold">5,000+</h5>
-                <p class="text-muted">Job Seekers</p>
+            <div class="card-body-custom">
+        `
+
+        if (applicants.length === 0) {
+          content += `
+            <p class="text-muted text-center py-3">
+              <i class="fas fa-inbox me-2"></i>No applications for this job yet.
+            </p>
+          `
+        } else {
+          content += `<div class="row g-3">`
+
+          applicants.forEach((applicant, index) => {
+            const nextStatuses = APPLICATION_PIPELINE[applicant.status] || []
+            content += `
+              <div class="col-md-6" id="application-${applicant.application_id}">
+                <div class="border rounded-3 p-3" style="background: var(--bg-secondary);">
+                  <div class="d-flex justify-content-between align-items-start mb-2">
+                    <div>
+                      <h6 class="fw-bold mb-1">
+                        <i class="fas fa-user me-2 text-success"></i>${applicant.applicant_name}
+                      </h6>
+                      <p class="text-muted mb-2">
+                        <i class="fas fa-envelope me-2"></i>${applicant.email}
+                      </p>
+                      ${applicationStatusBadge(applicant.status)}
+                    </div>
+                    ${
+                      applicant.match
+                        ? `<span class="badge ${matchBadgeClass(applicant.match.score)}">
+                            <i class="fas fa-bullseye me-1"></i>${applicant.match.score}% match
+                          </span>`
+                        : `<span class="badge bg-light text-dark border" title="The applicant's profile lists no skills or experience">No profile data</span>`
+                    }
+                  </div>
+                  ${applicant.match ? `<p class="small text-muted mb-2">${applicant.match.reasons.map(escapeHtml).join(" · ")}</p>` : ""}
+                  <div class="d-flex flex-wrap align-items-center gap-2">
+                    <a href="${applicant.resume_url}" target="_blank" class="btn btn-primary-custom btn-custom btn-sm">
+                      <i class="fas fa-file-pdf me-2"></i>View Resume
+                    </a>
+                    ${
+                      nextStatuses.length
+                        ? `
+                      <form action="/employer/applications/${applicant.application_id}/status" method="POST" class="d-flex gap-2">
+                        <input type="hidden" name="return_to" value="${escapeHtml(returnTo)}">
+                        <select name="status" class="form-select form-select-custom form-select-sm" aria-label="Move to">
+                          ${nextStatuses.map((status) => `<option value="${status}">Move to ${status}</option>`).join("")}
+                        </select>
+                        <button type="submit" class="btn btn-secondary-custom btn-custom btn-sm">Update</button>
+                      </form>
+                    `
+                        : ""
+                    }
+                  </div>
+                  ${
+                    applicant.status === "Withdrawn" && applicant.withdrawal_reason
+                      ? `<p class="small text-muted mt-2 mb-0"><strong>Reason for withdrawing:</strong> ${escapeHtml(applicant.withdrawal_reason)}</p>`
+                      : ""
+                  }
+                  <details class="mt-2">
+                    <summary class="small text-muted">History</summary>
+                    <div class="mt-2">${applicationTimeline(applicant, actorNames)}</div>
+                  </details>
+                </div>
               </div>
+            `
+          })
+
+          content += `</div>`
+        }
+
+        content += `
             </div>
           </div>
-          <div class="col-md-4">
-            <div class="card-custom text-center hover-lift">
-              <div class="card-body-custom">
-                <i class="fas fa-building fa-2x text-warning mb-3"></i>
-                <h5 class="fw-bold">500+</h5>
-                <p class="text-muted">Companies</p>
-              </div>
-            </div>
+        `
+      })
+    }
+
+    res.send(generateEnhancedHTML("Applicants", content, req.session.user))
+  } catch (err) {
+    const content = `
+        <div class="text-center">
+          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+          <h2 class="fw-bold text-danger mb-3">Error Loading Applicants</h2>
+          <div class="alert alert-danger-custom">
+            <i class="fas fa-times-circle me-2"></i>
+            <strong>Oops!</strong> Could not load applicant data. Please try again later.
           </div>
+          <a href="/dashboard" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-home me-2"></i>Back to Dashboard
+          </a>
         </div>
-      </div>
-    `
-    return res.send(generateEnhancedHTML("Home", content, user))
+      `
+    return res.send(generateEnhancedHTML("Error", content, req.session.user))
   }
+})
 
-  res.sendFile(path.join(__dirname, "views/index.html"))
+app.post("/employer/applications/:id/status", async (req, res) => {
+  if (!req.session.user || req.session.user.type !== "employer") return res.redirect("/login")
+
+  const returnTo = localReturnPath(req.body.return_to, "/employer/applicants")
+  const separator = returnTo.includes("?") ? "&" : "?"
+  try {
+    const application = await findEmployerApplication(req.params.id, req.session.user._id)
+    if (!application) {
+      return res.redirect(`${returnTo}${separator}error=${encodeURIComponent("That application doesn't exist or isn't for one of your jobs.")}`)
+    }
+    await transitionApplication(application, String(req.body.status || ""), req.session.user)
+    res.redirect(`${returnTo}${separator}updated=1#application-${application._id}`)
+  } catch (err) {
+    if (err instanceof RangeError) {
+      return res.redirect(`${returnTo}${separator}error=${encodeURIComponent(err.message)}`)
+    }
+    res.redirect(returnTo)
+  }
 })
 
-app.get("/about", (req, res) => {
-  const content = `
-    <div class="text-center mb-5">
-      <i class="fas fa-info-circle fa-3x text-primary mb-3"></i>
-      <h1 class="fw-bold mb-3">About JobPortal</h1>
-      <p class="lead text-muted">Connecting talent with opportunity since 2024</p>
-    </div>
+// Employer Job Management
+const JOB_STATUS_MESSAGES = {
+  updated: { type: "success", text: "Job updated." },
+  closed: { type: "info", text: "Job closed. It no longer appears in listings or accepts applications; existing applications are kept." },
+  reopened: { type: "success", text: "Job reopened and accepting applications again." },
+  deleted: { type: "info", text: "Job deleted along with its applications." },
+  published: { type: "success", text: "Job published. It's now live for job seekers." },
+  renewed: { type: "success", text: `Job renewed. It stays live for another ${JOB_LIFETIME / (24 * 60 * 60 * 1000)} days.` },
+  imported: { type: "success", text: "Jobs imported and published." },
+  "imported-drafts": { type: "success", text: "Jobs imported as drafts. Publish them from the list below when you're ready." },
+  "not-found": { type: "danger", text: "That job doesn't exist or isn't yours." },
+  "taken-down": { type: "danger", text: "That job was taken down by a moderator and can't be changed." },
+  "renew-closed": { type: "warning", text: "Closed jobs can't be renewed. Reopen the job first." },
+  "renew-not-due": { type: "info", text: `Jobs can be renewed once they're within ${JOB_EXPIRY_REMINDER / (24 * 60 * 60 * 1000)} days of expiring.` },
+}
 
-    <div class="row g-5">
-      <div class="col-lg-6">
-        <div class="card-custom h-100">
-          <div class="card-body-custom">
-            <h3 class="fw-bold mb-4">Our Mission</h3>
-            <p class="text-muted mb-4">
-              At JobPortal, we believe that everyone deserves to find meaningful work that aligns with their skills, 
-              passions, and career goals. Our mission is to bridge the gap between talented professionals and 
-              innovative companies looking for the right fit.
-            </p>
-            <p class="text-muted">
-              We're committed to creating a platform that not only connects job seekers with employers but also 
-              provides the tools and resources needed to build successful, long-lasting professional relationships.
-            </p>
-          </div>
-        </div>
-      </div>
-      
-      <div class="col-lg-6">
-        <div class="card-custom h-100">
-          <div class="card-body-custom">
-            <h3 class="fw-bold mb-4">Our Story</h3>
-            <p class="text-muted mb-4">
-              Founded in 2024, JobPortal started as a simple idea: make job searching and hiring more efficient, 
-              transparent, and human-centered. Our founders, experienced professionals from the tech and HR industries, 
-              recognized the need for a platform that prioritizes quality connections over quantity.
-            </p>
-            <p class="text-muted">
-              Today, we're proud to serve thousands of job seekers and hundreds of companies worldwide, 
-              facilitating meaningful career moves and helping businesses find the talent they need to grow.
-            </p>
-          </div>
+// Every /employer/jobs route is limited to employers and to jobs they posted;
+// /employer/company likewise only edits the employer's own company page
+app.use(["/employer/jobs", "/employer/company"], (req, res, next) => {
+  if (!req.session.user || req.session.user.type !== "employer") {
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-ban fa-3x text-danger mb-3"></i>
+        <h2 class="fw-bold text-danger mb-3">Access Denied</h2>
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-exclamation-triangle me-2"></i>
+          <strong>Employers Only!</strong> Only employers can manage job postings and company pages.
         </div>
+        <a href="/login" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-sign-in-alt me-2"></i>Sign In
+        </a>
       </div>
-    </div>
+    `
+    return res.status(403).send(generateEnhancedHTML("Access Denied", content, req.session.user))
+  }
+  next()
+})
 
-    <div class="row g-4 mt-5">
-      <div class="col-md-4">
-        <div class="text-center">
-          <div class="mb-3">
-            <div style="width: 80px; height: 80px; background: linear-gradient(135deg, #3b82f6, #8b5cf6); border-radius: 50%; display: flex; align-items: center; justify-content: center; margin: 0 auto;">
-              <i class="fas fa-eye fa-2x text-white"></i>
-            </div>
-          </div>
-          <h5 class="fw-bold mb-3">Our Vision</h5>
-          <p class="text-muted">
-            To become the world's most trusted platform for career advancement and talent acquisition.
-          </p>
+function findOwnJob(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return Promise.resolve(null)
+  return Job.findOne({ _id: req.params.id, posted_by: req.session.user._id })
+}
+
+function selectOptions(labels, selected, blankLabel) {
+  const blank = blankLabel !== undefined ? `<option value="">${blankLabel}</option>` : ""
+  return (
+    blank +
+    Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}"${value === selected ? " selected" : ""}>${label}</option>`)
+      .join("")
+  )
+}
+
+function isJobExpired(job) {
+  return job.status === "expired" || (job.status === "published" && job.expires_at && job.expires_at <= new Date())
+}
+
+function jobStatusBadge(job) {
+  if (job.taken_down_at) return `<span class="badge bg-danger">Taken down</span>`
+  if (job.closed_at) return `<span class="badge bg-secondary">Closed</span>`
+  if (job.status === "draft" && job.publish_at) return `<span class="badge bg-info">Scheduled</span>`
+  if (job.status === "draft") return `<span class="badge bg-light text-dark border">Draft</span>`
+  if (isJobExpired(job)) return `<span class="badge bg-warning text-dark">Expired</span>`
+  return `<span class="badge bg-success">Open</span>`
+}
+
+// One line under the status badge saying what happens next
+function jobLifecycleNote(job) {
+  if (job.taken_down_at || job.closed_at) return ""
+  if (job.status === "draft" && job.publish_at) return `Goes live ${job.publish_at.toLocaleString()}`
+  if (job.status === "draft") return "Not published"
+  if (isJobExpired(job)) return `Expired ${formatTimeAgo(job.expires_at)}`
+  if (job.expires_at) return `Expires ${job.expires_at.toLocaleDateString()}`
+  return ""
+}
+
+app.get("/employer/jobs", async (req, res) => {
+  try {
+    const jobs = await Job.find({ posted_by: req.session.user._id }).sort({ createdAt: -1 })
+    const counts = await Application.aggregate([
+      { $match: { job_id: { $in: jobs.map((job) => job._id) } } },
+      { $group: { _id: "$job_id", count: { $sum: 1 } } },
+    ])
+    const applicantCounts = Object.fromEntries(counts.map((row) => [String(row._id), row.count]))
+    const message = JOB_STATUS_MESSAGES[req.query.status]
+
+    const content = `
+      ${
+        message
+          ? `
+        <div class="alert alert-${message.type}-custom alert-dismissible fade show" role="alert">
+          <i class="fas fa-info-circle me-2"></i>${message.text}
+          <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
         </div>
-      </div>
-      
-      <div class="col-md-4">
-        <div class="text-center">
-          <div class="mb-3">
-            <div style="width: 80px; height: 80px; background: linear-gradient(135deg, #10b981, #06b6d4); border-radius: 50%; display: flex; align-items: center; justify-content: center; margin: 0 auto;">
-              <i class="fas fa-heart fa-2x text-white"></i>
-            </div>
-          </div>
-          <h5 class="fw-bold mb-3">Our Values</h5>
-          <p class="text-muted">
-            Transparency, integrity, innovation, and putting people first in everything we do.
-          </p>
+      `
+          : ""
+      }
+      <div class="d-flex justify-content-between align-items-center flex-wrap gap-3 mb-4">
+        <div>
+          <h2 class="fw-bold mb-1"><i class="fas fa-briefcase me-2 text-primary"></i>My Job Posts</h2>
+          <p class="text-muted mb-0">Edit, close or remove the jobs you've posted</p>
         </div>
-      </div>
-      
-      <div class="col-md-4">
-        <div class="text-center">
-          <div class="mb-3">
-            <div style="width: 80px; height: 80px; background: linear-gradient(135deg, #f59e0b, #ef4444); border-radius: 50%; display: flex; align-items: center; justify-content: center; margin: 0 auto;">
-              <i class="fas fa-rocket fa-2x text-white"></i>
-            </div>
+        <div class="d-flex gap-2 flex-wrap">
+          <a href="/employer/jobs/import" class="btn btn-secondary-custom btn-custom">
+            <i class="fas fa-file-import me-2"></i>Import
+          </a>
+          <div class="dropdown">
+            <button class="btn btn-secondary-custom btn-custom dropdown-toggle" type="button" data-bs-toggle="dropdown">
+              <i class="fas fa-file-export me-2"></i>Export
+            </button>
+            <ul class="dropdown-menu dropdown-menu-end">
+              <li><a class="dropdown-item" href="/employer/jobs/export?format=csv"><i class="fas fa-file-csv me-2"></i>CSV</a></li>
+              <li><a class="dropdown-item" href="/employer/jobs/export?format=json"><i class="fas fa-file-code me-2"></i>JSON</a></li>
+            </ul>
           </div>
-          <h5 class="fw-bold mb-3">Our Impact</h5>
-          <p class="text-muted">
-            Over 10,000 successful job placements and counting, with 95% satisfaction rate.
-          </p>
+          <a href="/post-job" class="btn btn-primary-custom btn-custom">
+            <i class="fas fa-plus me-2"></i>Post New Job
+          </a>
         </div>
       </div>
-    </div>
 
-    <div class="card-custom mt-5">
-      <div class="card-body-custom text-center">
-        <h3 class="fw-bold mb-4">Join Our Community</h3>
-        <p class="text-muted mb-4">
-          Whether you're looking for your next career opportunity or searching for talented professionals 
-          to join your team, JobPortal is here to help you succeed.
-        </p>
-        <div class="d-flex justify-content-center gap-3">
-          ${
-            req.session.user
-              ? `
-            <a href="/dashboard" class="btn btn-primary-custom btn-custom">
-              <i class="fas fa-tachometer-alt me-2"></i>Go to Dashboard
-            </a>
-          `
-              : `
-            <a href="/register" class="btn btn-primary-custom btn-custom">
-              <i class="fas fa-user-plus me-2"></i>Get Started Today
-            </a>
-            <a href="/contact" class="btn btn-secondary-custom btn-custom">
-              <i class="fas fa-envelope me-2"></i>Contact Us
-            </a>
-          `
-          }
+      ${
+        jobs.length === 0
+          ? `
+        <div class="text-center py-5">
+          <i class="fas fa-briefcase fa-3x text-muted mb-3"></i>
+          <h4>No Job Posts Yet</h4>
+          <p class="text-muted mb-4">Post your first job to start receiving applications.</p>
+        </div>
+      `
+          : `
+        <div class="card-custom">
+          <div class="card-body-custom">
+            <div class="table-responsive">
+              <table class="table align-middle mb-0">
+                <thead>
+                  <tr>
+                    <th>Job</th>
+                    <th>Status</th>
+                    <th>Applicants</th>
+                    <th>Posted</th>
+                    <th class="text-end">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${jobs
+                    .map((job) => {
+                      const count = applicantCounts[String(job._id)] || 0
+                      return `
+                    <tr>
+                      <td>
+                        <a href="${job.url_path}" class="fw-semibold text-decoration-none">${escapeHtml(job.title)}</a>
+                        <small class="text-muted d-block">${escapeHtml(job.company)}${job.location ? ` • ${escapeHtml(job.location)}` : ""}</small>
+                      </td>
+                      <td>
+                        ${jobStatusBadge(job)}
+                        ${jobLifecycleNote(job) ? `<small class="text-muted d-block mt-1">${jobLifecycleNote(job)}</small>` : ""}
+                      </td>
+                      <td>
+                        <a href="/employer/applicants?job=${job._id}" class="text-decoration-none">
+                          <i class="fas fa-users me-1"></i>${count}
+                        </a>
+                      </td>
+                      <td><small class="text-muted">${formatTimeAgo(job.createdAt)}</small></td>
+                      <td class="text-end">
+                        <div class="d-inline-flex gap-2 flex-wrap justify-content-end">
+                          ${
+                            job.taken_down_at
+                              ? ""
+                              : `
+                          <a href="/employer/jobs/${job._id}/edit" class="btn btn-secondary-custom btn-custom btn-sm">
+                            <i class="fas fa-edit me-1"></i>Edit
+                          </a>
+                          ${
+                            job.status === "draft"
+                              ? `
+                          <form action="/employer/jobs/${job._id}/publish" method="POST" class="d-inline">
+                            <button type="submit" class="btn btn-success-custom btn-custom btn-sm">
+                              <i class="fas fa-rocket me-1"></i>Publish Now
+                            </button>
+                          </form>
+                          `
+                              : !renewalBlockedStatus(job)
+                                ? `
+                          <form action="/employer/jobs/${job._id}/renew" method="POST" class="d-inline">
+                            <button type="submit" class="btn btn-success-custom btn-custom btn-sm">
+                              <i class="fas fa-redo me-1"></i>Renew
+                            </button>
+                          </form>
+                          `
+                                : ""
+                          }
+                          <form action="/employer/jobs/${job._id}/${job.closed_at ? "reopen" : "close"}" method="POST" class="d-inline">
+                            <button type="submit" class="btn btn-${job.closed_at ? "success" : "secondary"}-custom btn-custom btn-sm">
+                              <i class="fas fa-${job.closed_at ? "lock-open" : "lock"} me-1"></i>${job.closed_at ? "Reopen" : "Close"}
+                            </button>
+                          </form>
+                          <form action="/employer/jobs/${job._id}/delete" method="POST" class="d-inline">
+                            <button type="submit" class="btn btn-danger-custom btn-custom btn-sm"
+                                    onclick="return confirm('Delete this job and its ${count} application${count !== 1 ? "s" : ""}? Closing it keeps them instead.')">
+                              <i class="fas fa-trash me-1"></i>Delete
+                            </button>
+                          </form>
+                          `
+                          }
+                        </div>
+                      </td>
+                    </tr>
+                  `
+                    })
+                    .join("")}
+                </tbody>
+              </table>
+            </div>
+          </div>
         </div>
+      `
+      }
+    `
+    res.send(generateEnhancedHTML("My Job Posts", content, req.session.user))
+  } catch (err) {
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+        <h2 class="fw-bold text-danger mb-3">Error Loading Jobs</h2>
+        <div class="alert alert-danger-custom">
+          <i class="fas fa-times-circle me-2"></i>
+          <strong>Oops!</strong> Could not load your job posts. Please try again later.
+        </div>
+        <a href="/dashboard" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-home me-2"></i>Back to Dashboard
+        </a>
       </div>
-    </div>
-  `
-
-  res.send(generateEnhancedHTML("About Us", content, req.session.user))
+    `
+    res.send(generateEnhancedHTML("Error", content, req.session.user))
+  }
 })
 
-app.get("/contact", (req, res) => {
-  const content = `
-    <div class="text-center mb-5">
-      <i class="fas fa-envelope fa-3x text-primary mb-3"></i>
-      <h1 class="fw-bold mb-3">Contact Us</h1>
-      <p class="lead text-muted">We'd love to hear from you. Get in touch with our team.</p>
-    </div>
+app.get("/employer/jobs/:id/edit", async (req, res) => {
+  try {
+    const job = await findOwnJob(req)
+    if (!job) return res.redirect("/employer/jobs?status=not-found")
+    if (job.taken_down_at) return res.redirect("/employer/jobs?status=taken-down")
 
-    <div class="row g-5">
-      <div class="col-lg-8">
-        <div class="card-custom">
-          <div class="card-header-custom">
-            <h4 class="mb-0">
-              <i class="fas fa-paper-plane me-2"></i>Send us a Message
-            </h4>
+    const error = req.query.error ? `
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-exclamation-triangle me-2"></i>${escapeHtml(req.query.error)}
+      </div>
+    ` : ""
+
+    const content = `
+      <div class="row justify-content-center">
+        <div class="col-lg-8">
+          <div class="text-center mb-4">
+            <i class="fas fa-edit fa-3x text-primary mb-3"></i>
+            <h2 class="fw-bold">Edit Job</h2>
+            <p class="text-muted">Changes are visible to job seekers right away</p>
           </div>
-          <div class="card-body-custom">
-            <form id="contactForm">
-              <div class="row g-3">
-                <div class="col-md-6">
-                  <label class="form-label-custom">
-                    <i class="fas fa-user me-2"></i>Full Name
-                  </label>
-                  <input type="text" class="form-control form-control-custom" required 
-                         placeholder="Your full name" ${req.session.user ? `value="${req.session.user.name}"` : ""}>
+          ${error}
+          <div class="card-custom">
+            <div class="card-body-custom">
+              <form action="/employer/jobs/${job._id}/edit" method="POST">
+                <div class="mb-3">
+                  <label class="form-label-custom"><i class="fas fa-briefcase me-2"></i>Job Title</label>
+                  <input type="text" name="title" class="form-control form-control-custom" required value="${escapeHtml(job.title)}">
                 </div>
-                
-                <div class="col-md-6">
-                  <label class="form-label-custom">
-                    <i class="fas fa-envelope me-2"></i>Email Address
-                  </label>
-                  <input type="email" class="form-control form-control-custom" required 
-                         placeholder="Your email address" ${req.session.user ? `value="${req.session.user.email}"` : ""}>
+                <div class="mb-3">
+                  <label class="form-label-custom"><i class="fas fa-building me-2"></i>Company Name</label>
+                  <input type="text" name="company" class="form-control form-control-custom" required value="${escapeHtml(job.company)}">
                 </div>
-                
-                <div class="col-12">
-                  <label class="form-label-custom">
-                    <i class="fas fa-tag me-2"></i>Subject
-                  </label>
-                  <select class="form-select form-select-custom" required>
-                    <option value="">Select a subject</option>
-                    <option value="general">General Inquiry</option>
-                    <option value="support">Technical Support</option>
-                    <option value="billing">Billing Question</option>
-                    <option value="partnership">Partnership Opportunity</option>
-                    <option value="feedback">Feedback</option>
-                    <option value="other">Other</option>
-                  </select>
+                <div class="mb-3">
+                  <label class="form-label-custom"><i class="fas fa-map-marker-alt me-2"></i>Location</label>
+                  <input type="text" name="location" class="form-control form-control-custom" value="${escapeHtml(job.location || "")}">
                 </div>
-                
-                <div class="col-12">
+                <div class="row g-3 mb-3">
+                  <div class="col-md-4">
+                    <label class="form-label-custom"><i class="fas fa-clock me-2"></i>Employment Type</label>
+                    <select name="employment_type" class="form-select form-select-custom" required>
+                      ${selectOptions(EMPLOYMENT_TYPES, job.employment_type)}
+                    </select>
+                  </div>
+                  <div class="col-md-4">
+                    <label class="form-label-custom"><i class="fas fa-laptop-house me-2"></i>Work Mode</label>
+                    <select name="remote_policy" class="form-select form-select-custom">
+                      ${selectOptions(REMOTE_POLICIES, job.remote_policy, "Not specified")}
+                    </select>
+                  </div>
+                  <div class="col-md-4">
+                    <label class="form-label-custom"><i class="fas fa-layer-group me-2"></i>Seniority Level</label>
+                    <select name="seniority" class="form-select form-select-custom">
+                      ${selectOptions(SENIORITY_LEVELS, job.seniority, "Not specified")}
+                    </select>
+                  </div>
+                </div>
+                <div class="mb-3">
                   <label class="form-label-custom">
-                    <i class="fas fa-comment me-2"></i>Message
+                    <i class="fas fa-money-bill-wave me-2"></i>Salary Range <span class="text-muted small">(optional)</span>
                   </label>
-                  <textarea class="form-control form-control-custom" rows="5" required 
-                            placeholder="Tell us how we can help you..."></textarea>
+                  <div class="row g-2">
+                    <div class="col-6 col-md-3">
+                      <input type="number" name="salary_min" class="form-control form-control-custom" min="0" step="any"
+                             placeholder="Min" value="${job.salary_min ?? ""}">
+                    </div>
+                    <div class="col-6 col-md-3">
+                      <input type="number" name="salary_max" class="form-control form-control-custom" min="0" step="any"
+                             placeholder="Max" value="${job.salary_max ?? ""}">
+                    </div>
+                    <div class="col-6 col-md-3">
+                      <input type="text" name="salary_currency" class="form-control form-control-custom" maxlength="3"
+                             placeholder="Currency, e.g. INR" value="${escapeHtml(job.salary_currency || "INR")}">
+                    </div>
+                    <div class="col-6 col-md-3">
+                      <select name="salary_period" class="form-select form-select-custom">
+                        ${selectOptions(SALARY_PERIODS, job.salary_period || "year")}
+                      </select>
+                    </div>
+                  </div>
                 </div>
-                
-                <div class="col-12">
+                <div class="mb-3">
+                  <label class="form-label-custom"><i class="fas fa-tools me-2"></i>Required Skills</label>
+                  <input type="text" name="skills" class="form-control form-control-custom"
+                         value="${escapeHtml(job.skills.join(", "))}" placeholder="e.g. JavaScript, Node.js, MongoDB">
+                  <div class="form-text">Separate skills with commas</div>
+                </div>
+                <div class="mb-3">
+                  <label class="form-label-custom"><i class="fas fa-redo me-2"></i>Reapplying</label>
+                  <div class="row g-2">
+                    <div class="col-md-8">
+                      <select name="reapply_policy" class="form-select form-select-custom">
+                        ${selectOptions(REAPPLY_POLICIES, job.reapply_policy || "withdrawn")}
+                      </select>
+                    </div>
+                    <div class="col-md-4">
+                      <div class="input-group">
+                        <span class="input-group-text">after</span>
+                        <input type="number" name="reapply_after_days" class="form-control form-control-custom" min="0" max="365"
+                               value="${job.reapply_after_days || 0}">
+                        <span class="input-group-text">days</span>
+                      </div>
+                    </div>
+                  </div>
+                  <div class="form-text">Counted from when the candidate withdrew or was rejected</div>
+                </div>
+                <div class="mb-4">
+                  <label class="form-label-custom"><i class="fas fa-file-alt me-2"></i>Job Description</label>
+                  <textarea name="description" class="form-control form-control-custom" rows="8" required>${escapeHtml(job.description)}</textarea>
+                </div>
+                <div class="d-flex gap-3 justify-content-end">
+                  <a href="/employer/jobs" class="btn btn-secondary-custom btn-custom">Cancel</a>
                   <button type="submit" class="btn btn-primary-custom btn-custom">
-                    <i class="fas fa-paper-plane me-2"></i>Send Message
+                    <i class="fas fa-save me-2"></i>Save Changes
                   </button>
                 </div>
-              </div>
-            </form>
-          </div>
-        </div>
-      </div>
-      
-      <div class="col-lg-4">
-        <div class="card-custom mb-4">
-          <div class="card-body-custom">
-            <h5 class="fw-bold mb-3">
-              <i class="fas fa-map-marker-alt me-2 text-primary"></i>Our Office
-            </h5>
-            <p class="text-muted mb-0">
-              123 Business Street<br>
-              Tech District, TD 12345<br>
-              United States
-            </p>
-          </div>
-        </div>
-        
-        <div class="card-custom mb-4">
-          <div class="card-body-custom">
-            <h5 class="fw-bold mb-3">
-              <i class="fas fa-phone me-2 text-success"></i>Phone
-            </h5>
-            <p class="text-muted mb-0">
-              <a href="tel:+1234567890" class="text-decoration-none">+1 (234) 567-8900</a><br>
-              <small>Monday - Friday, 9 AM - 6 PM EST</small>
-            </p>
-          </div>
-        </div>
-        
-        <div class="card-custom mb-4">
-          <div class="card-body-custom">
-            <h5 class="fw-bold mb-3">
-              <i class="fas fa-envelope me-2 text-warning"></i>Email
-            </h5>
-            <p class="text-muted mb-0">
-              <a href="mailto:support@jobportal.com" class="text-decoration-none">support@jobportal.com</a><br>
-              <small>We'll respond within 24 hours</small>
-            </p>
-          </div>
-        </div>
-        
-        <div class="card-custom">
-          <div class="card-body-custom">
-            <h5 class="fw-bold mb-3">
-              <i class="fas fa-clock me-2 text-info"></i>Business Hours
-            </h5>
-            <div class="text-muted">
-              <div class="d-flex justify-content-between">
-                <span>Monday - Friday:</span>
-                <span>9:00 AM - 6:00 PM</span>
-              </div>
-              <div class="d-flex justify-content-between">
-                <span>Saturday:</span>
-                <span>10:00 AM - 4:00 PM</span>
-              </div>
-              <div class="d-flex justify-content-between">
-                <span>Sunday:</span>
-                <span>Closed</span>
-              </div>
+              </form>
             </div>
           </div>
         </div>
       </div>
-    </div>
-
-    <div class="card-custom mt-5">
-      <div class="card-body-custom text-center">
-        <h4 class="fw-bold mb-3">Frequently Asked Questions</h4>
-        <p class="text-muted mb-4">
-          Before reaching out, you might find your answer in our FAQ section.
-        </p>
-        <a href="/faq" class="btn btn-secondary-custom btn-custom">
-          <i class="fas fa-question-circle me-2"></i>View FAQ
-        </a>
-      </div>
-    </div>
-
-    <script>
-      document.getElementById('contactForm').addEventListener('submit', function(e) {
-        e.preventDefault();
-        
-        // Show success message
-        const formContainer = e.target.parentElement;
-        formContainer.innerHTML = \`
-          <div class="text-center py-5">
-            <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
-            <h4 class="fw-bold text-success mb-3">Message Sent Successfully!</h4>
-            <p class="text-muted mb-4">
-              Thank you for contacting us. We'll get back to you within 24 hours.
-            </p>
-            <button onclick="location.reload()" class="btn btn-primary-custom btn-custom">
-              <i class="fas fa-redo me-2"></i>Send Another Message
-            </button>
-          </div>
-        \`;
-      });
-    </script>
-  `
-
-  res.send(generateEnhancedHTML("Contact Us", content, req.session.user))
+    `
+    res.send(generateEnhancedHTML("Edit Job", content, req.session.user))
+  } catch (err) {
+    res.redirect("/employer/jobs")
+  }
 })
 
-app.get("/register", (req, res) => {
-  res.sendFile(path.join(__dirname, "views/register.html"))
+app.post("/employer/jobs/:id/edit", async (req, res) => {
+  try {
+    const job = await findOwnJob(req)
+    if (!job) return res.redirect("/employer/jobs?status=not-found")
+    if (job.taken_down_at) return res.redirect("/employer/jobs?status=taken-down")
+
+    job.set(parseJobFields(req.body))
+    await job.save()
+    res.redirect("/employer/jobs?status=updated")
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      const message = Object.values(err.errors).map((error) => error.message).join(" ")
+      return res.redirect(`/employer/jobs/${req.params.id}/edit?error=${encodeURIComponent(message)}`)
+    }
+    res.redirect("/employer/jobs")
+  }
 })
 
-app.post("/register", async (req, res) => {
-  const { name, email, password, type } = req.body
+app.post("/employer/jobs/:id/close", async (req, res) => {
   try {
-    const hashedPassword = await bcrypt.hash(password, 10)
-    await User.create({ name, email, password: hashedPassword, type })
+    const job = await findOwnJob(req)
+    if (!job) return res.redirect("/employer/jobs?status=not-found")
+    if (job.taken_down_at) return res.redirect("/employer/jobs?status=taken-down")
 
-    const content = `
-        <div class="text-center">
-          <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
-          <h2 class="fw-bold text-success mb-3">Registration Successful!</h2>
-          <div class="alert alert-success-custom">
-            <i class="fas fa-party-horn me-2"></i>
-            <strong>Welcome to JobPortal!</strong><br>
-            Your account has been created successfully. You can now sign in and start exploring opportunities.
-          </div>
-          <div class="d-flex justify-content-center gap-3">
-            <a href="/login" class="btn btn-success-custom btn-custom">
-              <i class="fas fa-sign-in-alt me-2"></i>Sign In Now
-            </a>
-          </div>
-        </div>
-      `
-    res.send(generateEnhancedHTML("Registration Successful", content))
-  } catch (err) {
-    let content
-    if (err.code === 11000) {
-      content = `
-          <div class="text-center">
-            <i class="fas fa-user-times fa-3x text-warning mb-3"></i>
-            <h2 class="fw-bold text-warning mb-3">Registration Failed</h2>
-            <div class="alert alert-danger-custom">
-              <i class="fas fa-exclamation-triangle me-2"></i>
-              <strong>Account Creation Failed!</strong><br>
-              This email address is already registered. Please try with a different email or sign in to your existing account.
-            </div>
-            <div class="d-flex justify-content-center gap-3 flex-wrap">
-              <a href="/register" class="btn btn-primary-custom btn-custom">
-                <i class="fas fa-user-plus me-2"></i>Try Different Email
-              </a>
-              <a href="/login" class="btn btn-success-custom btn-custom">
-                <i class="fas fa-sign-in-alt me-2"></i>Sign In Instead
-              </a>
-            </div>
-          </div>
-        `
-    } else {
-      content = `
-        <div class="text-center">
-          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
-          <h2 class="fw-bold text-danger mb-3">Registration Failed</h2>
-          <div class="alert alert-danger-custom">
-            <i class="fas fa-times-circle me-2"></i>
-            <strong>Error:</strong> An unexpected error occurred. Please try again.
-          </div>
-          <div class="d-flex justify-content-center gap-3">
-            <a href="/register" class="btn btn-primary-custom btn-custom">
-              <i class="fas fa-redo me-2"></i>Try Again
-            </a>
-            <a href="/" class="btn btn-secondary-custom btn-custom">
-              <i class="fas fa-home me-2"></i>Go Home
-            </a>
-          </div>
-        </div>
-      `
+    if (!job.closed_at) {
+      job.closed_at = new Date()
+      await job.save()
     }
-    return res.send(generateEnhancedHTML("Registration Failed", content))
+    res.redirect("/employer/jobs?status=closed")
+  } catch (err) {
+    res.redirect("/employer/jobs")
   }
 })
 
-app.get("/login", (req, res) => {
-  res.sendFile(path.join(__dirname, "views/login.html"))
+app.post("/employer/jobs/:id/reopen", async (req, res) => {
+  try {
+    const job = await findOwnJob(req)
+    if (!job) return res.redirect("/employer/jobs?status=not-found")
+    if (job.taken_down_at) return res.redirect("/employer/jobs?status=taken-down")
+
+    job.closed_at = undefined
+    await job.save()
+    res.redirect("/employer/jobs?status=reopened")
+  } catch (err) {
+    res.redirect("/employer/jobs")
+  }
 })
 
-app.post("/login", async (req, res) => {
-  const { email, password } = req.body
+app.post("/employer/jobs/:id/publish", async (req, res) => {
   try {
-    const user = await User.findOne({ email })
+    const job = await findOwnJob(req)
+    if (!job) return res.redirect("/employer/jobs?status=not-found")
+    if (job.taken_down_at) return res.redirect("/employer/jobs?status=taken-down")
 
-    if (!user) {
-      const content = `
-        <div class="text-center">
-          <i class="fas fa-user-slash fa-3x text-danger mb-3"></i>
-          <h2 class="fw-bold text-danger mb-3">Login Failed</h2>
-          <div class="alert alert-danger-custom">
-            <i class="fas fa-exclamation-triangle me-2"></i>
-            <strong>Invalid Credentials!</strong><br>
-            The email or password you entered is incorrect. Please check your credentials and try again.
-          </div>
-          <div class="d-flex justify-content-center gap-3 flex-wrap">
-            <a href="/login" class="btn btn-primary-custom btn-custom">
-              <i class="fas fa-redo me-2"></i>Try Again
-            </a>
-            <a href="/register" class="btn btn-success-custom btn-custom">
-              <i class="fas fa-user-plus me-2"></i>Create Account
-            </a>
-          </div>
-        </div>
-      `
-      return res.send(generateEnhancedHTML("Login Failed", content))
+    if (job.status === "draft") {
+      job.status = "published"
+      job.publish_at = undefined
+      await job.save()
     }
+    res.redirect("/employer/jobs?status=published")
+  } catch (err) {
+    res.redirect("/employer/jobs")
+  }
+})
 
-    const isMatch = await bcrypt.compare(password, user.password)
-    if (isMatch) {
-        req.session.user = user.toObject()
-        res.redirect("/dashboard")
-    } else {
-        const content = `
-          <div class="text-center">
-            <i class="fas fa-lock fa-3x text-warning mb-3"></i>
-            <h2 class="fw-bold text-warning mb-3">Access Denied</h2>
-            <div class="alert alert-danger-custom">
-              <i class="fas fa-key me-2"></i>
-              <strong>Incorrect Password!</strong><br>
-              The password you entered is incorrect. Please check your password and try again.
-            </div>
-            <div class="d-flex justify-content-center gap-3">
-              <a href="/login" class="btn btn-primary-custom btn-custom">
-                <i class="fas fa-redo me-2"></i>Try Again
-              </a>
-            </div>
-          </div>
-        `
-        res.send(generateEnhancedHTML("Login Failed", content))
+// Status key explaining why a job can't be renewed, or null when it can:
+// only open jobs that have expired or are about to may be renewed
+const renewalBlockedStatus = (job) => {
+  if (job.taken_down_at) return "taken-down"
+  if (job.closed_at) return "renew-closed"
+  if (!job.expires_at || job.expires_at - Date.now() >= JOB_EXPIRY_REMINDER) return "renew-not-due"
+  return null
+}
+
+// Renewal links in expiry emails land here; the button posts to the route below
+app.get("/employer/jobs/:id/renew", async (req, res) => {
+  try {
+    const job = await findOwnJob(req)
+    if (!job) return res.redirect("/employer/jobs?status=not-found")
+    if (job.status === "draft") return res.redirect("/employer/jobs")
+    const blocked = renewalBlockedStatus(job)
+    if (blocked) return res.redirect(`/employer/jobs?status=${blocked}`)
+
+    const content = `
+      <div class="text-center">
+        <i class="fas fa-redo fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold mb-3">Renew Job Posting</h2>
+        <p class="text-muted">
+          "<strong>${escapeHtml(job.title)}</strong>" ${isJobExpired(job) ? `expired ${formatTimeAgo(job.expires_at)}` : `expires on ${job.expires_at ? job.expires_at.toLocaleString() : "—"}`}.
+          Renewing keeps it live for another ${JOB_LIFETIME / (24 * 60 * 60 * 1000)} days.
+        </p>
+        <form action="/employer/jobs/${job._id}/renew" method="POST" class="d-inline">
+          <button type="submit" class="btn btn-success-custom btn-custom">
+            <i class="fas fa-redo me-2"></i>Renew for ${JOB_LIFETIME / (24 * 60 * 60 * 1000)} Days
+          </button>
+        </form>
+        <a href="/employer/jobs" class="btn btn-secondary-custom btn-custom ms-2">Not Now</a>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Renew Job Posting", content, req.session.user))
+  } catch (err) {
+    res.redirect("/employer/jobs")
+  }
+})
+
+app.post("/employer/jobs/:id/renew", async (req, res) => {
+  try {
+    const job = await findOwnJob(req)
+    if (!job) return res.redirect("/employer/jobs?status=not-found")
+    if (job.status === "draft") return res.redirect("/employer/jobs")
+    const blocked = renewalBlockedStatus(job)
+    if (blocked) return res.redirect(`/employer/jobs?status=${blocked}`)
+
+    job.status = "published"
+    job.expires_at = new Date(Date.now() + JOB_LIFETIME)
+    job.expiry_reminder_sent_at = undefined
+    await job.save()
+    res.redirect("/employer/jobs?status=renewed")
+  } catch (err) {
+    res.redirect("/employer/jobs")
+  }
+})
+
+// Geocode locations saved before coordinates were stored (and ones the geocoder has learned since).
+// Failed lookups are recorded and only retried after GEOCODE_RETRY_INTERVAL, and each boot handles
+// at most GEOCODE_BACKFILL_BATCH records per model, so unknown places don't get looked up every start.
+const GEOCODE_BACKFILL_BATCH = 200
+const GEOCODE_RETRY_INTERVAL = 7 * 24 * 60 * 60 * 1000 // 7 days
+
+mongoose.connection.once("open", async () => {
+  try {
+    for (const Model of [Job, User]) {
+      const records = await Model.find({
+        location: { $nin: [null, ""] },
+        location_point: null,
+        geocode_failed_at: { $not: { $gt: new Date(Date.now() - GEOCODE_RETRY_INTERVAL) } },
+      })
+        .limit(GEOCODE_BACKFILL_BATCH)
+        .select("location")
+      for (const record of records) {
+        const point = await geocodePoint(record.location)
+        await Model.updateOne(
+          { _id: record._id },
+          point ? { location_point: point, $unset: { geocode_failed_at: 1 } } : { geocode_failed_at: new Date() },
+        )
+      }
     }
   } catch (err) {
-    const content = `
-        <div class="text-center">
-          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
-          <h2 class="fw-bold text-danger mb-3">Login Error</h2>
-          <div class="alert alert-danger-custom">
-            <i class="fas fa-times-circle me-2"></i>
-            <strong>Server Error!</strong> An unexpected error occurred. Please try again later.
-          </div>
-          <div class="d-flex justify-content-center gap-3">
-            <a href="/login" class="btn btn-primary-custom btn-custom">
-              <i class="fas fa-redo me-2"></i>Try Again
-            </a>
-          </div>
-        </div>
-      `
-    res.send(generateEnhancedHTML("Login Error", content))
+    console.error("Failed to backfill location coordinates:", err)
   }
 })
 
-app.get("/logout", (req, res) => {
-  req.session.destroy()
-  const content = `
-    <div class="text-center">
-      <i class="fas fa-sign-out-alt fa-3x text-info mb-3"></i>
-      <h2 class="fw-bold mb-3">Successfully Logged Out</h2>
-      <div class="alert alert-info-custom">
-        <i class="fas fa-check-circle me-2"></i>
-        <strong>See you soon!</strong><br>
-        You have been successfully logged out of your JobPortal account.
-      </div>
-      <div class="d-flex justify-content-center gap-3">
-        <a href="/login" class="btn btn-primary-custom btn-custom">
-          <i class="fas fa-sign-in-alt me-2"></i>Sign In Again
-        </a>
-        <a href="/" class="btn btn-secondary-custom btn-custom">
-          <i class="fas fa-home me-2"></i>Go Home
-        </a>
-      </div>
-    </div>
-  `
-  res.send(generateEnhancedHTML("Logged Out", content))
+// Postings from before the lifecycle fields existed were published when they were created
+mongoose.connection.once("open", () => {
+  Job.updateMany(
+    { published_at: null, status: { $ne: "draft" } },
+    [{ $set: { published_at: "$createdAt" } }],
+  ).catch((err) => console.error("Failed to backfill job publish dates:", err))
 })
 
-// Profile Routes
-app.get("/profile", async (req, res) => {
-  if (!req.session.user) return res.redirect("/login")
+// Publishes scheduled drafts, reminds owners about postings about to expire and marks expired ones
+scheduleBackgroundJob("job lifecycle", JOB_LIFECYCLE_INTERVAL, async () => {
+  const now = new Date()
+
+  const due = await Job.find({ status: "draft", publish_at: { $lte: now } })
+  for (const job of due) {
+    job.status = "published"
+    job.publish_at = undefined
+    await job.save()
+  }
+
+  const expiring = await Job.find({
+    status: "published",
+    taken_down_at: null,
+    closed_at: null,
+    expires_at: { $gt: now, $lte: new Date(now.getTime() + JOB_EXPIRY_REMINDER) },
+    expiry_reminder_sent_at: null,
+  }).populate("posted_by", "name email")
+  for (const job of expiring) {
+    if (job.posted_by) {
+      await sendMail({
+        to: job.posted_by.email,
+        subject: `Your job posting "${job.title}" expires soon`,
+        text: `Hi ${job.posted_by.name},\n\nYour job posting "${job.title}" will expire on ${job.expires_at.toUTCString()} and stop accepting applications.\n\nRenew it for another ${JOB_LIFETIME / (24 * 60 * 60 * 1000)} days with one click:\n${APP_URL}/employer/jobs/${job._id}/renew`,
+      }).catch((err) => console.error("Failed to send expiry reminder:", err))
+    }
+    await Job.updateOne({ _id: job._id }, { expiry_reminder_sent_at: now })
+  }
+
+  await Job.updateMany({ status: "published", expires_at: { $lte: now } }, { status: "expired" })
+})
 
+app.post("/employer/jobs/:id/delete", async (req, res) => {
   try {
-    const userId = req.session.user._id
-    const user = await User.findById(userId)
+    const job = await findOwnJob(req)
+    if (!job) return res.redirect("/employer/jobs?status=not-found")
+    // Taken-down postings and their applications are kept as the record of the moderation
+    if (job.taken_down_at) return res.redirect("/employer/jobs?status=taken-down")
 
-    if (!user) {
-      return res.redirect("/dashboard")
+    const applications = await Application.find({ job_id: job._id })
+    await Promise.all(applications.map((application) => removeUpload(application.resume_url)))
+    await Application.deleteMany({ job_id: job._id })
+    await SavedJob.deleteMany({ job_id: job._id })
+    await JobAlertDelivery.deleteMany({ job_id: job._id })
+    await job.deleteOne()
+    res.redirect("/employer/jobs?status=deleted")
+  } catch (err) {
+    res.redirect("/employer/jobs")
+  }
+})
+
+// Bulk Job Import and Export
+// Employers upload a CSV or JSON file of postings. Every row is checked against JobSchema and
+// shown in a preview; confirming creates the valid rows in one batch. Exports use the same
+// columns, so an exported file can be edited and imported again.
+const JOB_IMPORT_MAX_ROWS = 200
+const JOB_IMPORT_COLUMNS = [
+  "title",
+  "company",
+  "location",
+  "description",
+  "employment_type",
+  "salary_min",
+  "salary_max",
+  "salary_currency",
+  "salary_period",
+  "remote_policy",
+  "seniority",
+  "skills",
+]
+// Read-only columns added to exports; imports ignore them
+const JOB_EXPORT_COLUMNS = ["id", ...JOB_IMPORT_COLUMNS, "status", "url", "published_at", "expires_at", "closed_at", "created_at"]
+
+// Import files are parsed straight from memory and never written to disk
+const jobImportUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } })
+
+// Parses RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ""
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+  if (quoted) throw new RangeError("The CSV file has a quoted value that is never closed.")
+  if (field !== "" || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter((values) => values.some((value) => value.trim() !== ""))
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas, so exports prefix them
+// with an apostrophe; imports remove it again
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/
+
+function csvCell(value) {
+  let text = value == null ? "" : value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join(", ") : String(value)
+  if (CSV_FORMULA_PATTERN.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toCsv(columns, records) {
+  return [columns, ...records.map((record) => columns.map((column) => record[column]))]
+    .map((values) => values.map(csvCell).join(","))
+    .join("\r\n")
+}
+
+// Turns an uploaded file into plain objects keyed by column name
+function readJobImportFile(file) {
+  const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "")
+  const isJson = /\.json$/i.test(file.originalname) || file.mimetype === "application/json"
+
+  let records
+  if (isJson) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (err) {
+      throw new RangeError("The file isn't valid JSON.")
     }
+    records = Array.isArray(data) ? data : data && data.jobs
+    if (!Array.isArray(records)) throw new RangeError('A JSON import must be an array of jobs or an object with a "jobs" array.')
+  } else {
+    const [header, ...rows] = parseCsv(text)
+    if (!header) throw new RangeError("The file is empty.")
+    const columns = header.map((name) => name.trim().toLowerCase())
+    if (!columns.includes("title")) throw new RangeError("The first CSV row must name the columns, including title.")
+    records = rows.map((values) =>
+      Object.fromEntries(
+        columns.map((column, index) => [column, (values[index] || "").replace(/^'(?=[=+\-@\t\r])/, "")]),
+      ),
+    )
+  }
 
-    // Update session with latest user data
-    req.session.user = user.toObject()
+  if (records.length === 0) throw new RangeError("The file doesn't contain any jobs.")
+  if (records.length > JOB_IMPORT_MAX_ROWS) {
+    throw new RangeError(`Import up to ${JOB_IMPORT_MAX_ROWS} jobs at a time; this file has ${records.length}.`)
+  }
+  return records
+}
 
-    // Check if we're showing success message
-    const showSuccess = req.query.updated === "true"
+// Validates each record as a job of this employer; returns { fields, errors } per row
+async function validateJobImport(records, employerId) {
+  return Promise.all(
+    records.map(async (record) => {
+      if (!record || typeof record !== "object" || Array.isArray(record)) {
+        return { fields: {}, errors: ["Each job must be an object with named fields."] }
+      }
+      const fields = parseJobFields(Object.fromEntries(JOB_IMPORT_COLUMNS.map((column) => [column, record[column]])))
+      try {
+        // Validated as a draft so the check doesn't depend on the publishing choice made later
+        await new Job({ ...fields, posted_by: employerId, status: "draft" }).validate()
+        return { fields, errors: [] }
+      } catch (err) {
+        if (err.name !== "ValidationError") throw err
+        return { fields, errors: Object.values(err.errors).map((error) => error.message) }
+      }
+    }),
+  )
+}
 
-    const successAlert = showSuccess
-      ? `
-      <div class="alert alert-success-custom alert-dismissible fade show" role="alert">
-        <i class="fas fa-check-circle me-2"></i>
-        <strong>Profile Updated!</strong> Your profile information has been successfully updated.
-        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+function jobImportErrorContent(message) {
+  return `
+    <div class="text-center">
+      <i class="fas fa-file-import fa-3x text-danger mb-3"></i>
+      <h2 class="fw-bold text-danger mb-3">Import Failed</h2>
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-times-circle me-2"></i>${escapeHtml(message)}
       </div>
-    `
-      : ""
+      <a href="/employer/jobs/import" class="btn btn-primary-custom btn-custom">
+        <i class="fas fa-redo me-2"></i>Try Another File
+      </a>
+    </div>
+  `
+}
 
-    const content = `
-      ${successAlert}
-      <div class="row">
-        <div class="col-md-4">
-          <div class="card-custom text-center">
-            <div class="card-body-custom">
-              <div class="mb-4">
-                <img src="${user.profile_picture || getDefaultAvatar(150)}" 
-                     alt="Profile Picture" class="rounded-circle mb-3" width="150" height="150"
-                     style="object-fit: cover; border: 4px solid var(--primary-color);">
-                <h4 class="fw-bold">${user.name}</h4>
-                <p class="text-muted">
-                  <i class="fas fa-${user.type === "employer" ? "building" : "user"} me-2"></i>
-                  ${user.type === "employer" ? "Employer" : "Job Seeker"}
-                </p>
-                ${
-                  user.location
-                    ? `
-                  <p class="text-muted">
-                    <i class="fas fa-map-marker-alt me-2"></i>${user.location}
-                  </p>
-                `
-                    : ""
-                }
-              </div>
-              <a href="/profile/edit" class="btn btn-primary-custom btn-custom">
-                <i class="fas fa-edit me-2"></i>Edit Profile
-              </a>
-            </div>
+app.get("/employer/jobs/import", (req, res) => {
+  const content = `
+    <div class="row justify-content-center">
+      <div class="col-lg-8">
+        <div class="text-center mb-4">
+          <i class="fas fa-file-import fa-3x text-primary mb-3"></i>
+          <h2 class="fw-bold">Import Jobs</h2>
+          <p class="text-muted">Upload a CSV or JSON file with up to ${JOB_IMPORT_MAX_ROWS} jobs. You'll see a preview before anything is posted.</p>
+        </div>
+
+        <div class="card-custom mb-4">
+          <div class="card-body-custom">
+            <form action="/employer/jobs/import" method="POST" enctype="multipart/form-data">
+              <label class="form-label-custom">
+                <i class="fas fa-file-csv me-2"></i>Jobs File
+              </label>
+              <input type="file" name="jobsFile" accept=".csv,.json,text/csv,application/json" class="form-control form-control-custom mb-3" required>
+              <button type="submit" class="btn btn-primary-custom btn-custom">
+                <i class="fas fa-eye me-2"></i>Preview Import
+              </button>
+              <a href="/employer/jobs" class="btn btn-secondary-custom btn-custom ms-2">Cancel</a>
+            </form>
           </div>
         </div>
-        
-        <div class="col-md-8">
-          <div class="card-custom">
-            <div class="card-header-custom">
-              <h5 class="mb-0">
-                <i class="fas fa-info-circle me-2"></i>Profile Information
-              </h5>
-            </div>
-            <div class="card-body-custom">
-              <div class="row g-3">
-                <div class="col-md-6">
-                  <strong>Email:</strong>
-                  <p class="text-muted">${user.email}</p>
-                </div>
-                <div class="col-md-6">
-                  <strong>Phone:</strong>
-                  <p class="text-muted">${user.phone || "Not provided"}</p>
-                </div>
-                <div class="col-12">
-                  <strong>Bio:</strong>
-                  <p class="text-muted">${user.bio || "No bio provided yet."}</p>
-                </div>
-                
-                ${
-                  user.type === "user"
-                    ? `
-                  <div class="col-12">
-                    <strong>Skills:</strong>
-                    <p class="text-muted">${user.skills || "No skills listed yet."}</p>
-                  </div>
-                  <div class="col-12">
-                    <strong>Experience:</strong>
-                    <p class="text-muted">${user.experience || "No experience details provided."}</p>
-                  </div>
-                `
-                    : `
-                  <div class="col-md-6">
-                    <strong>Company:</strong>
-                    <p class="text-muted">${user.company_name || "Not provided"}</p>
-                  </div>
-                  <div class="col-md-6">
-                    <strong>Website:</strong>
-                    <p class="text-muted">${user.website ? `<a href="${user.website}" target="_blank">${user.website}</a>` : "Not provided"}</p>
-                  </div>
-                  <div class="col-12">
-                    <strong>Company Description:</strong>
-                    <p class="text-muted">${user.company_description || "No company description provided."}</p>
-                  </div>
-                `
-                }
-              </div>
-            </div>
+
+        <div class="card-custom">
+          <div class="card-header-custom">
+            <h5 class="mb-0"><i class="fas fa-info-circle me-2"></i>File Format</h5>
+          </div>
+          <div class="card-body-custom">
+            <p>CSV files need a header row naming the columns; JSON files contain an array of job objects with the same names.
+               <strong>title</strong>, <strong>company</strong> and <strong>description</strong> are required.</p>
+            <p class="mb-2"><code>${JOB_IMPORT_COLUMNS.join(", ")}</code></p>
+            <ul class="text-muted small">
+              <li>employment_type: ${Object.keys(EMPLOYMENT_TYPES).join(", ")}</li>
+              <li>remote_policy: ${Object.keys(REMOTE_POLICIES).join(", ")}</li>
+              <li>seniority: ${Object.keys(SENIORITY_LEVELS).join(", ")}</li>
+              <li>salary_period: ${Object.keys(SALARY_PERIODS).join(", ")}; salary_currency is a three-letter code such as USD</li>
+              <li>skills: a comma-separated list</li>
+            </ul>
+            <p class="mb-0">
+              <a href="/employer/jobs/import/template.csv"><i class="fas fa-download me-1"></i>Download a CSV template</a>
+              or <a href="/employer/jobs/export?format=csv">export your current jobs</a> to start from.
+            </p>
           </div>
         </div>
       </div>
-    `
+    </div>
+  `
+  res.send(generateEnhancedHTML("Import Jobs", content, req.session.user))
+})
 
-    res.send(generateEnhancedHTML("My Profile", content, user))
-  } catch (err) {
-    return res.redirect("/dashboard")
+app.get("/employer/jobs/import/template.csv", (req, res) => {
+  const example = {
+    title: "Senior Software Engineer",
+    company: req.session.user.company_name || "Tech Solutions Inc.",
+    location: "Berlin, Germany",
+    description: "Build and run our hiring platform.\nYou'll work closely with product and design.",
+    employment_type: "full-time",
+    salary_min: 70000,
+    salary_max: 90000,
+    salary_currency: "EUR",
+    salary_period: "year",
+    remote_policy: "hybrid",
+    seniority: "senior",
+    skills: ["Node.js", "MongoDB"],
   }
+  res.attachment("jobportal-import-template.csv")
+  res.type("text/csv").send(toCsv(JOB_IMPORT_COLUMNS, [example]))
 })
 
-app.get("/profile/edit", (req, res) => { // This route only renders a form, no DB interaction needed to change
-  if (!req.session.user) return res.redirect("/login")
+app.post(
+  "/employer/jobs/import",
+  (req, res, next) => {
+    jobImportUpload.single("jobsFile")(req, res, (err) => {
+      if (!err) return next()
+      const message = err.code === "LIMIT_FILE_SIZE" ? "The file is larger than 2MB." : "The file couldn't be uploaded."
+      res.status(400).send(generateEnhancedHTML("Import Failed", jobImportErrorContent(message), req.session.user))
+    })
+  },
+  verifyCsrf,
+  async (req, res) => {
+    if (!(await isEmailVerified(req))) {
+      return res.send(generateEnhancedHTML("Email Not Verified", verifyEmailRequiredContent("post jobs"), req.session.user))
+    }
+    if (!req.file) return res.redirect("/employer/jobs/import")
 
-  const user = req.session.user
+    try {
+      const results = await validateJobImport(readJobImportFile(req.file), req.session.user._id)
+      const valid = results.filter((result) => result.errors.length === 0)
 
-  const content = `
-    <div class="text-center mb-4">
-      <i class="fas fa-user-edit fa-3x text-primary mb-3"></i>
-      <h2 class="fw-bold">Edit Profile</h2>
-      <p class="text-muted">Update your profile information</p>
-    </div>
+      // Kept until the employer confirms or uploads another file; the session only holds its id
+      await JobImport.deleteMany({ user_id: req.session.user._id })
+      const pending = await JobImport.create({
+        user_id: req.session.user._id,
+        file_name: req.file.originalname,
+        rows: valid.map((result) => result.fields),
+      })
+      req.session.job_import_id = String(pending._id)
 
-    <form action="/profile/edit" method="POST" enctype="multipart/form-data" id="profileForm">
-      <div class="row g-4">
-        <div class="col-md-4">
-          <div class="card-custom text-center">
-            <div class="card-body-custom">
-              <div class="mb-3">
-                <img src="${user.profile_picture || getDefaultAvatar(150)}" 
-                     alt="Profile Picture" class="rounded-circle mb-3" width="150" height="150"
-                     style="object-fit: cover; border: 4px solid var(--primary-color);" id="profilePreview">
-              </div>
-              <div class="file-upload-wrapper">
-                <input type="file" name="profilePicture" accept="image/*" class="file-upload-input" id="profilePictureInput">
-                <label for="profilePictureInput" class="btn btn-primary-custom btn-custom btn-sm">
-                  <i class="fas fa-camera me-2"></i>Change Photo
-                </label>
-              </div>
-              <small class="text-muted d-block mt-2">JPG, PNG or GIF (Max 5MB)</small>
+      const content = `
+        <div class="text-center mb-4">
+          <i class="fas fa-file-import fa-3x text-primary mb-3"></i>
+          <h2 class="fw-bold">Import Preview</h2>
+          <p class="text-muted">
+            ${escapeHtml(req.file.originalname)}: ${valid.length} of ${results.length} job${results.length !== 1 ? "s" : ""} ready to import
+          </p>
+        </div>
+
+        ${
+          valid.length < results.length
+            ? `
+          <div class="alert alert-warning-custom">
+            <i class="fas fa-exclamation-triangle me-2"></i>
+            Rows with errors are skipped. Fix them in your file and import it again to add them.
+          </div>
+        `
+            : ""
+        }
+
+        <div class="card-custom mb-4">
+          <div class="card-body-custom">
+            <div class="table-responsive">
+              <table class="table align-middle mb-0">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Job</th>
+                    <th>Details</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${results
+                    .map(
+                      ({ fields, errors }, index) => `
+                    <tr>
+                      <td>${index + 1}</td>
+                      <td>
+                        <span class="fw-semibold">${escapeHtml(fields.title || "(no title)")}</span>
+                        <small class="text-muted d-block">${escapeHtml(fields.company || "")}${fields.location ? ` • ${escapeHtml(fields.location)}` : ""}</small>
+                      </td>
+                      <td><small class="text-muted">${escapeHtml(jobFeedSummary(fields))}</small></td>
+                      <td>
+                        ${
+                          errors.length
+                            ? `<ul class="text-danger small mb-0 ps-3">${errors.map((error) => `<li>${escapeHtml(error)}</li>`).join("")}</ul>`
+                            : `<span class="badge bg-success">Ready</span>`
+                        }
+                      </td>
+                    </tr>
+                  `,
+                    )
+                    .join("")}
+                </tbody>
+              </table>
             </div>
           </div>
         </div>
-        
-        <div class="col-md-8">
-          <div class="card-custom">
+
+        ${
+          valid.length
+            ? `
+          <form action="/employer/jobs/import/confirm" method="POST" class="card-custom">
             <div class="card-body-custom">
-              <div class="row g-3">
-                <div class="col-md-6">
-                  <label class="form-label-custom">
-                    <i class="fas fa-user me-2"></i>Full Name
-                  </label>
-                  <input type="text" name="name" class="form-control form-control-custom" 
-                         value="${user.name}" required>
-                </div>
-                
-                <div class="col-md-6">
-                  <label class="form-label-custom">
-                    <i class="fas fa-phone me-2"></i>Phone Number
-                  </label>
-                  <input type="tel" name="phone" class="form-control form-control-custom" 
-                         value="${user.phone || ""}" placeholder="Your phone number">
+              <div class="row g-2 align-items-center">
+                <div class="col-md-4">
+                  <select name="publish_mode" class="form-select form-select-custom">
+                    <option value="now">Publish now</option>
+                    <option value="draft">Save as drafts</option>
+                  </select>
                 </div>
-                
-                <div class="col-12">
-                  <label class="form-label-custom">
-                    <i class="fas fa-map-marker-alt me-2"></i>Location
-                  </label>
-                  <input type="text" name="location" class="form-control form-control-custom" 
-                         value="${user.location || ""}" placeholder="City, Country">
+                <div class="col-md-4">
+                  <select name="duration_days" class="form-select form-select-custom">
+                    ${JOB_DURATION_DAYS.map((days) => `<option value="${days}"${days === 30 ? " selected" : ""}>Keep live for ${days} days</option>`).join("")}
+                  </select>
                 </div>
-                
-                <div class="col-12">
-                  <label class="form-label-custom">
-                    <i class="fas fa-info-circle me-2"></i>Bio
-                  </label>
-                  <textarea name="bio" class="form-control form-control-custom" rows="3" 
-                            placeholder="Tell us about yourself...">${user.bio || ""}</textarea>
+                <div class="col-md-4 text-md-end">
+                  <button type="submit" class="btn btn-success-custom btn-custom">
+                    <i class="fas fa-check me-2"></i>Import ${valid.length} Job${valid.length !== 1 ? "s" : ""}
+                  </button>
                 </div>
-                
-                ${
-                  user.type === "user"
-                    ? `
-                  <div class="col-12">
-                    <label class="form-label-custom">
-                      <i class="fas fa-tools me-2"></i>Skills
-                    </label>
-                    <textarea name="skills" class="form-control form-control-custom" rows="2" 
-                              placeholder="List your skills (e.g., JavaScript, Python, Project Management)">${user.skills || ""}</textarea>
-                  </div>
-                  
-                  <div class="col-12">
-                    <label class="form-label-custom">
-                      <i class="fas fa-briefcase me-2"></i>Experience
-                    </label>
-                    <textarea name="experience" class="form-control form-control-custom" rows="3" 
-                              placeholder="Describe your work experience...">${user.experience || ""}</textarea>
-                  </div>
-                `
-                    : `
-                  <div class="col-md-6">
-                    <label class="form-label-custom">
-                      <i class="fas fa-building me-2"></i>Company Name
-                    </label>
-                    <input type="text" name="company_name" class="form-control form-control-custom" 
-                           value="${user.company_name || ""}" placeholder="Your company name">
-                  </div>
-                  
-                  <div class="col-md-6">
-                    <label class="form-label-custom">
-                      <i class="fas fa-globe me-2"></i>Website
-                    </label>
-                    <input type="url" name="website" class="form-control form-control-custom" 
-                           value="${user.website || ""}" placeholder="https://yourcompany.com">
-                  </div>
-                  
-                  <div class="col-12">
-                    <label class="form-label-custom">
-                      <i class="fas fa-info-circle me-2"></i>Company Description
-                    </label>
-                    <textarea name="company_description" class="form-control form-control-custom" rows="3" 
-                              placeholder="Describe your company...">${user.company_description || ""}</textarea>
-                  </div>
-                `
-                }
               </div>
             </div>
-          </div>
+          </form>
+        `
+            : ""
+        }
+        <div class="text-center mt-3">
+          <a href="/employer/jobs/import" class="btn btn-secondary-custom btn-custom btn-sm">
+            <i class="fas fa-upload me-2"></i>Upload a Different File
+          </a>
         </div>
-      </div>
-      
-      <div class="text-center mt-4">
-        <button type="submit" class="btn btn-success-custom btn-custom">
-          <i class="fas fa-save me-2"></i>Save Changes
-        </button>
-        <a href="/profile" class="btn btn-secondary-custom btn-custom ms-2">
-          <i class="fas fa-times me-2"></i>Cancel
-        </a>
-      </div>
-    </form>
+      `
+      res.send(generateEnhancedHTML("Import Preview", content, req.session.user))
+    } catch (err) {
+      const message = err instanceof RangeError ? err.message : "The file couldn't be read. Please try again."
+      res.status(400).send(generateEnhancedHTML("Import Failed", jobImportErrorContent(message), req.session.user))
+    }
+  },
+)
 
-    <script>
-      // Profile picture preview
-      document.getElementById('profilePictureInput').addEventListener('change', function(e) {
-        const file = e.target.files[0];
-        if (file) {
-          const reader = new FileReader();
-          reader.onload = function(e) {
-            document.getElementById('profilePreview').src = e.target.result;
-          };
-          reader.readAsDataURL(file);
-        }
-      });
-    </script>
-  `
+app.post("/employer/jobs/import/confirm", async (req, res) => {
+  const pendingId = req.session.job_import_id
+  if (!pendingId || !mongoose.Types.ObjectId.isValid(pendingId)) return res.redirect("/employer/jobs/import")
+  if (!(await isEmailVerified(req))) {
+    return res.send(generateEnhancedHTML("Email Not Verified", verifyEmailRequiredContent("post jobs"), req.session.user))
+  }
 
-  res.send(generateEnhancedHTML("Edit Profile", content, user))
-})
+  try {
+    const pending = await JobImport.findOne({ _id: pendingId, user_id: req.session.user._id })
+    if (!pending || !pending.rows.length) {
+      delete req.session.job_import_id
+      return res.redirect("/employer/jobs/import")
+    }
 
-app.post("/profile/edit", upload.single("profilePicture"), async (req, res) => {
-  if (!req.session.user) return res.redirect("/login")
+    const posted_by = req.session.user._id
+    const schedule = parseJobSchedule({ ...req.body, publish_mode: req.body.publish_mode === "draft" ? "draft" : "now" })
+
+    // insertMany skips save middleware, so the coordinates and company link are filled in here
+    const companyIds = new Map()
+    const jobs = []
+    for (const fields of pending.rows) {
+      const companyKey = fields.company.trim().toLowerCase()
+      if (!companyIds.has(companyKey)) companyIds.set(companyKey, await companyIdForJob(posted_by, fields.company))
+      jobs.push({
+        ...fields,
+        ...schedule,
+        posted_by,
+        company_id: companyIds.get(companyKey),
+        location_point: await geocodePoint(fields.location),
+      })
+    }
+    await Job.insertMany(jobs)
+
+    await JobImport.deleteOne({ _id: pending._id })
+    delete req.session.job_import_id
+    res.redirect(`/employer/jobs?status=${schedule.status === "draft" ? "imported-drafts" : "imported"}`)
+  } catch (err) {
+    res.status(500).send(generateEnhancedHTML("Import Failed", jobImportErrorContent("The jobs couldn't be created. Please try again."), req.session.user))
+  }
+})
 
+app.get("/employer/jobs/export", async (req, res) => {
   try {
-    const userId = req.session.user._id
-    const { name, phone, location, bio, skills, experience, company_name, website, company_description } = req.body
+    const format = req.query.format === "json" ? "json" : "csv"
+    const jobs = await Job.find({ posted_by: req.session.user._id }).sort({ createdAt: -1 })
+    const records = jobs.map((job) => ({
+      id: String(job._id),
+      ...Object.fromEntries(JOB_IMPORT_COLUMNS.map((column) => [column, job[column] ?? null])),
+      skills: [...job.skills],
+      status: job.taken_down_at ? "taken-down" : job.closed_at ? "closed" : isJobExpired(job) ? "expired" : job.status,
+      url: APP_URL + job.url_path,
+      published_at: job.published_at || null,
+      expires_at: job.expires_at || null,
+      closed_at: job.closed_at || null,
+      created_at: job.createdAt,
+    }))
 
-    const updateData = {
-      name, phone, location, bio, skills, experience,
-      company_name, website, company_description,
+    res.attachment(`jobportal-jobs-${new Date().toISOString().slice(0, 10)}.${format}`)
+    if (format === "json") {
+      res.type("application/json").send(JSON.stringify(records, null, 2))
+    } else {
+      res.type("text/csv").send(toCsv(JOB_EXPORT_COLUMNS, records))
     }
+  } catch (err) {
+    res.redirect("/employer/jobs")
+  }
+})
 
-    if (req.file) {
-      updateData.profile_picture = `/uploads/profiles/${req.file.filename}`
-    }
+// Companies
+// Every employer account belongs to one company page, created from the company name on their
+// profile or first posting. Postings for that company link to it and are listed on its page.
+const COMPANY_SIZES = {
+  "1-10": "1–10 employees",
+  "11-50": "11–50 employees",
+  "51-200": "51–200 employees",
+  "201-500": "201–500 employees",
+  "501-1000": "501–1,000 employees",
+  "1001-5000": "1,001–5,000 employees",
+  "5000+": "5,000+ employees",
+}
+const COMPANY_PAGE_SIZE = 24
 
-    const updatedUser = await User.findByIdAndUpdate(userId, updateData, { new: true })
+function sameCompanyName(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase()
+}
 
-    if (updatedUser) {
-      req.session.user = updatedUser.toObject()
-      res.redirect("/profile?updated=true")
-    } else {
-      throw new Error("User not found")
+// Keeps the employer's company page in step with the company fields on their profile,
+// creating the page the first time a company name is saved
+async function syncEmployerCompany(user) {
+  if (user.type !== "employer" || !user.company_name) return null
+
+  const company = (user.company_id && (await Company.findById(user.company_id))) || new Company()
+  company.set({ name: user.company_name, description: user.company_description, website: user.website })
+  await company.save()
+
+  if (String(user.company_id) !== String(company._id)) {
+    user.company_id = company._id
+    await User.updateOne({ _id: user._id }, { company_id: company._id, company_name: user.company_name })
+  }
+  return company
+}
+
+// Returns the company page a posting belongs to: the employer's own one when the names match
+async function companyIdForJob(employerId, companyName) {
+  const employer = await User.findById(employerId)
+  if (!employer || employer.type !== "employer") return undefined
+
+  if (!employer.company_id) {
+    employer.company_name = employer.company_name || companyName
+    await syncEmployerCompany(employer)
+  }
+  const company = employer.company_id && (await Company.findById(employer.company_id))
+  return company && sameCompanyName(company.name, companyName) ? company._id : undefined
+}
+
+function companyLogo(company, sizeClass = "") {
+  return company.logo
+    ? `<img src="${escapeHtml(company.logo)}" alt="${escapeHtml(company.name)} logo" class="company-logo ${sizeClass}">`
+    : `<span class="company-logo company-logo-placeholder ${sizeClass}"><i class="fas fa-building"></i></span>`
+}
+
+function companyFacts(company) {
+  return [company.industry, COMPANY_SIZES[company.size], company.headquarters].filter(Boolean).map(escapeHtml)
+}
+
+function companyNotFoundContent() {
+  return `
+    <div class="text-center">
+      <i class="fas fa-building fa-3x text-muted mb-3"></i>
+      <h2 class="fw-bold mb-3">Company Not Found</h2>
+      <div class="alert alert-info-custom">
+        <i class="fas fa-info-circle me-2"></i>
+        This company page doesn't exist or has been removed.
+      </div>
+      <a href="/companies" class="btn btn-primary-custom btn-custom">
+        <i class="fas fa-building me-2"></i>Browse Companies
+      </a>
+    </div>
+  `
+}
+
+// Employers from before company pages existed get one from their profile or latest posting,
+// and their postings under that name are linked to it
+mongoose.connection.once("open", async () => {
+  try {
+    const employers = await User.find({ type: "employer", company_id: null })
+    for (const employer of employers) {
+      if (!employer.company_name) {
+        const latest = await Job.findOne({ posted_by: employer._id }).sort({ createdAt: -1 }).select("company")
+        if (!latest) continue
+        employer.company_name = latest.company
+      }
+      const company = await syncEmployerCompany(employer)
+      await Job.updateMany(
+        { posted_by: employer._id, company_id: null, company: new RegExp(`^\\s*${escapeRegExp(company.name)}\\s*$`, "i") },
+        { company_id: company._id },
+      )
     }
   } catch (err) {
+    console.error("Failed to backfill company pages:", err)
+  }
+})
+
+app.get("/companies", async (req, res) => {
+  try {
+    const q = queryParam(req, "q")
+    const industry = queryParam(req, "industry")
+    const page = Math.max(1, parseInt(req.query.page) || 1)
+
+    const filter = {}
+    if (q) filter.name = new RegExp(escapeRegExp(q), "i")
+    if (industry) filter.industry = industry
+
+    const [companies, total, industries] = await Promise.all([
+      Company.find(filter)
+        .collation({ locale: "en" })
+        .sort({ name: 1 })
+        .skip((page - 1) * COMPANY_PAGE_SIZE)
+        .limit(COMPANY_PAGE_SIZE),
+      Company.countDocuments(filter),
+      Company.distinct("industry"),
+    ])
+    const openCounts = await Job.aggregate([
+      { $match: { ...liveJobFilter(), company_id: { $in: companies.map((company) => company._id) } } },
+      { $group: { _id: "$company_id", count: { $sum: 1 } } },
+    ])
+    const openJobs = new Map(openCounts.map((entry) => [String(entry._id), entry.count]))
+
     const content = `
-        <div class="text-center">
-          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
-          <h2 class="fw-bold text-danger mb-3">Update Failed</h2>
-          <div class="alert alert-danger-custom">
-            <i class="fas fa-times-circle me-2"></i>
-            <strong>Error!</strong> Failed to update your profile. Please try again.
-          </div>
-          <a href="/profile/edit" class="btn btn-primary-custom btn-custom">
-            <i class="fas fa-redo me-2"></i>Try Again
-          </a>
+      <div class="text-center mb-4">
+        <i class="fas fa-building fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Companies</h2>
+        <p class="text-muted">${total} compan${total !== 1 ? "ies" : "y"} hiring on JobPortal</p>
+      </div>
+
+      <form method="GET" action="/companies" class="row g-2 mb-4">
+        <div class="col-md-7">
+          <input type="text" name="q" value="${escapeHtml(q)}" class="form-control form-control-custom" placeholder="Search companies by name...">
+        </div>
+        <div class="col-md-3">
+          <select name="industry" class="form-select form-select-custom">
+            <option value="">All industries</option>
+            ${industries
+              .filter(Boolean)
+              .sort((a, b) => a.localeCompare(b))
+              .map((value) => `<option value="${escapeHtml(value)}" ${industry === value ? "selected" : ""}>${escapeHtml(value)}</option>`)
+              .join("")}
+          </select>
+        </div>
+        <div class="col-md-2">
+          <button type="submit" class="btn btn-primary-custom btn-custom w-100">
+            <i class="fas fa-search me-1"></i>Search
+          </button>
+        </div>
+      </form>
+
+      ${
+        companies.length
+          ? `
+        <div class="row g-4">
+          ${companies
+            .map((company) => {
+              const count = openJobs.get(String(company._id)) || 0
+              return `
+            <div class="col-md-6 col-lg-4">
+              <div class="card-custom h-100">
+                <div class="card-body-custom">
+                  <div class="d-flex align-items-center gap-3 mb-3">
+                    ${companyLogo(company)}
+                    <div>
+                      <h5 class="fw-bold mb-1">
+                        <a href="/companies/${company.slug}" class="text-decoration-none">${escapeHtml(company.name)}</a>
+                      </h5>
+                      <small class="text-muted">${companyFacts(company).join(" • ")}</small>
+                    </div>
+                  </div>
+                  <p class="text-muted small mb-3">${escapeHtml((company.description || "").slice(0, 160))}${(company.description || "").length > 160 ? "…" : ""}</p>
+                  <span class="badge ${count ? "bg-success" : "bg-secondary"}">
+                    ${count} open job${count !== 1 ? "s" : ""}
+                  </span>
+                </div>
+              </div>
+            </div>
+          `
+            })
+            .join("")}
+        </div>
+      `
+          : `
+        <div class="text-center py-5">
+          <i class="fas fa-building fa-3x text-muted mb-3"></i>
+          <h5 class="text-muted">No companies found</h5>
+          <p class="text-muted">Try a different name or industry.</p>
         </div>
       `
-    return res.send(generateEnhancedHTML("Update Failed", content, req.session.user))
+      }
+      ${adminPagination("/companies", { q, industry }, page, total, COMPANY_PAGE_SIZE)}
+    `
+    res.send(generateEnhancedHTML("Companies", content, req.session.user))
+  } catch (err) {
+    res.redirect("/jobs")
   }
 })
 
-app.get("/dashboard", (req, res) => {
-  if (!req.session.user) return res.redirect("/login")
+app.get("/companies/:slug", async (req, res) => {
+  const viewer = req.session.user
 
-  const user = req.session.user
+  try {
+    const company = await Company.findOne({ slug: req.params.slug })
+    if (!company) {
+      return res.status(404).send(generateEnhancedHTML("Company Not Found", companyNotFoundContent(), viewer))
+    }
 
-  const content = `
-    <div class="dashboard-container">
-      <div class="text-center mb-5">
-        <div class="mb-4">
-          <img src="${user.profile_picture || getDefaultAvatar(100)}" 
-               alt="Profile" class="rounded-circle mb-3" width="100" height="100"
-               style="object-fit: cover; border: 4px solid var(--primary-color); box-shadow: var(--shadow-xl);">
-        </div>
-        <h1 class="dashboard-title">Welcome back, ${user.name}!</h1>
-        <p class="dashboard-subtitle">
-          <i class="fas fa-${user.type === "employer" ? "briefcase" : "search"} me-2"></i>
-          ${user.type === "employer" ? "Manage your job postings and find great candidates" : "Discover amazing job opportunities and advance your career"}
-        </p>
+    const jobs = await Job.find({ ...liveJobFilter(), company_id: company._id }).sort({ published_at: -1 })
+    const website = company.website ? safeExternalUrl(company.website) : null
+    const canEdit = viewer && viewer.type === "employer" && String(viewer.company_id) === String(company._id)
+
+    const content = `
+      <div class="mb-3">
+        <a href="/companies" class="text-decoration-none">
+          <i class="fas fa-arrow-left me-1"></i>All companies
+        </a>
       </div>
 
-      <div class="action-buttons">
-        ${
-          user.type === "employer"
-            ? `
-              <a href="/post-job" class="action-btn btn-primary-custom">
-                <i class="fas fa-plus-circle fa-lg"></i>
-                <div>
-                  <div class="fw-bold">Post New Job</div>
-                  <small class="opacity-75">Find the perfect candidate</small>
-                </div>
-              </a>
-              <a href="/employer/applicants" class="action-btn btn-success-custom">
-                <i class="fas fa-users fa-lg"></i>
-                <div>
-                  <div class="fw-bold">View Applicants</div>
-                  <small class="opacity-75">Review job applications</small>
-                </div>
-              </a>
-            `
-            : `
-              <a href="/jobs" class="action-btn btn-primary-custom">
-                <i class="fas fa-search fa-lg"></i>
-                <div>
-                  <div class="fw-bold">Browse Jobs</div>
-                  <small class="opacity-75">Find your dream job</small>
-                </div>
-              </a>
-              <a href="/my-applications" class="action-btn btn-success-custom">
-                <i class="fas fa-file-alt fa-lg"></i>
-                <div>
-                  <div class="fw-bold">My Applications</div>
-                  <small class="opacity-75">Track your progress</small>
-                </div>
+      <div class="card-custom mb-4">
+        <div class="card-body-custom">
+          <div class="d-flex align-items-center gap-4 flex-wrap">
+            ${companyLogo(company, "company-logo-lg")}
+            <div class="flex-grow-1">
+              <h1 class="fw-bold h2 mb-1">${escapeHtml(company.name)}</h1>
+              <div class="text-muted mb-2">${companyFacts(company).join(" • ")}</div>
+              ${
+                website
+                  ? `
+                <a href="${escapeHtml(website)}" target="_blank" rel="noopener noreferrer" class="text-decoration-none">
+                  <i class="fas fa-globe me-1"></i>${escapeHtml(company.website)}
+                </a>
+              `
+                  : ""
+              }
+            </div>
+            ${
+              canEdit
+                ? `
+              <a href="/employer/company" class="btn btn-secondary-custom btn-custom btn-sm">
+                <i class="fas fa-edit me-2"></i>Edit Company Page
               </a>
             `
-        }
+                : ""
+            }
+          </div>
+        </div>
       </div>
 
-      <div class="mt-5">
-        <div class="row g-4">
-          <div class="col-md-6">
-            <div class="card-custom hover-lift">
-              <div class="card-body-custom text-center">
-                <i class="fas fa-user fa-2x text-primary mb-3"></i>
-                <h5 class="fw-bold">My Profile</h5>
-                <p class="text-muted">Manage your profile information</p>
-                <a href="/profile" class="btn btn-primary-custom btn-custom btn-sm">
-                  <i class="fas fa-edit me-1"></i>View Profile
-                </a>
-              </div>
+      <div class="row g-4">
+        <div class="col-lg-5">
+          <div class="card-custom">
+            <div class="card-header-custom">
+              <h5 class="mb-0"><i class="fas fa-info-circle me-2"></i>About</h5>
             </div>
-          </div>
-          <div class="col-md-6">
-            <div class="card-custom hover-lift">
-              <div class="card-body-custom text-center">
-                <i class="fas fa-chart-line fa-2x text-success mb-3"></i>
-                <h5 class="fw-bold">Activity</h5>
-                <p class="text-muted">View your recent activity</p>
-                <button class="btn btn-success-custom btn-custom btn-sm" disabled>
-                  <i class="fas fa-chart-bar me-1"></i>Coming Soon
-                </button>
-              </div>
+            <div class="card-body-custom">
+              <p class="text-muted mb-0" style="white-space: pre-line;">${escapeHtml(company.description || "No company description provided.")}</p>
             </div>
           </div>
         </div>
-      </div>
-    </div>
-  `
-
-  res.send(generateEnhancedHTML("Dashboard", content, user))
-})
 
-// Continue with other routes (post-job, jobs, apply, etc.) - keeping existing functionality
-app.get("/post-job", (req, res) => {
-  if (!req.session.user || req.session.user.type !== "employer") {
-    const content = `
-      <div class="text-center">
-        <i class="fas fa-ban fa-3x text-danger mb-3"></i>
-        <h2 class="fw-bold text-danger mb-3">Access Denied</h2>
-        <div class="alert alert-danger-custom">
-          <i class="fas fa-exclamation-triangle me-2"></i>
-          <strong>Unauthorized Access!</strong><br>
-          Only employers can post jobs. Please sign in with an employer account.
-        </div>
-        <div class="d-flex justify-content-center gap-3">
-          <a href="/login" class="btn btn-primary-custom btn-custom">
-            <i class="fas fa-sign-in-alt me-2"></i>Sign In
-          </a>
-          <a href="/register" class="btn btn-success-custom btn-custom">
-            <i class="fas fa-user-plus me-2"></i>Create Employer Account
-          </a>
+        <div class="col-lg-7">
+          <div class="card-custom">
+            <div class="card-header-custom">
+              <h5 class="mb-0"><i class="fas fa-briefcase me-2"></i>Open Jobs (${jobs.length})</h5>
+            </div>
+            <div class="card-body-custom">
+              ${
+                jobs.length
+                  ? jobs
+                      .map((job) => {
+                        const salary = formatSalary(job)
+                        return `
+                <div class="border-bottom pb-3 mb-3">
+                  <h6 class="fw-bold mb-1">
+                    <a href="${job.url_path}" class="text-decoration-none">${escapeHtml(job.title)}</a>
+                  </h6>
+                  <small class="text-muted">
+                    ${job.location ? `<i class="fas fa-map-marker-alt me-1"></i>${escapeHtml(job.location)} • ` : ""}
+                    ${EMPLOYMENT_TYPES[job.employment_type] || ""}${job.remote_policy ? ` • ${REMOTE_POLICIES[job.remote_policy]}` : ""}
+                    ${salary ? ` • ${escapeHtml(salary)}` : ""}
+                    • Posted ${formatTimeAgo(job.published_at || job.createdAt)}
+                  </small>
+                </div>
+              `
+                      })
+                      .join("")
+                  : `<p class="text-muted mb-0">${escapeHtml(company.name)} has no open jobs right now.</p>`
+              }
+            </div>
+          </div>
         </div>
       </div>
     `
-    return res.send(generateEnhancedHTML("Access Denied", content))
+    res.send(generateEnhancedHTML(escapeHtml(company.name), content, viewer))
+  } catch (err) {
+    res.redirect("/companies")
   }
-  res.sendFile(path.join(__dirname, "views/post-job.html"))
 })
 
-app.post("/post-job", async (req, res) => {
-  if (!req.session.user || req.session.user.type !== "employer") {
-    return res.redirect("/login")
-  }
+const COMPANY_MESSAGES = {
+  saved: { type: "success", text: "Company page saved." },
+  invalid: { type: "danger", text: "The company page couldn't be saved. Check the name and company size and try again." },
+}
 
+app.get("/employer/company", async (req, res) => {
   try {
-    const { title, company, location, description } = req.body
-    const posted_by = req.session.user._id
+    const user = await User.findById(req.session.user._id)
+    if (!user) return res.redirect("/login")
 
-    const newJob = new Job({ title, company, location, description, posted_by })
-    await newJob.save()
+    const company = (user.company_id && (await Company.findById(user.company_id))) || new Company({ name: user.company_name })
+    const message = COMPANY_MESSAGES[req.query.status]
 
     const content = `
-        <div class="text-center">
-        <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
-        <h2 class="fw-bold text-success mb-3">Job Posted Successfully!</h2>
-        <div class="alert alert-success-custom">
-          <i class="fas fa-rocket me-2"></i>
-          <strong>Congratulations!</strong><br>
-          Your job posting "<strong>${title}</strong>" at <strong>${company}</strong> has been published successfully and is now live for job seekers to discover.
+      <div class="text-center mb-4">
+        <i class="fas fa-building fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Company Page</h2>
+        <p class="text-muted">How your company appears in the <a href="/companies">company directory</a> and on your job postings</p>
+      </div>
+
+      ${
+        message
+          ? `
+        <div class="alert alert-${message.type}-custom alert-dismissible fade show" role="alert">
+          ${message.text}
+          <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
         </div>
-        <div class="card-custom mt-4">
-          <div class="card-body-custom">
-            <h5 class="fw-bold mb-3">
-              <i class="fas fa-briefcase me-2 text-primary"></i>Job Details
-            </h5>
-            <div class="row">
-              <div class="col-md-6">
-                <p><strong>Title:</strong> ${title}</p>
-                <p><strong>Company:</strong> ${company}</p>
-              </div>
-              <div class="col-md-6">
-                <p><strong>Location:</strong> ${location || "Not specified"}</p>
-                <p><strong>Status:</strong> <span class="badge bg-success">Active</span></p>
+      `
+          : ""
+      }
+
+      <form action="/employer/company" method="POST" enctype="multipart/form-data">
+        <div class="row g-4">
+          <div class="col-md-4">
+            <div class="card-custom text-center">
+              <div class="card-body-custom">
+                <div class="mb-3">${companyLogo(company, "company-logo-lg")}</div>
+                <div class="file-upload-wrapper">
+                  <input type="file" name="companyLogo" accept="image/*" class="file-upload-input" id="companyLogoInput">
+                  <label for="companyLogoInput" class="btn btn-primary-custom btn-custom btn-sm">
+                    <i class="fas fa-image me-2"></i>Upload Logo
+                  </label>
+                </div>
+                <small class="text-muted d-block mt-2">JPG, PNG or GIF (Max 5MB)</small>
+                ${
+                  company.logo
+                    ? `
+                  <div class="form-check d-inline-block mt-2">
+                    <input class="form-check-input" type="checkbox" name="remove_logo" value="1" id="removeLogo">
+                    <label class="form-check-label" for="removeLogo">Remove current logo</label>
+                  </div>
+                `
+                    : ""
+                }
               </div>
             </div>
           </div>
-        </div>
-        <div class="d-flex justify-content-center gap-3 mt-4">
-          <a href="/post-job" class="btn btn-primary-custom btn-custom">
-            <i class="fas fa-plus me-2"></i>Post Another Job
-          </a>
-          <a href="/employer/applicants" class="btn btn-success-custom btn-custom">
-            <i class="fas fa-users me-2"></i>View Applicants
-          </a>
-          <a href="/dashboard" class="btn btn-secondary-custom btn-custom">
-            <i class="fas fa-home me-2"></i>Back to Dashboard
-          </a>
-        </div>
-      </div>
-    `
-    res.send(generateEnhancedHTML("Job Posted Successfully", content, req.session.user))
-  } catch (err) {
-    const content = `
-        <div class="text-center">
-          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
-          <h2 class="fw-bold text-danger mb-3">Job Posting Failed</h2>
-          <div class="alert alert-danger-custom">
-            <i class="fas fa-times-circle me-2"></i>
-            <strong>Error!</strong> Failed to post your job. Please check your information and try again.
-          </div>
-          <div class="d-flex justify-content-center gap-3">
-            <a href="/post-job" class="btn btn-primary-custom btn-custom">
-              <i class="fas fa-redo me-2"></i>Try Again
-            </a>
-            <a href="/dashboard" class="btn btn-secondary-custom btn-custom">
-              <i class="fas fa-arrow-left me-2"></i>Back to Dashboard
-            </a>
+
+          <div class="col-md-8">
+            <div class="card-custom">
+              <div class="card-body-custom">
+                <div class="row g-3">
+                  <div class="col-md-6">
+                    <label class="form-label-custom"><i class="fas fa-building me-2"></i>Company Name</label>
+                    <input type="text" name="name" class="form-control form-control-custom" value="${escapeHtml(company.name)}" required>
+                  </div>
+                  <div class="col-md-6">
+                    <label class="form-label-custom"><i class="fas fa-globe me-2"></i>Website</label>
+                    <input type="url" name="website" class="form-control form-control-custom" value="${escapeHtml(company.website)}" placeholder="https://yourcompany.com">
+                  </div>
+                  <div class="col-md-6">
+                    <label class="form-label-custom"><i class="fas fa-industry me-2"></i>Industry</label>
+                    <input type="text" name="industry" class="form-control form-control-custom" value="${escapeHtml(company.industry)}" placeholder="e.g. Software, Healthcare">
+                  </div>
+                  <div class="col-md-6">
+                    <label class="form-label-custom"><i class="fas fa-users me-2"></i>Company Size</label>
+                    <select name="size" class="form-select form-select-custom">
+                      ${selectOptions(COMPANY_SIZES, company.size, "Not specified")}
+                    </select>
+                  </div>
+                  <div class="col-12">
+                    <label class="form-label-custom"><i class="fas fa-map-marker-alt me-2"></i>Headquarters</label>
+                    <input type="text" name="headquarters" class="form-control form-control-custom" value="${escapeHtml(company.headquarters)}" placeholder="City, Country">
+                  </div>
+                  <div class="col-12">
+                    <label class="form-label-custom"><i class="fas fa-info-circle me-2"></i>Description</label>
+                    <textarea name="description" class="form-control form-control-custom" rows="5" placeholder="What does your company do? What's it like to work there?">${escapeHtml(company.description)}</textarea>
+                  </div>
+                </div>
+              </div>
+            </div>
           </div>
         </div>
-      `
-    return res.send(generateEnhancedHTML("Job Posting Failed", content, req.session.user))
-  }
-})
-
-// Job Listings
-app.get("/jobs", (req, res) => {
-  res.sendFile(path.join(__dirname, "views/jobs.html"))
-})
-
-app.get("/api/jobs", async (req, res) => {
-  try {
-    const jobs = await Job.find().sort({ createdAt: -1 })
-    res.json(jobs)
-  } catch (err) {
-    res.status(500).json({ error: "Failed to fetch jobs" })
-  }
-})
 
-// Apply Page
-app.get("/apply/:jobId", (req, res) => {
-  if (!req.session.user || req.session.user.type !== "user") {
-    const content = `
-      <div class="text-center">
-        <i class="fas fa-user-lock fa-3x text-warning mb-3"></i>
-        <h2 class="fw-bold text-warning mb-3">Access Restricted</h2>
-        <div class="alert alert-danger-custom">
-          <i class="fas fa-exclamation-triangle me-2"></i>
-          <strong>Job Seekers Only!</strong><br>
-          Only registered job seekers can apply for positions. Please sign in with a job seeker account.
-        </div>
-        <div class="d-flex justify-content-center gap-3">
-          <a href="/login" class="btn btn-primary-custom btn-custom">
-            <i class="fas fa-sign-in-alt me-2"></i>Sign In
-          </a>
-          <a href="/register" class="btn btn-success-custom btn-custom">
-            <i class="fas fa-user-plus me-2"></i>Create Job Seeker Account
-          </a>
+        <div class="text-center mt-4">
+          <button type="submit" class="btn btn-success-custom btn-custom">
+            <i class="fas fa-save me-2"></i>Save Company Page
+          </button>
+          ${
+            company.slug
+              ? `
+            <a href="/companies/${company.slug}" class="btn btn-secondary-custom btn-custom ms-2">
+              <i class="fas fa-eye me-2"></i>View Public Page
+            </a>
+          `
+              : ""
+          }
         </div>
-      </div>
+      </form>
     `
-    return res.send(generateEnhancedHTML("Access Restricted", content))
+    res.send(generateEnhancedHTML("Company Page", content, req.session.user))
+  } catch (err) {
+    res.redirect("/dashboard")
   }
-  res.sendFile(path.join(__dirname, "views/apply.html"))
 })
 
-// Submit Application with File Upload
-app.post("/apply/:jobId", upload.single("resume"), async (req, res) => {
-  if (!req.session.user || req.session.user.type !== "user") {
+app.post("/employer/company", upload.single("companyLogo"), verifyCsrf, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user._id)
+    if (!user) return res.redirect("/login")
+
+    const company = (user.company_id && (await Company.findById(user.company_id))) || new Company()
+    const { name, website, industry, size, headquarters, description } = req.body
+    const previousLogo = company.logo
+
+    company.set({ name, website, industry, size: size || undefined, headquarters, description })
+    if (req.file) {
+      company.logo = `/uploads/logos/${req.file.filename}`
+    } else if (req.body.remove_logo === "1") {
+      company.logo = undefined
+    }
+
+    try {
+      await company.save()
+    } catch (err) {
+      if (err.name !== "ValidationError") throw err
+      if (req.file) await removeUpload(`/uploads/logos/${req.file.filename}`)
+      return res.redirect("/employer/company?status=invalid")
+    }
+    if (company.logo !== previousLogo) await removeUpload(previousLogo)
+
+    // The profile's company fields mirror the company page
+    const updatedUser = await User.findByIdAndUpdate(
+      user._id,
+      { company_id: company._id, company_name: company.name, company_description: company.description, website: company.website },
+      { new: true },
+    )
+    req.session.user = sessionUser(updatedUser)
+    res.redirect("/employer/company?status=saved")
+  } catch (err) {
     const content = `
       <div class="text-center">
-        <i class="fas fa-ban fa-3x text-danger mb-3"></i>
-        <h2 class="fw-bold text-danger mb-3">Access Denied</h2>
+        <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+        <h2 class="fw-bold text-danger mb-3">Update Failed</h2>
         <div class="alert alert-danger-custom">
-          <i class="fas fa-exclamation-triangle me-2"></i>
-          <strong>Unauthorized!</strong> Only job seekers can submit applications.
+          <i class="fas fa-times-circle me-2"></i>
+          <strong>Error!</strong> Failed to save your company page. Please try again.
         </div>
-        <a href="/login" class="btn btn-primary-custom btn-custom">
-          <i class="fas fa-sign-in-alt me-2"></i>Sign In
+        <a href="/employer/company" class="btn btn-primary-custom btn-custom">
+          <i class="fas fa-redo me-2"></i>Try Again
         </a>
       </div>
     `
-    return res.send(generateEnhancedHTML("Access Denied", content))
+    res.send(generateEnhancedHTML("Update Failed", content, req.session.user))
   }
+})
 
-  try {
-    const jobId = req.params.jobId
-    const userId = req.session.user._id
-    const resume_url = "/uploads/resumes/" + req.file.filename
+// Admin Console
+const ADMIN_PAGE_SIZE = 25
 
-    const newApplication = new Application({ user_id: userId, job_id: jobId, resume_url })
-    await newApplication.save()
+// Every /admin route is limited to administrators
+app.use("/admin", (req, res, next) => {
+  if (req.session.user && req.session.user.type === "admin") return next()
 
-    const content = `
-      <div class="text-center">
-        <i class="fas fa-paper-plane fa-3x text-success mb-3"></i>
-        <h2 class="fw-bold text-success mb-3">Application Submitted!</h2>
-        <div class="alert alert-success-custom">
-          <i class="fas fa-check-circle me-2"></i>
-          <strong>Success!</strong> Your application has been submitted successfully. The employer will review your resume and contact you if you're a good fit.
-        </div>
-        <div class="card-custom mt-4">
-          <div class="card-body-custom">
-            <h5 class="fw-bold mb-3">
-              <i class="fas fa-info-circle me-2 text-info"></i>What's Next?
-            </h5>
-            <ul class="text-start">
-              <li>Your resume has been sent to the employer</li>
-              <li>You'll receive updates on your application status</li>
-              <li>Keep applying to increase your chances</li>
-              <li>Update your resume regularly for better results</li>
-            </ul>
-          </div>
-        </div>
-        <div class="d-flex justify-content-center gap-3 mt-4">
-          <a href="/jobs" class="btn btn-primary-custom btn-custom">
-            <i class="fas fa-search me-2"></i>Find More Jobs
-          </a>
-          <a href="/my-applications" class="btn btn-success-custom btn-custom">
-            <i class="fas fa-file-alt me-2"></i>Track Applications
-          </a>
-          <a href="/dashboard" class="btn btn-secondary-custom btn-custom">
-            <i class="fas fa-home me-2"></i>Dashboard
+  const content = `
+    <div class="text-center">
+      <i class="fas fa-ban fa-3x text-danger mb-3"></i>
+      <h2 class="fw-bold text-danger mb-3">Access Denied</h2>
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        <strong>Administrators Only!</strong> You don't have permission to view this page.
+      </div>
+      <a href="${req.session.user ? "/dashboard" : "/login"}" class="btn btn-primary-custom btn-custom">
+        <i class="fas fa-arrow-left me-2"></i>${req.session.user ? "Back to Dashboard" : "Sign In"}
+      </a>
+    </div>
+  `
+  res.status(403).send(generateEnhancedHTML("Access Denied", content, req.session.user))
+})
+
+async function logAdminAction(req, action, targetType, targetId, details) {
+  await AdminAction.create({
+    admin_id: req.session.user._id,
+    action,
+    target_type: targetType,
+    target_id: targetId ? String(targetId) : undefined,
+    details,
+    ip: req.ip,
+  })
+}
+
+function adminNav(active) {
+  const tabs = [
+    ["overview", "/admin", "chart-pie", "Overview"],
+    ["users", "/admin/users", "users", "Users"],
+    ["jobs", "/admin/jobs", "briefcase", "Jobs"],
+    ["applications", "/admin/applications", "file-alt", "Applications"],
+    ["lockouts", "/admin/lockouts", "user-lock", "Lockouts"],
+    ["settings", "/admin/settings", "sliders-h", "Settings"],
+    ["audit", "/admin/audit-log", "history", "Audit Log"],
+  ]
+  return `
+    <ul class="nav nav-pills justify-content-center flex-wrap gap-2 mb-4">
+      ${tabs
+        .map(
+          ([key, href, icon, label]) => `
+        <li class="nav-item">
+          <a class="nav-link ${key === active ? "active" : ""}" href="${href}">
+            <i class="fas fa-${icon} me-1"></i>${label}
           </a>
+        </li>
+      `,
+        )
+        .join("")}
+    </ul>
+  `
+}
+
+// Helper function to render previous/next links that keep the current filters
+function adminPagination(basePath, query, page, total, pageSize = ADMIN_PAGE_SIZE) {
+  const pages = Math.max(1, Math.ceil(total / pageSize))
+  if (pages === 1) return ""
+
+  const link = (target) => {
+    const params = new URLSearchParams({ ...query, page: target })
+    return `${basePath}?${params.toString()}`
+  }
+  return `
+    <div class="d-flex justify-content-center align-items-center gap-3 mt-4">
+      ${page > 1 ? `<a href="${link(page - 1)}" class="btn btn-secondary-custom btn-custom btn-sm"><i class="fas fa-chevron-left me-1"></i>Previous</a>` : ""}
+      <span class="text-muted">Page ${page} of ${pages}</span>
+      ${page < pages ? `<a href="${link(page + 1)}" class="btn btn-secondary-custom btn-custom btn-sm">Next<i class="fas fa-chevron-right ms-1"></i></a>` : ""}
+    </div>
+  `
+}
+
+function adminErrorContent(message) {
+  return `
+    <div class="text-center">
+      <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
+      <h2 class="fw-bold text-danger mb-3">Admin Error</h2>
+      <div class="alert alert-danger-custom">
+        <i class="fas fa-times-circle me-2"></i>
+        <strong>Oops!</strong> ${message}
+      </div>
+      <a href="/admin" class="btn btn-primary-custom btn-custom">
+        <i class="fas fa-arrow-left me-2"></i>Back to Admin Console
+      </a>
+    </div>
+  `
+}
+
+function adminStatCard(icon, color, value, label) {
+  return `
+    <div class="col-6 col-md-3">
+      <div class="card-custom text-center h-100">
+        <div class="card-body-custom">
+          <i class="fas fa-${icon} fa-2x text-${color} mb-2"></i>
+          <h4 class="fw-bold mb-0">${value}</h4>
+          <small class="text-muted">${label}</small>
         </div>
       </div>
-    `
-    res.send(generateEnhancedHTML("Application Submitted", content, req.session.user))
-  } catch (err) {
-    let content
-    if (err.code === 11000) { // Duplicate key error
-      content = `
-        <div class="text-center">
-          <i class="fas fa-exclamation-triangle fa-3x text-warning mb-3"></i>
-          <h2 class="fw-bold text-warning mb-3">Application Failed</h2>
-          <div class="alert alert-danger-custom">
-            <i class="fas fa-times-circle me-2"></i>
-            <strong>Oops!</strong> Your application could not be submitted. You might have already applied for this position.
-          </div>
-          <div class="d-flex justify-content-center gap-3">
-            <a href="/jobs" class="btn btn-primary-custom btn-custom">
-              <i class="fas fa-search me-2"></i>Browse Other Jobs
-            </a>
-            <a href="/my-applications" class="btn btn-success-custom btn-custom">
-              <i class="fas fa-file-alt me-2"></i>View My Applications
-            </a>
+    </div>
+  `
+}
+
+app.get("/admin", async (req, res) => {
+  try {
+    const [seekers, employers, admins, suspended, liveJobs, takenDownJobs, applicationsByStatus, activeLockouts, recentActions] =
+      await Promise.all([
+        User.countDocuments({ type: "user" }),
+        User.countDocuments({ type: "employer" }),
+        User.countDocuments({ type: "admin" }),
+        User.countDocuments({ suspended_at: { $ne: null } }),
+        Job.countDocuments(liveJobFilter()),
+        Job.countDocuments({ taken_down_at: { $ne: null } }),
+        Application.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }, { $sort: { count: -1 } }]),
+        LockoutEvent.countDocuments({ locked_until: { $gt: new Date() }, unlocked_at: null }),
+        AdminAction.find().populate("admin_id", "name").sort({ createdAt: -1 }).limit(10),
+      ])
+    const totalApplications = applicationsByStatus.reduce((sum, row) => sum + row.count, 0)
+
+    const content = `
+      <div class="text-center mb-4">
+        <i class="fas fa-user-shield fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Admin Console</h2>
+        <p class="text-muted">Platform-wide overview and moderation tools</p>
+      </div>
+      ${adminNav("overview")}
+
+      <div class="row g-3 mb-4">
+        ${adminStatCard("user", "primary", seekers, "Job Seekers")}
+        ${adminStatCard("building", "success", employers, "Employers")}
+        ${adminStatCard("user-shield", "info", admins, "Administrators")}
+        ${adminStatCard("user-slash", "danger", suspended, "Suspended Accounts")}
+        ${adminStatCard("briefcase", "primary", liveJobs, "Live Jobs")}
+        ${adminStatCard("eye-slash", "warning", takenDownJobs, "Taken Down Jobs")}
+        ${adminStatCard("file-alt", "success", totalApplications, "Applications")}
+        ${adminStatCard("user-lock", "danger", activeLockouts, "Active Lockouts")}
+      </div>
+
+      <div class="row g-4">
+        <div class="col-md-5">
+          <div class="card-custom h-100">
+            <div class="card-header-custom">
+              <h5 class="mb-0"><i class="fas fa-tasks me-2"></i>Applications by Status</h5>
+            </div>
+            <div class="card-body-custom">
+              ${
+                applicationsByStatus.length
+                  ? applicationsByStatus
+                      .map(
+                        (row) => `
+                <div class="d-flex justify-content-between border-bottom py-2">
+                  <span>${escapeHtml(row._id || "Unknown")}</span>
+                  <strong>${row.count}</strong>
+                </div>
+              `,
+                      )
+                      .join("")
+                  : `<p class="text-muted mb-0">No applications yet.</p>`
+              }
+            </div>
           </div>
         </div>
-      `
-    } else {
-      content = `
-        <div class="text-center">
-          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
-          <h2 class="fw-bold text-danger mb-3">Application Error</h2>
-          <div class="alert alert-danger-custom">
-            <i class="fas fa-times-circle me-2"></i>
-            <strong>Error!</strong> An unexpected error occurred. Please try again.
+        <div class="col-md-7">
+          <div class="card-custom h-100">
+            <div class="card-header-custom">
+              <h5 class="mb-0"><i class="fas fa-history me-2"></i>Recent Admin Actions</h5>
+            </div>
+            <div class="card-body-custom">
+              ${
+                recentActions.length
+                  ? recentActions
+                      .map(
+                        (action) => `
+                <div class="border-bottom py-2">
+                  <strong>${escapeHtml(action.admin_id ? action.admin_id.name : "Deleted admin")}</strong>
+                  ${escapeHtml(action.action.replace(/_/g, " "))}
+                  ${action.details ? `<span class="text-muted">&mdash; ${escapeHtml(action.details)}</span>` : ""}
+                  <small class="text-muted d-block">${action.createdAt.toLocaleString()}</small>
+                </div>
+              `,
+                      )
+                      .join("")
+                  : `<p class="text-muted mb-0">No admin actions recorded yet.</p>`
+              }
+            </div>
           </div>
         </div>
-      `
-    }
-    return res.send(generateEnhancedHTML("Application Failed", content, req.session.user))
+      </div>
+    `
+    res.send(generateEnhancedHTML("Admin Console", content, req.session.user))
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not load platform statistics."), req.session.user))
   }
 })
 
-// View My Applications
-app.get("/my-applications", async (req, res) => {
-  if (!req.session.user || req.session.user.type !== "user") {
+app.get("/admin/users", async (req, res) => {
+  try {
+    const q = (req.query.q || "").trim()
+    const type = ["user", "employer", "admin"].includes(req.query.type) ? req.query.type : ""
+    const status = ["active", "suspended"].includes(req.query.status) ? req.query.status : ""
+    const page = Math.max(1, parseInt(req.query.page) || 1)
+
+    const filter = {}
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(q), "i")
+      filter.$or = [{ name: pattern }, { email: pattern }, { company_name: pattern }]
+    }
+    if (type) filter.type = type
+    if (status === "suspended") filter.suspended_at = { $ne: null }
+    if (status === "active") filter.suspended_at = null
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * ADMIN_PAGE_SIZE)
+        .limit(ADMIN_PAGE_SIZE),
+      User.countDocuments(filter),
+    ])
+
     const content = `
-      <div class="text-center">
-        <i class="fas fa-ban fa-3x text-danger mb-3"></i>
-        <h2 class="fw-bold text-danger mb-3">Access Denied</h2>
-        <div class="alert alert-danger-custom">
-          <i class="fas fa-exclamation-triangle me-2"></i>
-          <strong>Unauthorized!</strong> Only job seekers can view applications.
+      <div class="text-center mb-4">
+        <i class="fas fa-users fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Users</h2>
+        <p class="text-muted">${total} account${total !== 1 ? "s" : ""} found</p>
+      </div>
+      ${adminNav("users")}
+
+      <form method="GET" action="/admin/users" class="row g-2 mb-4">
+        <div class="col-md-6">
+          <input type="text" name="q" value="${escapeHtml(q)}" class="form-control form-control-custom" placeholder="Search by name, email or company...">
+        </div>
+        <div class="col-md-2">
+          <select name="type" class="form-select form-select-custom">
+            <option value="">All roles</option>
+            ${["user", "employer", "admin"].map((value) => `<option value="${value}" ${type === value ? "selected" : ""}>${getRoleLabel(value)}</option>`).join("")}
+          </select>
+        </div>
+        <div class="col-md-2">
+          <select name="status" class="form-select form-select-custom">
+            <option value="">Any status</option>
+            <option value="active" ${status === "active" ? "selected" : ""}>Active</option>
+            <option value="suspended" ${status === "suspended" ? "selected" : ""}>Suspended</option>
+          </select>
+        </div>
+        <div class="col-md-2 d-grid">
+          <button type="submit" class="btn btn-primary-custom btn-custom"><i class="fas fa-search me-1"></i>Search</button>
+        </div>
+      </form>
+
+      <div class="card-custom">
+        <div class="card-body-custom">
+          ${
+            users.length
+              ? users
+                  .map(
+                    (account) => `
+            <div class="d-flex justify-content-between align-items-center flex-wrap gap-3 border-bottom py-3">
+              <div>
+                <h6 class="fw-bold mb-1">
+                  ${escapeHtml(account.name)}
+                  <span class="badge bg-${account.type === "admin" ? "info" : account.type === "employer" ? "success" : "primary"} ms-2">${getRoleLabel(account.type)}</span>
+                  ${account.suspended_at ? `<span class="badge bg-danger ms-1">Suspended</span>` : ""}
+                  ${account.email_verified === false ? `<span class="badge bg-secondary ms-1">Unverified</span>` : ""}
+                </h6>
+                <small class="text-muted d-block">
+                  <i class="fas fa-envelope me-1"></i>${escapeHtml(account.email)}
+                  ${account.company_name ? `<span class="mx-2">•</span><i class="fas fa-building me-1"></i>${escapeHtml(account.company_name)}` : ""}
+                  <span class="mx-2">•</span>Joined ${account.createdAt ? account.createdAt.toLocaleDateString() : "unknown"}
+                </small>
+                ${account.suspended_at ? `<small class="text-danger d-block">Suspended ${account.suspended_at.toLocaleString()}${account.suspended_reason ? `: ${escapeHtml(account.suspended_reason)}` : ""}</small>` : ""}
+              </div>
+              ${
+                String(account._id) === String(req.session.user._id)
+                  ? `<span class="text-muted small">This is you</span>`
+                  : account.suspended_at
+                    ? `
+                <form action="/admin/users/${account._id}/reinstate" method="POST" class="mb-0">
+                  <button type="submit" class="btn btn-success-custom btn-custom btn-sm">
+                    <i class="fas fa-user-check me-1"></i>Reinstate
+                  </button>
+                </form>
+              `
+                    : `
+                <form action="/admin/users/${account._id}/suspend" method="POST" class="d-flex gap-2 mb-0">
+                  <input type="text" name="reason" class="form-control form-control-custom form-control-sm" placeholder="Reason (optional)">
+                  <button type="submit" class="btn btn-danger-custom btn-custom btn-sm" onclick="return confirm('Suspend this account?')">
+                    <i class="fas fa-user-slash me-1"></i>Suspend
+                  </button>
+                </form>
+              `
+              }
+            </div>
+          `,
+                  )
+                  .join("")
+              : `<p class="text-muted text-center py-3 mb-0">No users match your search.</p>`
+          }
         </div>
-        <a href="/login" class="btn btn-primary-custom btn-custom">
-          <i class="fas fa-sign-in-alt me-2"></i>Sign In
-        </a>
       </div>
+      ${adminPagination("/admin/users", { q, type, status }, page, total)}
     `
-    return res.send(generateEnhancedHTML("Access Denied", content))
+    res.send(generateEnhancedHTML("Admin: Users", content, req.session.user))
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not load users."), req.session.user))
   }
+})
 
+app.post("/admin/users/:id/suspend", async (req, res) => {
   try {
-    const userId = req.session.user._id
-    const applications = await Application.find({ user_id: userId })
-      .populate("job_id")
-      .sort({ createdAt: -1 })
+    if (String(req.params.id) === String(req.session.user._id)) {
+      return res.redirect("/admin/users")
+    }
 
-    let content = `
-      <div class="text-center mb-4">
-        <i class="fas fa-file-alt fa-3x text-primary mb-3"></i>
-        <h2 class="fw-bold mb-3">My Applications</h2>
-        <p class="text-muted">Track your job application progress</p>
-      </div>
-    `
+    const reason = (req.body.reason || "").trim()
+    const account = await User.findByIdAndUpdate(
+      req.params.id,
+      { suspended_at: new Date(), suspended_reason: reason || undefined },
+      { new: true },
+    )
+    if (!account) return res.redirect("/admin/users")
 
-    if (applications.length === 0) {
-      content += `
-        <div class="text-center py-5">
-          <i class="fas fa-search fa-3x text-muted mb-3"></i>
-          <h4>No Applications Yet</h4>
-          <p class="text-muted mb-4">You haven't applied to any jobs yet. Start exploring opportunities!</p>
-          <a href="/jobs" class="btn btn-primary-custom btn-custom">
-            <i class="fas fa-search me-2"></i>Browse Jobs
-          </a>
-        </div>
-      `
-    } else {
-      content += `
-        <div class="row g-4">
-      `
+    // Sign the account out everywhere
+    await revokeUserSessions({ user_id: account._id })
+    await logAdminAction(req, "suspend_user", "user", account._id, `${account.email}${reason ? `: ${reason}` : ""}`)
 
-      applications.forEach((application, index) => {
-        const job = application.job_id
-        if (!job) return; // Skip if job has been deleted
+    res.redirect(req.get("Referrer") || "/admin/users")
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not suspend the account."), req.session.user))
+  }
+})
 
-        content += `
-          <div class="col-md-6">
-            <div class="card-custom hover-lift" style="animation-delay: ${index * 0.1}s">
-              <div class="card-body-custom">
-                <div class="d-flex justify-content-between align-items-start mb-3">
-                  <h5 class="job-title mb-0">${job.title}</h5>
-                  <span class="badge bg-primary">Applied</span>
-                </div>
-                <div class="job-company mb-2">
-                  <i class="fas fa-building me-2"></i>${job.company}
-                </div>
-                ${
-                  job.location
-                    ? `
-                  <div class="job-location mb-3">
-                    <i class="fas fa-map-marker-alt me-2"></i>${job.location}
-                  </div>
-                `
-                    : ""
-                }
-                <div class="d-flex justify-content-between align-items-center">
-                  <a href="${application.resume_url}" target="_blank" class="btn btn-success-custom btn-custom btn-sm">
-                    <i class="fas fa-file-pdf me-2"></i>View Resume
-                  </a>
-                  <small class="text-muted">
-                    <i class="fas fa-clock me-1"></i>Pending Review
-                  </small>
-                </div>
-              </div>
-            </div>
-          </div>
-        `
-      })
+app.post("/admin/users/:id/reinstate", async (req, res) => {
+  try {
+    const account = await User.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { suspended_at: 1, suspended_reason: 1 } },
+      { new: true },
+    )
+    if (!account) return res.redirect("/admin/users")
 
-      content += `
+    await logAdminAction(req, "reinstate_user", "user", account._id, account.email)
+    res.redirect(req.get("Referrer") || "/admin/users")
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not reinstate the account."), req.session.user))
+  }
+})
+
+app.get("/admin/jobs", async (req, res) => {
+  try {
+    const q = (req.query.q || "").trim()
+    const status = ["live", "closed", "taken-down"].includes(req.query.status) ? req.query.status : ""
+    const page = Math.max(1, parseInt(req.query.page) || 1)
+
+    const filter = {}
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(q), "i")
+      filter.$or = [{ title: pattern }, { company: pattern }, { location: pattern }]
+    }
+    if (status === "live") Object.assign(filter, liveJobFilter())
+    if (status === "closed") Object.assign(filter, { taken_down_at: null, closed_at: { $ne: null } })
+    if (status === "taken-down") filter.taken_down_at = { $ne: null }
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter)
+        .populate("posted_by", "name email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * ADMIN_PAGE_SIZE)
+        .limit(ADMIN_PAGE_SIZE),
+      Job.countDocuments(filter),
+    ])
+
+    const content = `
+      <div class="text-center mb-4">
+        <i class="fas fa-briefcase fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Jobs</h2>
+        <p class="text-muted">${total} job posting${total !== 1 ? "s" : ""} found</p>
+      </div>
+      ${adminNav("jobs")}
+
+      <form method="GET" action="/admin/jobs" class="row g-2 mb-4">
+        <div class="col-md-7">
+          <input type="text" name="q" value="${escapeHtml(q)}" class="form-control form-control-custom" placeholder="Search by title, company or location...">
+        </div>
+        <div class="col-md-3">
+          <select name="status" class="form-select form-select-custom">
+            <option value="">Any status</option>
+            <option value="live" ${status === "live" ? "selected" : ""}>Live</option>
+            <option value="closed" ${status === "closed" ? "selected" : ""}>Closed by employer</option>
+            <option value="taken-down" ${status === "taken-down" ? "selected" : ""}>Taken down</option>
+          </select>
         </div>
-        <div class="text-center mt-4">
-          <p class="text-muted">
-            <i class="fas fa-info-circle me-1"></i>
-            Total Applications: <strong>${applications.length}</strong>
-          </p>
+        <div class="col-md-2 d-grid">
+          <button type="submit" class="btn btn-primary-custom btn-custom"><i class="fas fa-search me-1"></i>Search</button>
         </div>
-      `
+      </form>
+
+      <div class="card-custom">
+        <div class="card-body-custom">
+          ${
+            jobs.length
+              ? jobs
+                  .map(
+                    (job) => `
+            <div class="d-flex justify-content-between align-items-center flex-wrap gap-3 border-bottom py-3">
+              <div>
+                <h6 class="fw-bold mb-1">
+                  ${escapeHtml(job.title)}
+                  ${
+                    job.taken_down_at
+                      ? `<span class="badge bg-danger ms-2">Taken down</span>`
+                      : job.closed_at
+                        ? `<span class="badge bg-secondary ms-2">Closed</span>`
+                        : `<span class="badge bg-success ms-2">Live</span>`
+                  }
+                </h6>
+                <small class="text-muted d-block">
+                  <i class="fas fa-building me-1"></i>${escapeHtml(job.company)}
+                  ${job.location ? `<span class="mx-2">•</span><i class="fas fa-map-marker-alt me-1"></i>${escapeHtml(job.location)}` : ""}
+                  <span class="mx-2">•</span>Posted by ${job.posted_by ? escapeHtml(`${job.posted_by.name} <${job.posted_by.email}>`) : "a deleted account"}
+                  on ${job.createdAt.toLocaleDateString()}
+                </small>
+                ${job.taken_down_at ? `<small class="text-danger d-block">Taken down ${job.taken_down_at.toLocaleString()}${job.taken_down_reason ? `: ${escapeHtml(job.taken_down_reason)}` : ""}</small>` : ""}
+              </div>
+              ${
+                job.taken_down_at
+                  ? `
+                <form action="/admin/jobs/${job._id}/restore" method="POST" class="mb-0">
+                  <button type="submit" class="btn btn-success-custom btn-custom btn-sm">
+                    <i class="fas fa-undo me-1"></i>Restore
+                  </button>
+                </form>
+              `
+                  : `
+                <form action="/admin/jobs/${job._id}/take-down" method="POST" class="d-flex gap-2 mb-0">
+                  <input type="text" name="reason" class="form-control form-control-custom form-control-sm" placeholder="Reason (shared with employer)">
+                  <button type="submit" class="btn btn-danger-custom btn-custom btn-sm" onclick="return confirm('Take this job posting down?')">
+                    <i class="fas fa-eye-slash me-1"></i>Take Down
+                  </button>
+                </form>
+              `
+              }
+            </div>
+          `,
+                  )
+                  .join("")
+              : `<p class="text-muted text-center py-3 mb-0">No jobs match your search.</p>`
+          }
+        </div>
+      </div>
+      ${adminPagination("/admin/jobs", { q, status }, page, total)}
+    `
+    res.send(generateEnhancedHTML("Admin: Jobs", content, req.session.user))
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not load jobs."), req.session.user))
+  }
+})
+
+app.post("/admin/jobs/:id/take-down", async (req, res) => {
+  try {
+    const reason = (req.body.reason || "").trim()
+    const job = await Job.findByIdAndUpdate(
+      req.params.id,
+      { taken_down_at: new Date(), taken_down_by: req.session.user._id, taken_down_reason: reason || undefined },
+      { new: true },
+    ).populate("posted_by", "name email")
+    if (!job) return res.redirect("/admin/jobs")
+
+    await logAdminAction(req, "take_down_job", "job", job._id, `${job.title} at ${job.company}${reason ? `: ${reason}` : ""}`)
+
+    if (job.posted_by) {
+      sendMail({
+        to: job.posted_by.email,
+        subject: `Your job posting "${job.title}" was removed`,
+        text: `Hi ${job.posted_by.name},\n\nYour job posting "${job.title}" at ${job.company} has been removed by the JobPortal moderation team.${reason ? `\n\nReason: ${reason}` : ""}\n\nIf you have questions, please contact support.`,
+      }).catch((err) => console.error("Failed to send take-down email:", err))
     }
 
-    res.send(generateEnhancedHTML("My Applications", content, req.session.user))
+    res.redirect(req.get("Referrer") || "/admin/jobs")
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not take the job down."), req.session.user))
+  }
+})
+
+app.post("/admin/jobs/:id/restore", async (req, res) => {
+  try {
+    const job = await Job.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { taken_down_at: 1, taken_down_by: 1, taken_down_reason: 1 } },
+      { new: true },
+    )
+    if (!job) return res.redirect("/admin/jobs")
+
+    await logAdminAction(req, "restore_job", "job", job._id, `${job.title} at ${job.company}`)
+    res.redirect(req.get("Referrer") || "/admin/jobs")
   } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not restore the job."), req.session.user))
+  }
+})
+
+app.get("/admin/applications", async (req, res) => {
+  try {
+    const q = (req.query.q || "").trim()
+    const status = (req.query.status || "").trim()
+    const page = Math.max(1, parseInt(req.query.page) || 1)
+
+    const filter = {}
+    if (q) {
+      // Match on applicant name/email or job title/company
+      const pattern = new RegExp(escapeRegExp(q), "i")
+      const [users, jobs] = await Promise.all([
+        User.find({ $or: [{ name: pattern }, { email: pattern }] }).select("_id"),
+        Job.find({ $or: [{ title: pattern }, { company: pattern }] }).select("_id"),
+      ])
+      filter.$or = [{ user_id: { $in: users.map((u) => u._id) } }, { job_id: { $in: jobs.map((j) => j._id) } }]
+    }
+    if (status) filter.status = status
+
+    const [applications, total, statuses] = await Promise.all([
+      Application.find(filter)
+        .populate("user_id", "name email")
+        .populate("job_id", "title company")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * ADMIN_PAGE_SIZE)
+        .limit(ADMIN_PAGE_SIZE),
+      Application.countDocuments(filter),
+      Object.keys(APPLICATION_PIPELINE),
+    ])
+
     const content = `
-        <div class="text-center">
-          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
-          <h2 class="fw-bold text-danger mb-3">Error Loading Applications</h2>
-          <div class="alert alert-danger-custom">
-            <i class="fas fa-times-circle me-2"></i>
-            <strong>Oops!</strong> Failed to retrieve your applications. Please try again later.
-          </div>
-          <a href="/dashboard" class="btn btn-primary-custom btn-custom">
-            <i class="fas fa-home me-2"></i>Back to Dashboard
-          </a>
+      <div class="text-center mb-4">
+        <i class="fas fa-file-alt fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Applications</h2>
+        <p class="text-muted">${total} application${total !== 1 ? "s" : ""} found</p>
+      </div>
+      ${adminNav("applications")}
+
+      <form method="GET" action="/admin/applications" class="row g-2 mb-4">
+        <div class="col-md-7">
+          <input type="text" name="q" value="${escapeHtml(q)}" class="form-control form-control-custom" placeholder="Search by applicant or job...">
         </div>
-      `
-    return res.send(generateEnhancedHTML("Error", content, req.session.user))
+        <div class="col-md-3">
+          <select name="status" class="form-select form-select-custom">
+            <option value="">Any status</option>
+            ${statuses.map((value) => `<option value="${escapeHtml(value)}" ${status === value ? "selected" : ""}>${escapeHtml(value)}</option>`).join("")}
+          </select>
+        </div>
+        <div class="col-md-2 d-grid">
+          <button type="submit" class="btn btn-primary-custom btn-custom"><i class="fas fa-search me-1"></i>Search</button>
+        </div>
+      </form>
+
+      <div class="card-custom">
+        <div class="card-body-custom">
+          ${
+            applications.length
+              ? applications
+                  .map(
+                    (application) => `
+            <div class="d-flex justify-content-between align-items-center flex-wrap gap-3 border-bottom py-3">
+              <div>
+                <h6 class="fw-bold mb-1">
+                  ${application.user_id ? escapeHtml(application.user_id.name) : "Deleted user"}
+                  <i class="fas fa-arrow-right mx-2 text-muted"></i>
+                  ${application.job_id ? escapeHtml(`${application.job_id.title} at ${application.job_id.company}`) : "Deleted job"}
+                </h6>
+                <small class="text-muted">
+                  ${application.user_id ? `<i class="fas fa-envelope me-1"></i>${escapeHtml(application.user_id.email)}<span class="mx-2">•</span>` : ""}
+                  Applied ${application.createdAt.toLocaleString()}
+                </small>
+              </div>
+              <div class="d-flex align-items-center gap-2">
+                ${applicationStatusBadge(application.status)}
+                <a href="${application.resume_url}" target="_blank" class="btn btn-secondary-custom btn-custom btn-sm">
+                  <i class="fas fa-file-pdf me-1"></i>Resume
+                </a>
+              </div>
+            </div>
+          `,
+                  )
+                  .join("")
+              : `<p class="text-muted text-center py-3 mb-0">No applications match your search.</p>`
+          }
+        </div>
+      </div>
+      ${adminPagination("/admin/applications", { q, status }, page, total)}
+    `
+    res.send(generateEnhancedHTML("Admin: Applications", content, req.session.user))
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not load applications."), req.session.user))
   }
 })
 
-// Employer View: Applicants
-app.get("/employer/applicants", async (req, res) => {
-  if (!req.session.user || req.session.user.type !== "employer") {
+app.get("/admin/lockouts", async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1)
+    const [events, total] = await Promise.all([
+      LockoutEvent.find()
+        .populate("user_id", "name email")
+        .populate("unlocked_by", "name")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * ADMIN_PAGE_SIZE)
+        .limit(ADMIN_PAGE_SIZE),
+      LockoutEvent.countDocuments(),
+    ])
+    const now = new Date()
+
     const content = `
-      <div class="text-center">
-        <i class="fas fa-ban fa-3x text-danger mb-3"></i>
-        <h2 class="fw-bold text-danger mb-3">Access Denied</h2>
-        <div class="alert alert-danger-custom">
-          <i class="fas fa-exclamation-triangle me-2"></i>
-          <strong>Employers Only!</strong> Only employers can view applicants.
+      <div class="text-center mb-4">
+        <i class="fas fa-user-lock fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Lockouts</h2>
+        <p class="text-muted">Temporary sign-in lockouts caused by repeated failed attempts</p>
+      </div>
+      ${adminNav("lockouts")}
+
+      <div class="card-custom">
+        <div class="card-body-custom">
+          ${
+            events.length
+              ? events
+                  .map((event) => {
+                    const active = !event.unlocked_at && event.locked_until > now
+                    return `
+            <div class="d-flex justify-content-between align-items-center flex-wrap gap-3 border-bottom py-3">
+              <div>
+                <h6 class="fw-bold mb-1">
+                  <i class="fas fa-${event.scope === "ip" ? "network-wired" : "user"} me-2"></i>${escapeHtml(event.key.replace(/^(account|ip):/, ""))}
+                  ${active ? `<span class="badge bg-danger ms-2">Locked</span>` : event.unlocked_at ? `<span class="badge bg-success ms-2">Unlocked</span>` : `<span class="badge bg-secondary ms-2">Expired</span>`}
+                </h6>
+                <small class="text-muted d-block">
+                  ${event.failures} failed attempts from ${escapeHtml(event.ip || "unknown IP")}
+                  <span class="mx-2">•</span>Locked ${event.createdAt.toLocaleString()} until ${event.locked_until.toLocaleString()}
+                </small>
+                ${event.unlocked_at ? `<small class="text-success d-block">Unlocked by ${escapeHtml(event.unlocked_by ? event.unlocked_by.name : "an admin")} on ${event.unlocked_at.toLocaleString()}</small>` : ""}
+              </div>
+              ${
+                active
+                  ? `
+                <form action="/admin/lockouts/${event._id}/unlock" method="POST" class="mb-0">
+                  <button type="submit" class="btn btn-success-custom btn-custom btn-sm">
+                    <i class="fas fa-unlock me-1"></i>Unlock
+                  </button>
+                </form>
+              `
+                  : ""
+              }
+            </div>
+          `
+                  })
+                  .join("")
+              : `<p class="text-muted text-center py-3 mb-0">No lockouts have been recorded.</p>`
+          }
         </div>
-        <a href="/login" class="btn btn-primary-custom btn-custom">
-          <i class="fas fa-sign-in-alt me-2"></i>Sign In
-        </a>
       </div>
+      ${adminPagination("/admin/lockouts", {}, page, total)}
     `
-    return res.send(generateEnhancedHTML("Access Denied", content))
+    res.send(generateEnhancedHTML("Admin: Lockouts", content, req.session.user))
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not load lockouts."), req.session.user))
   }
+})
 
+app.post("/admin/lockouts/:id/unlock", async (req, res) => {
   try {
-    const employerId = req.session.user._id
+    const event = await LockoutEvent.findById(req.params.id)
+    if (!event) return res.redirect("/admin/lockouts")
 
-    const rows = await Job.aggregate([
-      { $match: { posted_by: new mongoose.Types.ObjectId(employerId) } },
-      {
-        $lookup: {
-          from: 'applications',
-          localField: '_id',
-          foreignField: 'job_id',
-          as: 'applications'
-        }
-      },
-      { $unwind: { path: '$applications', preserveNullAndEmptyArrays: true } },
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'applications.user_id',
-          foreignField: '_id',
-          as: 'applicant'
-        }
-      },
-      { $unwind: { path: '$applicant', preserveNullAndEmptyArrays: true } },
-      {
-        $project: {
-          _id: 0,
-          job_title: '$title',
-          job_id: '$_id',
-          applicant_name: '$applicant.name',
-          email: '$applicant.email',
-          resume_url: '$applications.resume_url',
-          job_createdAt: '$createdAt',
-          application_createdAt: '$applications.createdAt'
-        }
-      },
-      { $sort: { job_createdAt: -1, application_createdAt: -1 } }
-    ]);
+    await LoginThrottle.deleteOne({ key: event.key })
+    event.unlocked_at = new Date()
+    event.unlocked_by = req.session.user._id
+    await event.save()
 
-    let content = `
+    await logAdminAction(req, "unlock_login", "lockout", event._id, event.key)
+    res.redirect("/admin/lockouts")
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not lift the lockout."), req.session.user))
+  }
+})
+
+app.get("/admin/settings", async (req, res) => {
+  try {
+    const requireEmployer2fa = await getSetting("require_employer_2fa")
+
+    const content = `
       <div class="text-center mb-4">
-        <i class="fas fa-users fa-3x text-primary mb-3"></i>
-        <h2 class="fw-bold mb-3">Job Applicants</h2>
-        <p class="text-muted">Review applications for your job postings</p>
+        <i class="fas fa-sliders-h fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Platform Settings</h2>
+        <p class="text-muted">Policies that apply to every account</p>
       </div>
-    `
+      ${adminNav("settings")}
 
-    if (rows.length === 0 || rows.every((row) => row.applicant_name === null)) {
-      content += `
-        <div class="text-center py-5">
-          <i class="fas fa-inbox fa-3x text-muted mb-3"></i>
-          <h4>No Applications Yet</h4>
-          <p class="text-muted mb-4">You haven't received any applications yet. Make sure your job postings are attractive!</p>
-          <div class="d-flex justify-content-center gap-3">
-            <a href="/post-job" class="btn btn-primary-custom btn-custom">
-              <i class="fas fa-plus me-2"></i>Post New Job
-            </a>
-            <a href="/dashboard" class="btn btn-secondary-custom btn-custom">
-              <i class="fas fa-home me-2"></i>Dashboard
-            </a>
-          </div>
+      ${
+        req.query.saved
+          ? `
+        <div class="alert alert-success-custom alert-dismissible fade show" role="alert">
+          <i class="fas fa-check-circle me-2"></i>Settings saved.
+          <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
         </div>
       `
-    } else {
-      // Group applications by job
-      const jobGroups = {}
-      rows.forEach((row) => {
-        if (!jobGroups[row.job_title]) {
-          jobGroups[row.job_title] = []
-        }
-        if (row.applicant_name) {
-          jobGroups[row.job_title].push(row)
-        }
-      })
-
-      Object.keys(jobGroups).forEach((jobTitle, jobIndex) => {
-        const applicants = jobGroups[jobTitle]
+          : ""
+      }
 
-        content += `
-          <div class="card-custom mb-4 hover-lift" style="animation-delay: ${jobIndex * 0.1}s">
-            <div class="card-header-custom">
-              <div class="d-flex justify-content-between align-items-center">
-                <h5 class="mb-0">
-                  <i class="fas fa-briefcase me-2 text-primary"></i>${jobTitle}
-                </h5>
-                <span class="badge bg-primary">${applicants.length} Applicant${applicants.length !== 1 ? "s" : ""}</span>
-              </div>
+      <div class="card-custom">
+        <div class="card-body-custom">
+          <form action="/admin/settings" method="POST">
+            <div class="form-check form-switch mb-3">
+              <input class="form-check-input" type="checkbox" name="require_employer_2fa" value="true" id="requireEmployer2fa" ${requireEmployer2fa ? "checked" : ""}>
+              <label class="form-check-label fw-semibold" for="requireEmployer2fa">Require two-factor authentication for employer accounts</label>
+              <small class="text-muted d-block">Employers without 2FA will be asked to set it up before they can continue.</small>
             </div>
-            <div class="card-body-custom">
-        `
+            <button type="submit" class="btn btn-primary-custom btn-custom">
+              <i class="fas fa-save me-2"></i>Save Settings
+            </button>
+          </form>
+        </div>
+      </div>
+    `
+    res.send(generateEnhancedHTML("Admin: Settings", content, req.session.user))
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not load settings."), req.session.user))
+  }
+})
 
-        if (applicants.length === 0) {
-          content += `
-            <p class="text-muted text-center py-3">
-              <i class="fas fa-inbox me-2"></i>No applications for this job yet.
-            </p>
-          `
-        } else {
-          content += `<div class="row g-3">`
+app.post("/admin/settings", async (req, res) => {
+  try {
+    const requireEmployer2fa = req.body.require_employer_2fa === "true"
+    if ((await getSetting("require_employer_2fa")) !== requireEmployer2fa) {
+      await Setting.updateOne({ key: "require_employer_2fa" }, { value: requireEmployer2fa }, { upsert: true })
+      await logAdminAction(req, "update_setting", "setting", "require_employer_2fa", `require_employer_2fa = ${requireEmployer2fa}`)
+    }
+    res.redirect("/admin/settings?saved=true")
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not save settings."), req.session.user))
+  }
+})
 
-          applicants.forEach((applicant, index) => {
-            content += `
-              <div class="col-md-6">
-                <div class="border rounded-3 p-3" style="background: var(--bg-secondary);">
-                  <div class="d-flex justify-content-between align-items-start mb-2">
-                    <div>
-                      <h6 class="fw-bold mb-1">
-                        <i class="fas fa-user me-2 text-success"></i>${applicant.applicant_name}
-                      </h6>
-                      <p class="text-muted mb-2">
-                        <i class="fas fa-envelope me-2"></i>${applicant.email}
-                      </p>
-                    </div>
-                    <span class="badge bg-success">New</span>
-                  </div>
-                  <a href="${applicant.resume_url}" target="_blank" class="btn btn-primary-custom btn-custom btn-sm">
-                    <i class="fas fa-file-pdf me-2"></i>View Resume
-                  </a>
-                </div>
-              </div>
-            `
-          })
+app.get("/admin/audit-log", async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1)
+    const [actions, total] = await Promise.all([
+      AdminAction.find()
+        .populate("admin_id", "name email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * ADMIN_PAGE_SIZE)
+        .limit(ADMIN_PAGE_SIZE),
+      AdminAction.countDocuments(),
+    ])
 
-          content += `</div>`
-        }
+    const content = `
+      <div class="text-center mb-4">
+        <i class="fas fa-history fa-3x text-primary mb-3"></i>
+        <h2 class="fw-bold">Audit Log</h2>
+        <p class="text-muted">Every admin action, who performed it and when</p>
+      </div>
+      ${adminNav("audit")}
 
-        content += `
+      <div class="card-custom">
+        <div class="card-body-custom">
+          ${
+            actions.length
+              ? `
+            <div class="table-responsive">
+              <table class="table align-middle mb-0">
+                <thead>
+                  <tr><th>When</th><th>Admin</th><th>Action</th><th>Target</th><th>Details</th><th>IP</th></tr>
+                </thead>
+                <tbody>
+                  ${actions
+                    .map(
+                      (action) => `
+                    <tr>
+                      <td class="text-nowrap">${action.createdAt.toLocaleString()}</td>
+                      <td>${action.admin_id ? escapeHtml(action.admin_id.name) : "Deleted admin"}</td>
+                      <td><code>${escapeHtml(action.action)}</code></td>
+                      <td>${escapeHtml(action.target_type || "")} <small class="text-muted">${escapeHtml(action.target_id || "")}</small></td>
+                      <td>${escapeHtml(action.details || "")}</td>
+                      <td><small class="text-muted">${escapeHtml(action.ip || "")}</small></td>
+                    </tr>
+                  `,
+                    )
+                    .join("")}
+                </tbody>
+              </table>
             </div>
-          </div>
-        `
-      })
-    }
-
-    res.send(generateEnhancedHTML("Applicants", content, req.session.user))
-  } catch (err) {
-    const content = `
-        <div class="text-center">
-          <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
-          <h2 class="fw-bold text-danger mb-3">Error Loading Applicants</h2>
-          <div class="alert alert-danger-custom">
-            <i class="fas fa-times-circle me-2"></i>
-            <strong>Oops!</strong> Could not load applicant data. Please try again later.
-          </div>
-          <a href="/dashboard" class="btn btn-primary-custom btn-custom">
-            <i class="fas fa-home me-2"></i>Back to Dashboard
-          </a>
+          `
+              : `<p class="text-muted text-center py-3 mb-0">No admin actions recorded yet.</p>`
+          }
         </div>
-      `
-    return res.send(generateEnhancedHTML("Error", content, req.session.user))
+      </div>
+      ${adminPagination("/admin/audit-log", {}, page, total)}
+    `
+    res.send(generateEnhancedHTML("Admin: Audit Log", content, req.session.user))
+  } catch (err) {
+    res.send(generateEnhancedHTML("Admin Error", adminErrorContent("Could not load the audit log."), req.session.user))
   }
 })
 
@@ -1966,6 +9720,7 @@ app.get("/api/auth/status", (req, res) => {
         email: req.session.user.email,
         type: req.session.user.type,
         profile_picture: req.session.user.profile_picture,
+        location: req.session.user.location,
       },
     })
   } else {
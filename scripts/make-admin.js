@@ -0,0 +1,28 @@
+// Promote an existing account to administrator:
+//   npm run make-admin -- someone@example.com
+const mongoose = require("mongoose")
+require("dotenv").config()
+
+async function main() {
+  const email = process.argv[2]
+  if (!email) {
+    console.error("Usage: npm run make-admin -- <email>")
+    process.exit(1)
+  }
+
+  await mongoose.connect(process.env.MONGO_URI)
+  const result = await mongoose.connection.collection("users").updateOne({ email }, { $set: { type: "admin" } })
+
+  if (result.matchedCount === 0) {
+    console.error(`❌ No account found for ${email}`)
+    process.exitCode = 1
+  } else {
+    console.log(`✅ ${email} is now an administrator`)
+  }
+  await mongoose.disconnect()
+}
+
+main().catch((err) => {
+  console.error("❌ Failed to promote account:", err)
+  process.exit(1)
+})